@@ -0,0 +1,370 @@
+// api/_lib/auth.js - 管理者認証（ユーザー・ロール・セッショントークン）
+
+import crypto from 'crypto';
+import { ApiError } from './errors.js';
+import { getStore, isSharedStore } from './rate-limit.js';
+
+/**
+ * 管理者アカウントは環境変数 ADMIN_USERS に JSON で設定する
+ *   [{ "username": "tanaka", "displayName": "田中", "role": "owner", "passwordHash": "scrypt$..." }]
+ * passwordHash は `npm run hash-password` で作成する
+ *
+ * ログインすると SESSION_SECRET で署名した短時間有効なセッショントークンを発行する
+ *   <payload(base64url)>.<HMAC-SHA256署名(base64url)>
+ * トークンの失効（ログアウト・ユーザー単位の強制失効）はレート制限と同じストアに記録する
+ * インスタンス内のストアでは他のインスタンスに失効が届かないため、トークンの発行・失効には
+ * 共有ストア（KV_REST_API_URL / KV_REST_API_TOKEN）が必須（未設定の場合は 503）
+ *
+ * ADMIN_USERS が未設定の場合のみ、移行用として従来の ADMIN_TOKEN（owner 扱い）を受け付ける
+ */
+
+// ロールごとの権限
+export const ROLE_PERMISSIONS = {
+    'owner': ['status:read', 'status:write', 'sessions:revoke'],
+    'staff': ['status:read', 'status:write'],
+    'read-only': ['status:read']
+};
+
+// セッショントークンの有効期間（秒）
+export const SESSION_TTL = Number(process.env.SESSION_TTL_SECONDS) || 60 * 60;
+// ログインからトークンを更新し続けられる期間（秒）
+export const SESSION_MAX_AGE = Number(process.env.SESSION_MAX_AGE_SECONDS) || 12 * 60 * 60;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+
+// 存在しないユーザーでも照合時間を揃えるためのダミーハッシュ
+let dummyHash = null;
+
+/**
+ * パスワードをハッシュ化
+ * @param {string} password - パスワード
+ * @returns {string} "scrypt$N$r$p$salt$hash"
+ */
+export function hashPassword(password) {
+    const { N, r, p } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN, { N, r, p });
+
+    return ['scrypt', N, r, p, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+/**
+ * パスワードを照合
+ * @param {string} password - 入力されたパスワード
+ * @param {string} storedHash - hashPassword() の結果
+ */
+export function verifyPassword(password, storedHash) {
+    const [algorithm, N, r, p, salt, hash] = String(storedHash || '').split('$');
+    if (algorithm !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    try {
+        const expected = Buffer.from(hash, 'base64url');
+        const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64url'), expected.length, {
+            N: Number(N), r: Number(r), p: Number(p)
+        });
+        return crypto.timingSafeEqual(actual, expected);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 環境変数から管理者アカウントを取得
+ * @returns {Array} { username, displayName, role, passwordHash } の配列（未設定の場合は空）
+ */
+export function getAdminUsers() {
+    const raw = process.env.ADMIN_USERS;
+    if (!raw) return [];
+
+    let users;
+    try {
+        users = JSON.parse(raw);
+    } catch {
+        console.error('❌ ADMIN_USERS環境変数のJSONが不正です');
+        throw new Error('サーバー設定エラー：管理者アカウントの設定が不正です');
+    }
+
+    return (Array.isArray(users) ? users : [])
+        .filter(user => user && user.username && ROLE_PERMISSIONS[user.role]);
+}
+
+/**
+ * ユーザー名・パスワードでログイン
+ * @returns {Object|null} 認証できたユーザー（失敗時は null）
+ */
+export function findUserByCredentials(username, password) {
+    const user = getAdminUsers().find(u => u.username === username);
+
+    if (!user) {
+        // ユーザーの有無で応答時間が変わらないよう、ダミーのハッシュで照合する
+        dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+        verifyPassword(password, dummyHash);
+        return null;
+    }
+
+    return verifyPassword(password, user.passwordHash) ? user : null;
+}
+
+/**
+ * セッショントークンを発行
+ * @param {Object} user - 管理者アカウント
+ * @param {Object} options - { authTime } ログイン時刻（更新時に引き継ぐ）
+ * @returns {Object} { token, expiresAt, payload }
+ */
+export function issueSessionToken(user, { authTime } = {}) {
+    requireSharedStore();
+
+    const nowMs = Date.now();
+    const now = Math.floor(nowMs / 1000);
+    const payload = {
+        sub: user.username,
+        role: user.role,
+        jti: crypto.randomUUID(),
+        iat: now,
+        // ユーザー単位の失効と比較する発行時刻（iat は秒単位のため、同じ秒に再ログインしたトークンまで失効してしまう）
+        iatMs: nowMs,
+        auth: authTime || now,
+        exp: now + SESSION_TTL
+    };
+
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const token = `${body}.${sign(body)}`;
+
+    return { token, expiresAt: new Date(payload.exp * 1000).toISOString(), payload };
+}
+
+/**
+ * セッショントークンを検証
+ * @param {string} token - セッショントークン
+ * @returns {Promise<Object>} { valid, payload, user, message }
+ */
+export async function verifySessionToken(token) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature || !safeEqual(signature, sign(body))) {
+        return { valid: false, message: '認証に失敗しました' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch {
+        return { valid: false, message: '認証に失敗しました' };
+    }
+
+    if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+        return { valid: false, expired: true, message: 'セッションの有効期限が切れました。再度ログインしてください' };
+    }
+
+    // ロールの変更・アカウント削除はトークンの有効期限を待たずに反映する
+    const user = getAdminUsers().find(u => u.username === payload.sub);
+    if (!user) {
+        return { valid: false, message: 'アカウントが無効です' };
+    }
+
+    if (await isRevoked(payload)) {
+        return { valid: false, message: 'セッションは無効化されています。再度ログインしてください' };
+    }
+
+    return { valid: true, payload, user };
+}
+
+/**
+ * セッショントークンを失効（ログアウト）
+ * @param {Object} payload - 検証済みトークンの内容
+ */
+export async function revokeSession(payload) {
+    requireSharedStore();
+
+    const ttlMs = Math.max(payload.exp * 1000 - Date.now(), 1000);
+    await getStore().set(`revoked:jti:${payload.jti}`, '1', ttlMs);
+}
+
+/**
+ * ユーザーのセッションをすべて失効（現時点より前に発行されたトークンが対象）
+ * 失効時刻はミリ秒で記録し、直後の再ログインで発行したトークンは有効のままにする
+ * @param {string} username - ユーザー名
+ */
+export async function revokeUserSessions(username) {
+    requireSharedStore();
+
+    await getStore().set(`revoked:user:${username}`, String(Date.now()), SESSION_MAX_AGE * 1000);
+}
+
+/**
+ * リクエストを認証
+ * @param {Object} req - リクエスト
+ * @returns {Promise<Object>} { authorized, message, user, session, expired }
+ *   user: { username, displayName, role }
+ */
+export async function authenticate(req) {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader) {
+        return {
+            authorized: false,
+            message: '認証ヘッダーが必要です（Authorization: Bearer <token>）'
+        };
+    }
+
+    // Bearer トークンの抽出
+    const token = authHeader.replace(/^Bearer\s+/i, '');
+
+    if (!token) {
+        return {
+            authorized: false,
+            message: '有効なトークンが必要です'
+        };
+    }
+
+    // 管理者アカウント未設定時は従来の共有トークン
+    if (getAdminUsers().length === 0) {
+        return authenticateLegacyToken(token);
+    }
+
+    const result = await verifySessionToken(token);
+    if (!result.valid) {
+        return { authorized: false, expired: result.expired, message: result.message };
+    }
+
+    return {
+        authorized: true,
+        user: toPublicUser(result.user),
+        session: result.payload
+    };
+}
+
+/**
+ * ロールが権限を持つか
+ * @param {string} role - ロール
+ * @param {string} permission - 権限（例: 'status:write'）
+ */
+export function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * レスポンス・ログ用のユーザー情報
+ */
+export function toPublicUser(user) {
+    return {
+        username: user.username,
+        displayName: user.displayName || user.username,
+        role: user.role
+    };
+}
+
+/**
+ * 従来の ADMIN_TOKEN による認証（移行用）
+ */
+function authenticateLegacyToken(token) {
+    const validToken = process.env.ADMIN_TOKEN;
+
+    if (!validToken) {
+        console.error('❌ ADMIN_USERS / ADMIN_TOKEN環境変数が設定されていません');
+        return {
+            authorized: false,
+            message: 'サーバー設定エラー：管理者アカウントが未設定です'
+        };
+    }
+
+    // タイミングセーフな比較
+    if (!timingSafeEqual(token, validToken)) {
+        return {
+            authorized: false,
+            message: '認証に失敗しました'
+        };
+    }
+
+    console.warn('⚠️ 共有トークン（ADMIN_TOKEN）で認証しました。ADMIN_USERSへの移行を推奨します');
+    return {
+        authorized: true,
+        user: { username: 'admin', displayName: '管理者', role: 'owner' }
+    };
+}
+
+/**
+ * 共有ストアが設定されているか確認（なければ503）
+ */
+function requireSharedStore() {
+    if (!isSharedStore()) {
+        console.error('Environment variables not configured: KV_REST_API_URL, KV_REST_API_TOKEN');
+        throw new ApiError(503, 'Session store not configured', 'セッションを管理するための共有ストアが設定されていません');
+    }
+}
+
+/**
+ * トークンが失効しているか
+ */
+async function isRevoked(payload) {
+    const store = getStore();
+
+    try {
+        if (await store.get(`revoked:jti:${payload.jti}`)) {
+            return true;
+        }
+        const revokedAt = Number(await store.get(`revoked:user:${payload.sub}`));
+        if (!(revokedAt > 0)) {
+            return false;
+        }
+
+        // 失効時刻・発行時刻ともにミリ秒（iatMs がないトークンは失効とみなす）
+        return !(payload.iatMs >= revokedAt);
+    } catch (error) {
+        // ストア障害時は失効を確認できないため拒否する
+        console.error('⚠️ セッション失効の確認に失敗しました:', error.message);
+        return true;
+    }
+}
+
+/**
+ * 署名（HMAC-SHA256）
+ */
+function sign(body) {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret || secret.length < 32) {
+        console.error('❌ SESSION_SECRET環境変数が未設定、または短すぎます（32文字以上）');
+        throw new Error('サーバー設定エラー：セッションの署名鍵が未設定です');
+    }
+
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+/**
+ * 長さの異なる文字列も扱えるタイミングセーフな比較
+ */
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * タイミングセーフな文字列比較（タイミング攻撃対策）
+ */
+export function timingSafeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') {
+        return false;
+    }
+
+    const bufA = Buffer.from(a, 'utf8');
+    const bufB = Buffer.from(b, 'utf8');
+
+    // 長さが異なる場合
+    if (bufA.length !== bufB.length) {
+        // ダミー比較で同じ時間をかける（タイミング攻撃対策）
+        const dummyBuf = Buffer.alloc(bufA.length);
+        try {
+            crypto.timingSafeEqual(bufA, dummyBuf);
+        } catch {}
+        return false;
+    }
+
+    try {
+        return crypto.timingSafeEqual(bufA, bufB);
+    } catch {
+        return false;
+    }
+}
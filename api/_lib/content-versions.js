@@ -0,0 +1,123 @@
+// api/_lib/content-versions.js - コンテンツの更新検知用バージョン
+
+import { getMicroCMSConfig, microcmsRequest } from './microcms.js';
+import { getStore, isSharedStore } from './rate-limit.js';
+
+/**
+ * 営業状況・ニュースが変更されたかを判定するためのバージョン文字列を取得する
+ * バージョンは「件数:最終更新日時#Webhookの受信時刻」で、追加・更新・削除のいずれでも変わる
+ *
+ * Webhook（api/webhooks/microcms.js）は bumpContentVersion() で受信時刻をストアに記録する
+ * （他のインスタンスの接続から参照できるよう、共有ストア KV_REST_API_URL / KV_REST_API_TOKEN に記録する。
+ *   共有ストアがない場合は記録しない）
+ *
+ * 同じインスタンスで処理中の接続（api/stream.js）が同時に MicroCMS へ問い合わせないよう、
+ * 取得結果を VERSION_TTL の間共有する
+ * 共有ストア（KV）がある場合は取得結果をストアにも保存し、別のインスタンスの接続もこれを使う
+ * （サーバーレスでは接続ごとに別のインスタンスになりやすいため、MicroCMS への問い合わせは
+ *   開いているページの数によらずトピックごとに VERSION_TTL あたり約1回になる）
+ */
+
+export const CONTENT_TOPICS = {
+    status: { apiKeyName: 'MICROCMS_BUSINESS_STATUS_API_KEY', endpoint: 'business-status' },
+    news: { apiKeyName: 'MICROCMS_API_KEY', endpoint: 'news' }
+};
+
+const VERSION_TTL = 5000;
+
+// Webhookの受信時刻の保持期間
+const STAMP_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// topic => { promise, fetchedAt }
+const versionCache = new Map();
+
+/**
+ * コンテンツのバージョンを取得
+ * @param {string} topic - CONTENT_TOPICS のキー
+ * @returns {Promise<string>} バージョン文字列
+ */
+export async function getContentVersion(topic) {
+    const cached = versionCache.get(topic);
+    if (cached && Date.now() - cached.fetchedAt < VERSION_TTL) {
+        return cached.promise;
+    }
+
+    const promise = loadContentVersion(topic);
+    versionCache.set(topic, { promise, fetchedAt: Date.now() });
+
+    // 失敗した結果は共有しない
+    promise.catch(() => {
+        if (versionCache.get(topic)?.promise === promise) {
+            versionCache.delete(topic);
+        }
+    });
+
+    return promise;
+}
+
+/**
+ * Webhookで変更を受け取ったことを記録し、バージョンを更新
+ * インスタンス内のストアに記録しても他のインスタンスの接続には届かないため、共有ストアがなければ何もしない
+ * @param {string} topic - CONTENT_TOPICS のキー
+ * @returns {Promise<string|null>} 更新後のバージョン（共有ストアがない場合は null）
+ */
+export async function bumpContentVersion(topic) {
+    if (!isSharedStore()) {
+        return null;
+    }
+
+    await getStore().set(stampKey(topic), String(Date.now()), STAMP_TTL);
+    await getStore().delete(sharedVersionKey(topic));
+    versionCache.delete(topic);
+    return getContentVersion(topic);
+}
+
+/**
+ * 共有ストアに保存された最新の取得結果を使い、なければ MicroCMS から取得して保存
+ */
+async function loadContentVersion(topic) {
+    if (!isSharedStore()) {
+        return fetchContentVersion(topic);
+    }
+
+    const store = getStore();
+    const cached = await store.get(sharedVersionKey(topic)).catch(() => null);
+    if (cached) {
+        return cached;
+    }
+
+    const version = await fetchContentVersion(topic);
+    await store.set(sharedVersionKey(topic), version, VERSION_TTL).catch(error => {
+        console.error('⚠️ コンテンツのバージョンの保存に失敗しました:', error.message);
+    });
+    return version;
+}
+
+/**
+ * MicroCMS から最終更新の1件と件数を取得し、Webhookの受信時刻と合わせてバージョンを作成
+ */
+async function fetchContentVersion(topic) {
+    const { apiKeyName, endpoint } = CONTENT_TOPICS[topic];
+
+    const [data, stamp] = await Promise.all([
+        microcmsRequest(getMicroCMSConfig(apiKeyName), endpoint, {
+            query: { limit: '1', orders: '-updatedAt', fields: 'id,updatedAt' },
+            notFound: {}
+        }),
+        getStore().get(stampKey(topic)).catch(error => {
+            // ストア障害時は MicroCMS の内容のみで判定
+            console.error('⚠️ コンテンツのバージョンの取得に失敗しました:', error.message);
+            return null;
+        })
+    ]);
+
+    return `${data.totalCount || 0}:${data.contents?.[0]?.updatedAt || ''}#${stamp || 0}`;
+}
+
+function stampKey(topic) {
+    return `content-version:${topic}`;
+}
+
+function sharedVersionKey(topic) {
+    return `content-version-cache:${topic}`;
+}
@@ -0,0 +1,93 @@
+// api/_lib/errors.js - APIのエラー定義
+
+/**
+ * ステータスコード付きのAPIエラー
+ * errorHandler ミドルウェアが { error, message } 形式のレスポンスに変換する
+ */
+export class ApiError extends Error {
+    /**
+     * @param {number} status - HTTPステータスコード
+     * @param {string} error - エラー種別（英語の短い説明）
+     * @param {string} message - 利用者向けメッセージ
+     * @param {Object} extra - レスポンスに追加する項目
+     */
+    constructor(status, error, message, extra = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.error = error;
+        this.extra = extra;
+    }
+}
+
+/**
+ * 400 Bad Request
+ */
+export function badRequest(error, message, extra) {
+    return new ApiError(400, error, message, extra);
+}
+
+/**
+ * 401 Unauthorized
+ */
+export function unauthorized(error, message) {
+    return new ApiError(401, error, message);
+}
+
+/**
+ * 404 Not Found
+ */
+export function notFound(error, message) {
+    return new ApiError(404, error, message);
+}
+
+/**
+ * 409 Conflict
+ */
+export function conflict(error, message, extra) {
+    return new ApiError(409, error, message, extra);
+}
+
+/**
+ * メッセージのキーワードからステータスコードを判定（ApiError 以外の例外用）
+ * @param {Error} error - 例外
+ */
+export function getStatusCode(error) {
+    const message = error.message || '';
+
+    let statusCode = 500;
+    if (message.includes('認証')) statusCode = 401;
+    if (message.includes('権限')) statusCode = 403;
+    if (message.includes('見つかりません')) statusCode = 404;
+    if (message.includes('制限')) statusCode = 429;
+    if (message.includes('設定')) statusCode = 500;
+
+    return statusCode;
+}
+
+/**
+ * 例外を利用者向けメッセージに変換
+ * @param {Error} error - 例外
+ * @param {string} fallback - 該当しない場合のメッセージ
+ */
+export function getErrorMessage(error, fallback) {
+    const message = error.message || 'Unknown error';
+
+    // ユーザーフレンドリーなメッセージに変換
+    const messageMap = {
+        '認証エラー': 'サービスの認証に失敗しました',
+        'アクセス権限エラー': 'データへのアクセス権限がありません',
+        'データが見つかりません': '要求されたデータが見つかりません',
+        'リクエスト制限に達しました': 'アクセス制限中です。しばらくお待ちください',
+        'MicroCMSサーバーエラー': 'データサービスで問題が発生しています',
+        'サーバー設定エラー': 'サーバーの設定に問題があります'
+    };
+
+    for (const [key, value] of Object.entries(messageMap)) {
+        if (message.includes(key)) {
+            return value;
+        }
+    }
+
+    return fallback;
+}
@@ -0,0 +1,267 @@
+// api/_lib/feed.js - ニュースのフィード（RSS 2.0 / Atom / JSON Feed）
+
+import crypto from 'crypto';
+import {
+    compose, errorHandler, logger, cors, securityHeaders, cacheControl,
+    rateLimit, microcms, route
+} from './middleware.js';
+import { microcmsRequest } from './microcms.js';
+import { sanitizeText } from './sanitize.js';
+import { formatRichText, fetchNewsCategories } from './news.js';
+import { richTextToPlain } from '../../public/js/rich-text.js';
+import { getNewsCategoryId } from '../../public/js/news-categories.js';
+
+/**
+ * /api/news と同じ MicroCMS のニュースからフィードを作成する
+ *
+ * 記事のURLは SITE_URL（例: https://example.com）を基準にした /news/<id>
+ * 本文中の相対URL（リンク・画像）は記事のURLを基準にした絶対URLにする（フィードリーダーはサイトの外で本文を表示するため）
+ * フィードはCDNにキャッシュされるため、リクエストの Host / X-Forwarded-Host は使わない（SITE_URL は必須）
+ *
+ * ETag / Last-Modified を返し、If-None-Match / If-Modified-Since が一致すれば 304 を返す
+ */
+
+const FEED_TITLE = '旬彩ダイニング はなれ 新着情報';
+const FEED_DESCRIPTION = '旬彩ダイニング はなれからのお知らせ・イベント・メニュー情報';
+const FEED_LANGUAGE = 'ja';
+
+// フィードに含める記事数
+const FEED_LIMIT = 20;
+
+// 概要（description がない記事は本文の先頭）の最大文字数
+const SUMMARY_MAX_LENGTH = 200;
+
+const FORMATS = {
+    rss: { path: '/api/news/feed.xml', contentType: 'application/rss+xml; charset=utf-8', build: buildRss },
+    atom: { path: '/api/news/atom.xml', contentType: 'application/atom+xml; charset=utf-8', build: buildAtom },
+    json: { path: '/api/news/feed.json', contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+/**
+ * フィードのエンドポイントを作成
+ * @param {string} format - 'rss' / 'atom' / 'json'
+ * @returns {Function} Vercel のハンドラー
+ */
+export function createFeedHandler(format) {
+    return compose(
+        errorHandler({
+            name: 'News Feed',
+            error: 'Failed to build news feed',
+            fallbackMessage: 'フィードの作成に失敗しました。しばらくしてから再度お試しください'
+        }),
+        logger('News Feed'),
+        cors({ methods: ['GET'], headers: ['Content-Type', 'If-None-Match', 'If-Modified-Since'] }),
+        securityHeaders(),
+        // ニュース一覧と同じく5分間キャッシュ可能
+        cacheControl('public, s-maxage=300, stale-while-revalidate=600'),
+        rateLimit(),
+        microcms('MICROCMS_API_KEY'),
+        route({ GET: (req, res) => handleFeed(req, res, FORMATS[format]) })
+    );
+}
+
+/**
+ * GET: フィード
+ */
+async function handleFeed(req, res, format) {
+    const [data, { categories }] = await Promise.all([
+        microcmsRequest(req.microcms, 'news', {
+            query: { limit: String(FEED_LIMIT), orders: '-publishedAt' },
+            notFound: { contents: [] }
+        }),
+        fetchNewsCategories(req.microcms)
+    ]);
+
+    const siteUrl = getSiteUrl();
+    const labels = new Map(categories.map(category => [category.id, category.label]));
+    const items = (data.contents || []).map(item => toFeedItem(item, siteUrl, labels));
+    const updated = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+
+    const feed = {
+        title: FEED_TITLE,
+        description: FEED_DESCRIPTION,
+        language: FEED_LANGUAGE,
+        siteUrl,
+        homeUrl: `${siteUrl}/news`,
+        feedUrl: `${siteUrl}${format.path}`,
+        updated: items.length > 0 ? updated : new Date(),
+        items
+    };
+
+    const body = format.build(feed);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+    const lastModified = feed.updated.toUTCString();
+
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified);
+
+    if (isNotModified(req, etag, feed.updated)) {
+        return res.status(304).end();
+    }
+
+    return res.status(200).end(body);
+}
+
+/**
+ * 条件付きリクエストが一致するか（If-None-Match を優先）
+ */
+function isNotModified(req, etag, updated) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch.split(',').some(tag => {
+            const value = tag.trim();
+            return value === '*' || value.replace(/^W\//, '') === etag;
+        });
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    // HTTP日付は秒単位のため、ミリ秒を切り捨てて比較
+    return !isNaN(ifModifiedSince) && Math.floor(updated.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * サイトのURL（末尾のスラッシュなし）
+ */
+function getSiteUrl() {
+    const siteUrl = (process.env.SITE_URL || '').replace(/\/+$/, '');
+    if (!/^https?:\/\/[^/?#\s]+$/.test(siteUrl)) {
+        console.error('Environment variables not configured: SITE_URL');
+        throw new Error('サーバー設定エラー：必要な環境変数が設定されていません');
+    }
+    return siteUrl;
+}
+
+/**
+ * MicroCMS の記事をフィード用の項目に変換
+ */
+function toFeedItem(item, siteUrl, labels) {
+    const url = `${siteUrl}/news/${encodeURIComponent(item.id)}`;
+    const content = formatRichText(item.content, { baseUrl: url });
+    const published = new Date(item.publishedAt || item.createdAt || Date.now());
+    const category = getNewsCategoryId(item.category);
+
+    return {
+        id: item.id,
+        url,
+        title: sanitizeText(item.title || ''),
+        summary: sanitizeText(item.description || '') || richTextToPlain(content, SUMMARY_MAX_LENGTH),
+        contentHtml: content,
+        published,
+        updated: new Date(item.updatedAt || published),
+        category: category ? { term: category, label: labels.get(category) || category } : null,
+        image: item.image?.url ? { url: item.image.url, type: guessImageType(item.image.url) } : null
+    };
+}
+
+/**
+ * 画像URLの拡張子からMIMEタイプを推定
+ */
+function guessImageType(url) {
+    const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    const types = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml' };
+    return types[extension] || 'image/jpeg';
+}
+
+/**
+ * XMLのテキスト・属性値のエスケープ
+ * XMLで使えない制御文字（本文の &#1; などをデコードした結果）は削除する
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * RSS 2.0
+ * enclosure の length は必須のため、サイズを取得できない画像は 0 とする
+ */
+function buildRss(feed) {
+    const items = feed.items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>${item.category ? `
+      <category>${escapeXml(item.category.label)}</category>` : ''}${item.image ? `
+      <enclosure url="${escapeXml(item.image.url)}" length="0" type="${item.image.type}"/>` : ''}
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${feed.language}</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Atom 1.0
+ */
+function buildAtom(feed) {
+    const entries = feed.items.map(item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.url)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>${item.category ? `
+    <category term="${escapeXml(item.category.term)}" label="${escapeXml(item.category.label)}"/>` : ''}${item.image ? `
+    <link rel="enclosure" type="${item.image.type}" href="${escapeXml(item.image.url)}"/>` : ''}
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${feed.language}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>
+  <id>${escapeXml(feed.homeUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>${escapeXml(feed.title)}</name></author>${entries}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1
+ */
+function buildJsonFeed(feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        description: feed.description,
+        language: feed.language,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.feedUrl,
+        items: feed.items.map(item => ({
+            id: item.url,
+            url: item.url,
+            title: item.title,
+            summary: item.summary,
+            content_html: item.contentHtml,
+            date_published: item.published.toISOString(),
+            date_modified: item.updated.toISOString(),
+            ...(item.category && { tags: [item.category.label] }),
+            ...(item.image && {
+                image: item.image.url,
+                attachments: [{ url: item.image.url, mime_type: item.image.type }]
+            })
+        }))
+    }, null, 2);
+}
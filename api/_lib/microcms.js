@@ -0,0 +1,99 @@
+// api/_lib/microcms.js - MicroCMS APIの呼び出し
+
+import { badRequest } from './errors.js';
+
+// コンテンツIDとして受け付ける文字（URLのパスや filters の構文で使われる記号を含めない）
+export const CONTENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * コンテンツIDの形式を確認
+ * @param {*} id - コンテンツID
+ */
+export function isContentId(id) {
+    return typeof id === 'string' && CONTENT_ID_PATTERN.test(id);
+}
+
+/**
+ * コンテンツ1件のパス（IDの形式が不正な場合は 400）
+ * @param {string} endpoint - API名（例: "business-status"）
+ * @param {string} id - コンテンツID
+ * @returns {string} 例: "business-status/xxx"
+ */
+export function contentPath(endpoint, id) {
+    if (!isContentId(id)) {
+        throw badRequest('Invalid id', 'IDの形式が正しくありません');
+    }
+    return `${endpoint}/${encodeURIComponent(id)}`;
+}
+
+/**
+ * MicroCMSの接続情報を環境変数から取得
+ * @param {string} apiKeyName - APIキーの環境変数名
+ * @returns {Object} { apiKey, serviceDomain }
+ */
+export function getMicroCMSConfig(apiKeyName = 'MICROCMS_API_KEY') {
+    const apiKey = process.env[apiKeyName];
+    const serviceDomain = process.env.MICROCMS_SERVICE_DOMAIN;
+
+    if (!apiKey || !serviceDomain) {
+        console.error(`Environment variables not configured: ${apiKeyName} / MICROCMS_SERVICE_DOMAIN`);
+        throw new Error('サーバー設定エラー：必要な環境変数が設定されていません');
+    }
+
+    return { apiKey, serviceDomain };
+}
+
+/**
+ * MicroCMS APIを呼び出す
+ * @param {Object} config - { apiKey, serviceDomain }
+ * @param {string} path - エンドポイント以降のパス（例: "news", "business-status/xxx"）
+ * @param {Object} options - { method, query, body, notFound }
+ *   notFound を指定すると、404 の場合に例外ではなくその値を返す
+ * @returns {Promise<Object|null>} レスポンスJSON（本文がない場合は null）
+ */
+export async function microcmsRequest({ apiKey, serviceDomain }, path, { method = 'GET', query, body, notFound } = {}) {
+    const params = query ? `?${new URLSearchParams(query)}` : '';
+    const url = `https://${serviceDomain}.microcms.io/api/v1/${path}${params}`;
+
+    const headers = { 'X-MICROCMS-API-KEY': apiKey };
+    if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+        if (response.status === 404 && notFound !== undefined) {
+            return notFound;
+        }
+
+        const errorText = await response.text();
+        console.error(`MicroCMS API error: ${method} ${path} ${response.status}`, errorText);
+
+        // ステータスコード別のエラー（errorHandler でメッセージに変換）
+        switch (response.status) {
+            case 401:
+                throw new Error('認証エラー');
+            case 403:
+                throw new Error('アクセス権限エラー');
+            case 404:
+                throw new Error('データが見つかりません');
+            case 429:
+                throw new Error('リクエスト制限に達しました');
+            case 500:
+            case 502:
+            case 503:
+                throw new Error('MicroCMSサーバーエラー');
+            default:
+                throw new Error(`API呼び出しエラー: ${response.status}`);
+        }
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+}
@@ -0,0 +1,367 @@
+// api/_lib/middleware.js - Vercel Functions共通のミドルウェア
+
+import { ApiError, badRequest, getStatusCode, getErrorMessage } from './errors.js';
+import { authenticate, hasPermission } from './auth.js';
+import { getMicroCMSConfig } from './microcms.js';
+import { createRateLimiter, sendRateLimitError, getClientIp } from './rate-limit.js';
+
+/**
+ * ミドルウェアは (req, res, next) => Promise の関数
+ * compose() で順に連結し、最後の関数がエンドポイント本体（通常は route()）になる
+ *
+ *   export default compose(
+ *       errorHandler({ name: 'News', ... }),
+ *       logger('News'),
+ *       cors({ methods: ['GET'] }),
+ *       securityHeaders(),
+ *       rateLimit(),
+ *       route({ GET: handleGet })
+ *   );
+ */
+
+const rateLimiter = createRateLimiter();
+
+/**
+ * ミドルウェアを連結して Vercel のハンドラーを作成
+ * @param {...Function} middlewares - ミドルウェア
+ * @returns {Function} (req, res) => Promise
+ */
+export function compose(...middlewares) {
+    return async function handler(req, res) {
+        const dispatch = async (index) => {
+            const middleware = middlewares[index];
+            if (!middleware) return;
+            return middleware(req, res, () => dispatch(index + 1));
+        };
+        return dispatch(0);
+    };
+}
+
+/**
+ * 例外をエラーレスポンスに変換
+ * ApiError はそのステータスコードと内容で、それ以外はメッセージのキーワードから判定して返す
+ * @param {Object} options - { name, error, fallbackMessage }
+ *   name: ログ用のAPI名 / error: レスポンスのエラー種別 / fallbackMessage: 既定のメッセージ
+ */
+export function errorHandler({ name, error: errorType, fallbackMessage }) {
+    return async (req, res, next) => {
+        try {
+            return await next();
+        } catch (error) {
+            if (error instanceof ApiError) {
+                return res.status(error.status).json({
+                    error: error.error,
+                    message: error.message,
+                    ...error.extra
+                });
+            }
+
+            console.error(`${name} API Error:`, error);
+
+            const errorResponse = {
+                error: errorType,
+                message: getErrorMessage(error, fallbackMessage),
+                timestamp: new Date().toISOString()
+            };
+
+            // 開発環境では詳細なエラー情報を含める
+            if (process.env.NODE_ENV === 'development') {
+                errorResponse.details = error.message;
+                errorResponse.stack = error.stack;
+            }
+
+            return res.status(getStatusCode(error)).json(errorResponse);
+        }
+    };
+}
+
+/**
+ * リクエストのログ出力（開発時のみ）
+ * @param {string} name - ログ用のAPI名
+ */
+export function logger(name) {
+    return async (req, res, next) => {
+        const startedAt = Date.now();
+        const result = await next();
+
+        if (process.env.NODE_ENV === 'development') {
+            console.log(`📡 ${name} API: ${req.method} ${req.url} ${res.statusCode ?? ''} (${Date.now() - startedAt}ms)`);
+        }
+        return result;
+    };
+}
+
+/**
+ * CORSヘッダーを設定し、プリフライトリクエストに応答
+ * @param {Object} options - { methods, headers }
+ */
+export function cors({ methods = ['GET'], headers = ['Content-Type'] } = {}) {
+    return async (req, res, next) => {
+        res.setHeader('Access-Control-Allow-Origin', getAllowedOrigin(req));
+        res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+        res.setHeader('Access-Control-Allow-Headers', headers.join(', '));
+        res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
+        res.setHeader('Access-Control-Max-Age', '86400'); // 24時間
+
+        // プリフライトリクエスト対応
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+
+        return next();
+    };
+}
+
+/**
+ * セキュリティヘッダーを設定
+ */
+export function securityHeaders() {
+    return async (req, res, next) => {
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('X-Frame-Options', 'DENY');
+        res.setHeader('X-XSS-Protection', '1; mode=block');
+        return next();
+    };
+}
+
+/**
+ * Cache-Control ヘッダーを設定
+ * @param {string} value - ヘッダーの値
+ */
+export function cacheControl(value) {
+    return async (req, res, next) => {
+        res.setHeader('Cache-Control', value);
+        return next();
+    };
+}
+
+/**
+ * レート制限
+ * @param {Object} options - { scope }
+ *   scope: 'read' / 'write' / 'search'、またはリクエストから判定する関数
+ */
+export function rateLimit({ scope = 'read' } = {}) {
+    return async (req, res, next) => {
+        const resolvedScope = typeof scope === 'function' ? scope(req) : scope;
+        const result = await rateLimiter.check(req, res, resolvedScope);
+
+        if (!result.allowed) {
+            logSecurityEvent('rate_limited', req, result.reason);
+            return sendRateLimitError(res, result);
+        }
+
+        return next();
+    };
+}
+
+/**
+ * 管理者認証（Bearer Token）とロールによる権限チェック
+ * 認証に成功すると req.auth に { actor, user, session } を設定する
+ * @param {Object} options - { when, permission }
+ *   when: 認証が必要か判定する関数（省略時は常に必要）
+ *   permission: 必要な権限、またはリクエストから判定する関数（省略時は認証のみ）
+ */
+export function requireAuth({ when = () => true, permission } = {}) {
+    return async (req, res, next) => {
+        if (!when(req)) {
+            return next();
+        }
+
+        const authResult = await authenticate(req);
+        if (!authResult.authorized) {
+            return rejectAuthentication(req, res, authResult.message, { expired: authResult.expired });
+        }
+
+        req.auth = {
+            actor: authResult.user.username,
+            user: authResult.user,
+            session: authResult.session || null
+        };
+        await rateLimiter.clearAuthFailures(req);
+
+        const required = typeof permission === 'function' ? permission(req) : permission;
+        if (required && !hasPermission(authResult.user.role, required)) {
+            logSecurityEvent('permission_denied', req, required);
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'この操作を行う権限がありません'
+            });
+        }
+
+        logSecurityEvent('auth_success', req);
+        return next();
+    };
+}
+
+/**
+ * 認証失敗のレスポンスを返す
+ * 失敗を記録し、続いた場合はロックアウト（429）にする
+ * @param {string} message - 利用者向けメッセージ
+ * @param {Object} options - { expired } セッション期限切れの場合はロックアウトの対象外
+ */
+export async function rejectAuthentication(req, res, message, { expired = false } = {}) {
+    logSecurityEvent('auth_failed', req, message);
+
+    if (!expired) {
+        const lockout = await rateLimiter.recordAuthFailure(req);
+        if (lockout.locked) {
+            return sendRateLimitError(res, { reason: 'locked', retryAfter: lockout.retryAfter });
+        }
+    }
+
+    return res.status(401).json({
+        error: 'Unauthorized',
+        message: message || '認証が必要です',
+        ...(expired && { expired: true })
+    });
+}
+
+/**
+ * 認証成功時に失敗回数をリセット（ログインなど requireAuth を使わない認証用）
+ */
+export async function clearAuthFailures(req) {
+    await rateLimiter.clearAuthFailures(req);
+}
+
+/**
+ * MicroCMSの接続情報を req.microcms に設定
+ * @param {string} apiKeyName - APIキーの環境変数名
+ */
+export function microcms(apiKeyName) {
+    return async (req, res, next) => {
+        req.microcms = getMicroCMSConfig(apiKeyName);
+        return next();
+    };
+}
+
+/**
+ * クエリパラメータの検証
+ * 検証・変換後の値を req.validated に設定する
+ * @param {Object} schema - { name: { type, default, min, max, pattern, values, maxLength, message } }
+ *   type: 'int' / 'string' / 'date'
+ */
+export function validateQuery(schema) {
+    return async (req, res, next) => {
+        req.validated = { ...req.validated };
+
+        for (const [name, rule] of Object.entries(schema)) {
+            const raw = req.query[name];
+
+            if (raw === undefined || raw === '') {
+                if (rule.required) {
+                    throw badRequest(`Missing ${name} parameter`, rule.message);
+                }
+                req.validated[name] = rule.default;
+                continue;
+            }
+
+            const value = parseQueryValue(raw, rule);
+            if (value === undefined) {
+                throw badRequest(`Invalid ${name} parameter`, rule.message);
+            }
+            req.validated[name] = value;
+        }
+
+        return next();
+    };
+}
+
+/**
+ * クエリパラメータを型に応じて変換（不正な場合は undefined）
+ */
+function parseQueryValue(raw, rule) {
+    const str = Array.isArray(raw) ? raw[0] : String(raw);
+
+    switch (rule.type) {
+        case 'int': {
+            const num = Number(str);
+            if (!Number.isInteger(num)) return undefined;
+            if (rule.min !== undefined && num < rule.min) return undefined;
+            if (rule.max !== undefined && num > rule.max) return undefined;
+            return num;
+        }
+        case 'date': {
+            const date = new Date(str);
+            return isNaN(date.getTime()) ? undefined : date;
+        }
+        default:
+            if (rule.maxLength !== undefined && str.length > rule.maxLength) return undefined;
+            if (rule.pattern && !rule.pattern.test(str)) return undefined;
+            if (rule.values && !rule.values.includes(str)) return undefined;
+            return str;
+    }
+}
+
+/**
+ * HTTPメソッドごとに処理を振り分け
+ * @param {Object} handlers - { GET: (req, res) => ..., POST: ... }
+ */
+export function route(handlers) {
+    const methods = Object.keys(handlers);
+
+    return async (req, res) => {
+        const handler = handlers[req.method];
+        if (!handler) {
+            return res.status(405).json({
+                error: 'Method not allowed',
+                message: methods.length === 1 && methods[0] === 'GET'
+                    ? 'このエンドポイントはGETリクエストのみ対応しています'
+                    : `${req.method}メソッドはサポートされていません`
+            });
+        }
+        return handler(req, res);
+    };
+}
+
+/**
+ * セキュリティイベントのログ記録
+ * @param {string} eventType - イベント種別
+ * @param {Object} req - リクエスト
+ * @param {string} message - 詳細
+ */
+export function logSecurityEvent(eventType, req, message = '') {
+    const logEntry = {
+        timestamp: new Date().toISOString(),
+        event: eventType,
+        ip: getClientIp(req),
+        userAgent: req.headers['user-agent'] || 'unknown',
+        actor: req.auth?.actor || null,
+        method: req.method,
+        path: req.url,
+        message
+    };
+
+    if (['auth_failed', 'rate_limited', 'permission_denied'].includes(eventType)) {
+        console.warn('⚠️ セキュリティ警告:', JSON.stringify(logEntry));
+    } else if (process.env.NODE_ENV === 'development') {
+        console.log('🔐 セキュリティイベント:', JSON.stringify(logEntry));
+    }
+}
+
+/**
+ * 許可されたオリジンを取得
+ */
+function getAllowedOrigin(req) {
+    const requestOrigin = req.headers.origin;
+    const allowedOrigin = process.env.ALLOWED_ORIGIN;
+
+    // 環境変数が設定されていない場合
+    if (!allowedOrigin) {
+        // 本番環境では警告を出すが、動作は継続
+        if (process.env.NODE_ENV !== 'development') {
+            console.warn('⚠️ ALLOWED_ORIGIN環境変数が未設定です。セキュリティリスクがあります。');
+        }
+        return requestOrigin || '*';
+    }
+
+    // カンマ区切りで複数ドメインに対応
+    const allowedOrigins = allowedOrigin.split(',').map(o => o.trim());
+
+    // リクエスト元が許可リストに含まれているか確認
+    if (requestOrigin && allowedOrigins.includes(requestOrigin)) {
+        return requestOrigin;
+    }
+
+    // デフォルトとして最初の許可オリジンを返す
+    return allowedOrigins[0];
+}
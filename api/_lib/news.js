@@ -0,0 +1,78 @@
+// api/_lib/news.js - ニュースAPI共通の処理
+
+import { sanitizeString } from './sanitize.js';
+import { sanitizeRichText, richTextToPlain } from '../../public/js/rich-text.js';
+import { matchesSearch, createSearchExcerpt } from '../../public/js/text-search.js';
+import { DEFAULT_NEWS_CATEGORIES, getNewsCategoryId, normalizeNewsCategories } from '../../public/js/news-categories.js';
+import { microcmsRequest, CONTENT_ID_PATTERN } from './microcms.js';
+
+// 本文（リッチテキスト）はタグを含むため、他の項目より大きな上限を設定
+const CONTENT_MAX_LENGTH = 50000;
+
+// 一覧に表示する概要の最大文字数
+const EXCERPT_MAX_LENGTH = 100;
+
+// カテゴリ・記事IDとして受け付ける文字（MicroCMS の filters 構文で使われる記号を含めない）
+export const SLUG_PATTERN = CONTENT_ID_PATTERN;
+
+/**
+ * レスポンス用にニュース記事を整形（サニタイズ）
+ * content は許可リストで整形したHTML（public/js/rich-text.js）、それ以外はHTMLエスケープした文字列
+ * @param {Object} item - MicroCMSのニュースコンテンツ
+ * @param {Object} options
+ * @param {string[]} options.searchTerms - 検索語（指定時は一致箇所の周辺を概要にする）
+ */
+export function formatNewsItem(item, { searchTerms = [] } = {}) {
+    const content = formatRichText(item.content);
+
+    return {
+        id: item.id,
+        title: sanitizeString(item.title),
+        content,
+        excerpt: sanitizeString(createSearchExcerpt(richTextToPlain(content), searchTerms, EXCERPT_MAX_LENGTH)),
+        description: sanitizeString(item.description),
+        // セレクト・コンテンツ参照のどちらでもカテゴリのキー（文字列）にそろえる
+        category: getNewsCategoryId(item.category),
+        publishedAt: item.publishedAt,
+        updatedAt: item.updatedAt,
+        // 画像がある場合のみ含める
+        ...(item.image && { image: item.image })
+    };
+}
+
+/**
+ * リッチテキストのサニタイズ（長さ制限後に閉じられていないタグを補う）
+ * @param {*} html - MicroCMSのリッチテキスト
+ * @param {Object} options - sanitizeRichText() のオプション
+ * @returns {string} 安全なHTML
+ */
+export function formatRichText(html, options) {
+    if (typeof html !== 'string') return '';
+    return sanitizeRichText(html.substring(0, CONTENT_MAX_LENGTH), options);
+}
+
+/**
+ * 記事が検索語に一致するか（タイトル・概要・本文が対象）
+ * @param {Object} item - MicroCMSのニュースコンテンツ
+ * @param {string[]} terms - parseSearchQuery() の結果
+ */
+export function matchesNewsSearch(item, terms) {
+    return matchesSearch([item.title, item.description, richTextToPlain(item.content)], terms);
+}
+
+/**
+ * カテゴリ一覧を取得（categories API が未作成・空の場合は既定のカテゴリ）
+ * @param {Object} config - MicroCMS の接続情報（ニュースと同じAPIキー）
+ * @returns {Promise<Object>} { categories, source: 'cms' | 'default' }
+ */
+export async function fetchNewsCategories(config) {
+    const data = await microcmsRequest(config, 'categories', {
+        query: { limit: '100', fields: 'id,label,color,order' },
+        notFound: { contents: [] }
+    });
+
+    const categories = normalizeNewsCategories(data.contents);
+    return categories.length > 0
+        ? { categories, source: 'cms' }
+        : { categories: DEFAULT_NEWS_CATEGORIES, source: 'default' };
+}
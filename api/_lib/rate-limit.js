@@ -0,0 +1,363 @@
+// api/_lib/rate-limit.js - APIのレート制限
+
+import crypto from 'crypto';
+
+/**
+ * 固定ウィンドウ方式のレート制限
+ * IPアドレスごと・トークンごとにカウントし、参照（read）・書き込み（write）・検索（search）で別の上限を持つ。
+ * 認証失敗が続いたIPアドレスは一定時間ロックアウトする
+ *
+ * カウンタの保存先（ストア）は差し替え可能:
+ *   - 既定はインスタンス内メモリ（MemoryStore）。サーバーレス環境ではインスタンスごとの制限になる
+ *   - KV_REST_API_URL / KV_REST_API_TOKEN が設定されていれば Redis 互換の REST API（KvRestStore）を共有ストアとして使用
+ *   - setStore() で任意のストアに置き換え可能
+ *
+ * ストアのインターフェース:
+ *   increment(key, windowMs) → { count, resetAt }   キーを加算（初回のみ有効期限を設定）
+ *   get(key) / set(key, value, ttlMs) / delete(key)
+ */
+
+export const RATE_LIMITS = {
+    read: {
+        limit: Number(process.env.RATE_LIMIT_READ) || 120,
+        windowMs: 60 * 1000
+    },
+    write: {
+        limit: Number(process.env.RATE_LIMIT_WRITE) || 20,
+        windowMs: 60 * 1000
+    },
+    // ニュース検索（1回で MicroCMS に複数回問い合わせるため参照より厳しくする）
+    search: {
+        limit: Number(process.env.RATE_LIMIT_SEARCH) || 20,
+        windowMs: 60 * 1000
+    },
+    // 認証失敗によるロックアウト
+    lockout: {
+        maxFailures: Number(process.env.AUTH_MAX_FAILURES) || 5,
+        windowMs: 15 * 60 * 1000,
+        durationMs: 15 * 60 * 1000
+    }
+};
+
+/**
+ * インスタンス内メモリのストア
+ */
+export class MemoryStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        const entry = this.entries.get(key);
+
+        if (!entry || entry.expiresAt <= now) {
+            this.sweep(now);
+            const fresh = { value: 1, expiresAt: now + windowMs };
+            this.entries.set(key, fresh);
+            return { count: 1, resetAt: fresh.expiresAt };
+        }
+
+        entry.value += 1;
+        return { count: entry.value, resetAt: entry.expiresAt };
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * 期限切れのエントリを削除（件数が多いときのみ）
+     */
+    sweep(now) {
+        if (this.entries.size < 1000) return;
+
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Redis 互換 REST API（Upstash / Vercel KV）のストア
+ */
+export class KvRestStore {
+    /**
+     * @param {Object} options - { url, token }
+     */
+    constructor({ url, token }) {
+        this.url = url.replace(/\/$/, '');
+        this.token = token;
+    }
+
+    async increment(key, windowMs) {
+        const [count, , ttl] = await this.pipeline([
+            ['INCR', key],
+            ['PEXPIRE', key, String(windowMs), 'NX'],
+            ['PTTL', key]
+        ]);
+        return { count: Number(count), resetAt: Date.now() + Math.max(Number(ttl), 0) };
+    }
+
+    async get(key) {
+        const [value] = await this.pipeline([['GET', key]]);
+        return value ?? null;
+    }
+
+    async set(key, value, ttlMs) {
+        await this.pipeline([['SET', key, String(value), 'PX', String(ttlMs)]]);
+    }
+
+    async delete(key) {
+        await this.pipeline([['DEL', key]]);
+    }
+
+    async pipeline(commands) {
+        const response = await fetch(`${this.url}/pipeline`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(commands),
+            signal: AbortSignal.timeout(3000)
+        });
+
+        if (!response.ok) {
+            throw new Error(`KVストアエラー: ${response.status}`);
+        }
+
+        const results = await response.json();
+        return results.map(({ result, error }) => {
+            if (error) throw new Error(`KVストアエラー: ${error}`);
+            return result;
+        });
+    }
+}
+
+let sharedStore = null;
+
+/**
+ * 使用するストアを取得（環境変数に応じて初回に作成）
+ */
+export function getStore() {
+    if (!sharedStore) {
+        const url = process.env.KV_REST_API_URL;
+        const token = process.env.KV_REST_API_TOKEN;
+        sharedStore = url && token ? new KvRestStore({ url, token }) : new MemoryStore();
+    }
+    return sharedStore;
+}
+
+/**
+ * インスタンス間で共有されるストアか（KV_REST_API_URL / KV_REST_API_TOKEN の設定時）
+ */
+export function isSharedStore() {
+    return !(getStore() instanceof MemoryStore);
+}
+
+/**
+ * ストアを差し替え
+ * @param {Object} store - ストアのインターフェースを満たすオブジェクト
+ */
+export function setStore(store) {
+    sharedStore = store;
+}
+
+/**
+ * レート制限を作成
+ * @param {Object} options - { store, limits }
+ */
+export function createRateLimiter({ store, limits = RATE_LIMITS } = {}) {
+    const getActiveStore = () => store || getStore();
+
+    return {
+        /**
+         * リクエストをカウントし、上限を超えていないか確認
+         * RateLimit-* ヘッダーを設定する
+         * @param {Object} req - リクエスト
+         * @param {Object} res - レスポンス
+         * @param {string} scope - 'read' / 'write' / 'search'
+         * @returns {Promise<Object>} { allowed, limit, remaining, resetAt, retryAfter, reason }
+         */
+        async check(req, res, scope = 'read') {
+            const { limit, windowMs } = limits[scope];
+            const ip = getClientIp(req);
+
+            try {
+                const activeStore = getActiveStore();
+
+                // 書き込みはロックアウト中のIPを拒否
+                if (scope === 'write') {
+                    const lockedUntil = Number(await activeStore.get(`lock:ip:${ip}`));
+                    if (lockedUntil > Date.now()) {
+                        const result = createResult(limit, 0, lockedUntil, false, 'locked');
+                        setRateLimitHeaders(res, result);
+                        return result;
+                    }
+                }
+
+                // IPアドレスとトークンの両方でカウントし、厳しい方を採用
+                const keys = [`rl:${scope}:ip:${ip}`];
+                const token = getBearerToken(req);
+                if (token) {
+                    keys.push(`rl:${scope}:token:${hashToken(token)}`);
+                }
+
+                const counts = await Promise.all(keys.map(key => activeStore.increment(key, windowMs)));
+                const worst = counts.reduce((a, b) => (b.count > a.count ? b : a));
+
+                const result = createResult(limit, limit - worst.count, worst.resetAt, worst.count <= limit, 'limit');
+                setRateLimitHeaders(res, result);
+                return result;
+
+            } catch (error) {
+                // ストア障害時はサービスを止めないよう通過させる
+                console.error('⚠️ レート制限の確認に失敗しました:', error.message);
+                return { allowed: true, limit, remaining: limit, resetAt: Date.now() + windowMs, retryAfter: 0 };
+            }
+        },
+
+        /**
+         * 認証失敗を記録し、上限に達したらロックアウト
+         * @returns {Promise<Object>} { locked, failures, retryAfter }
+         */
+        async recordAuthFailure(req) {
+            const { maxFailures, windowMs, durationMs } = limits.lockout;
+            const ip = getClientIp(req);
+
+            try {
+                const activeStore = getActiveStore();
+                const { count } = await activeStore.increment(`authfail:ip:${ip}`, windowMs);
+
+                if (count >= maxFailures) {
+                    const lockedUntil = Date.now() + durationMs;
+                    await activeStore.set(`lock:ip:${ip}`, lockedUntil, durationMs);
+                    await activeStore.delete(`authfail:ip:${ip}`);
+                    console.warn(`🔒 認証失敗が続いたためロックアウト: ${ip}`);
+                    return { locked: true, failures: count, retryAfter: Math.ceil(durationMs / 1000) };
+                }
+
+                return { locked: false, failures: count, retryAfter: 0 };
+
+            } catch (error) {
+                console.error('⚠️ 認証失敗の記録に失敗しました:', error.message);
+                return { locked: false, failures: 0, retryAfter: 0 };
+            }
+        },
+
+        /**
+         * 認証成功時に失敗回数をリセット
+         */
+        async clearAuthFailures(req) {
+            try {
+                await getActiveStore().delete(`authfail:ip:${getClientIp(req)}`);
+            } catch (error) {
+                console.error('⚠️ 認証失敗回数のリセットに失敗しました:', error.message);
+            }
+        }
+    };
+}
+
+/**
+ * 429 レスポンスを返す
+ * @param {Object} res - レスポンス
+ * @param {Object} result - check() の結果
+ */
+export function sendRateLimitError(res, result) {
+    res.setHeader('Retry-After', String(result.retryAfter));
+
+    return res.status(429).json({
+        error: 'Too many requests',
+        message: result.reason === 'locked'
+            ? `認証の失敗が続いたため一時的に制限しています。${Math.ceil(result.retryAfter / 60)}分後に再度お試しください`
+            : `リクエストが多すぎます。${result.retryAfter}秒後に再度お試しください`,
+        retryAfter: result.retryAfter
+    });
+}
+
+/**
+ * check() の結果オブジェクトを作成
+ */
+function createResult(limit, remaining, resetAt, allowed, reason) {
+    const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+    return {
+        allowed,
+        limit,
+        remaining: Math.max(remaining, 0),
+        resetAt,
+        retryAfter,
+        reason: allowed ? null : reason
+    };
+}
+
+/**
+ * RateLimit-* ヘッダー（IETF draft）を設定
+ */
+function setRateLimitHeaders(res, result) {
+    res.setHeader('RateLimit-Limit', String(result.limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(result.retryAfter));
+
+    if (!result.allowed) {
+        res.setHeader('Retry-After', String(result.retryAfter));
+    }
+}
+
+/**
+ * リクエスト元のIPアドレスを取得
+ *
+ * X-Forwarded-For の先頭はクライアントが自由に設定できるため使わない
+ * Vercel はエッジで x-real-ip を接続元のIPに上書きするため、これを優先する
+ * x-real-ip がない環境（開発サーバーなど）では、プロキシが末尾に追加した X-Forwarded-For の最後のアドレスを使う
+ */
+export function getClientIp(req) {
+    const realIp = req.headers['x-real-ip'];
+    if (realIp) {
+        return String(realIp).trim();
+    }
+
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) {
+        const hops = String(forwarded).split(',').map(hop => hop.trim()).filter(Boolean);
+        if (hops.length > 0) {
+            return hops[hops.length - 1];
+        }
+    }
+
+    return req.socket?.remoteAddress || req.connection?.remoteAddress || 'unknown';
+}
+
+/**
+ * Authorization ヘッダーからトークンを取得
+ */
+function getBearerToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) return null;
+
+    return authHeader.replace(/^Bearer\s+/i, '') || null;
+}
+
+/**
+ * トークンをそのままストアに保存しないようハッシュ化
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex').substring(0, 32);
+}
@@ -0,0 +1,211 @@
+// api/_lib/revisions.js - 営業状況の変更履歴（リビジョン）
+
+import { microcmsRequest, isContentId } from './microcms.js';
+import { badRequest } from './errors.js';
+
+/**
+ * 営業状況の作成・更新・削除・復元をリビジョンとして記録する
+ * リビジョンは MicroCMS のリスト形式API「business-status-revisions」に追加のみ行い、更新・削除はしない
+ *
+ * リビジョン番号は保存せず、読み出し時に営業状況ごとの作成日時（createdAt）の順番（1から）で決める
+ * 保存済みの番号を読んで +1 する方式では、同時に記録した2件が同じ番号になるため使用しない
+ *
+ * business-status-revisions のフィールド:
+ *   statusId (テキスト)      対象の営業状況ID
+ *   action (テキスト)        create / update / delete / restore
+ *   actor (テキスト)         操作者
+ *   ip (テキスト)            操作元IP
+ *   before / after (テキスト) 操作前後の内容（JSON文字列、存在しない場合は空）
+ *   diff (テキスト)          変更された項目（JSON文字列）
+ *   restoredFrom (数値)      restore の場合、復元元のリビジョン番号
+ *
+ * APIキー（MICROCMS_BUSINESS_STATUS_API_KEY）には business-status-revisions の GET / POST 権限が必要
+ */
+
+const REVISIONS_ENDPOINT = 'business-status-revisions';
+
+// 記録直後に自分のリビジョンを探す件数（同時に記録された件数がこれを超えることは想定しない）
+const RECENT_LIMIT = 10;
+
+// 履歴として記録する項目
+export const TRACKED_FIELDS = [
+    'status', 'reason', 'message', 'priority', 'startTime', 'endTime', 'customHours', 'recurrence'
+];
+
+/**
+ * 営業状況から記録対象の項目を抜き出す
+ * @param {Object|null} item - MicroCMSの営業状況コンテンツ
+ * @returns {Object|null} スナップショット
+ */
+export function toSnapshot(item) {
+    if (!item) return null;
+
+    const snapshot = {};
+    TRACKED_FIELDS.forEach(field => {
+        // セレクトフィールドは配列で返るため、書き込み時と同じ文字列に揃える
+        const value = field === 'status' && Array.isArray(item.status) ? item.status[0] : item[field];
+        snapshot[field] = value ?? null;
+    });
+    return snapshot;
+}
+
+/**
+ * 2つのスナップショットの差分を取得
+ * @param {Object|null} before - 変更前
+ * @param {Object|null} after - 変更後
+ * @returns {Object} { field: { from, to } }
+ */
+export function diffSnapshots(before, after) {
+    const diff = {};
+
+    TRACKED_FIELDS.forEach(field => {
+        const from = before ? before[field] ?? null : null;
+        const to = after ? after[field] ?? null : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            diff[field] = { from, to };
+        }
+    });
+
+    return diff;
+}
+
+/**
+ * リビジョンを記録
+ * @param {Object} env - MicroCMSの接続情報 { serviceDomain, apiKey }
+ * @param {Object} entry - { statusId, action, before, after, actor, ip, restoredFrom }
+ * @returns {Promise<Object>} 記録したリビジョン
+ */
+export async function recordRevision(env, { statusId, action, before = null, after = null, actor, ip, restoredFrom = null }) {
+    assertStatusId(statusId);
+
+    const beforeSnapshot = toSnapshot(before);
+    const afterSnapshot = toSnapshot(after);
+
+    const data = {
+        statusId,
+        action,
+        actor: actor || 'unknown',
+        ip: ip || 'unknown',
+        before: beforeSnapshot ? JSON.stringify(beforeSnapshot) : '',
+        after: afterSnapshot ? JSON.stringify(afterSnapshot) : '',
+        diff: JSON.stringify(diffSnapshots(beforeSnapshot, afterSnapshot)),
+        restoredFrom
+    };
+
+    const created = await microcmsRequest(env, REVISIONS_ENDPOINT, { method: 'POST', body: data });
+
+    // 作成日時の順番から番号を決める（記録後に他の操作が続いた場合も、自分より新しい件数を除く）
+    const recent = await fetchRevisions(env, statusId, { limit: RECENT_LIMIT });
+    const index = recent.contents.findIndex(item => item.id === created?.id);
+    const revision = index === -1 ? recent.totalCount : recent.totalCount - index;
+
+    return formatRevision({ ...data, createdAt: new Date().toISOString() }, revision);
+}
+
+/**
+ * 営業状況の変更履歴を取得（新しい順）
+ * @param {Object} env - { serviceDomain, apiKey }
+ * @param {string} statusId - 営業状況ID
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} { revisions, totalCount }
+ */
+export async function listRevisions(env, statusId, { limit = 50, offset = 0 } = {}) {
+    assertStatusId(statusId);
+
+    const data = await fetchRevisions(env, statusId, { limit, offset });
+
+    return {
+        revisions: data.contents.map((item, index) => formatRevision(item, data.totalCount - offset - index)),
+        totalCount: data.totalCount || 0
+    };
+}
+
+/**
+ * 指定したリビジョンを取得
+ * @param {Object} env - { serviceDomain, apiKey }
+ * @param {string} statusId - 営業状況ID
+ * @param {number} revision - リビジョン番号
+ * @returns {Promise<Object|null>} リビジョン（存在しなければ null）
+ */
+export async function getRevision(env, statusId, revision) {
+    assertStatusId(statusId);
+
+    // 古い順に並べて revision 番目
+    const data = await fetchRevisions(env, statusId, {
+        limit: 1,
+        offset: revision - 1,
+        orders: 'createdAt'
+    });
+
+    return data.contents[0] ? formatRevision(data.contents[0], revision) : null;
+}
+
+/**
+ * リビジョンで復元する内容を取得
+ * 削除のリビジョンは削除前の内容、それ以外は操作後の内容に戻す
+ * @param {Object} revision - リビジョン
+ * @returns {Object|null} スナップショット
+ */
+export function getRestoreTarget(revision) {
+    return revision.action === 'delete' ? revision.before : revision.after;
+}
+
+/**
+ * 営業状況IDの形式を確認（filters に埋め込むため、[and] などの構文を含むIDを拒否する）
+ */
+function assertStatusId(statusId) {
+    if (!isContentId(statusId)) {
+        throw badRequest('Invalid id', 'IDの形式が正しくありません');
+    }
+}
+
+/**
+ * MicroCMSからリビジョンを取得（既定は新しい順）
+ */
+async function fetchRevisions(env, statusId, { limit, offset = 0, orders = '-createdAt' }) {
+    const data = await microcmsRequest(env, REVISIONS_ENDPOINT, {
+        query: {
+            limit: String(limit),
+            offset: String(offset),
+            orders,
+            filters: `statusId[equals]${statusId}`
+        },
+        // 履歴がまだ1件もない場合
+        notFound: {}
+    });
+
+    return { contents: data.contents || [], totalCount: data.totalCount || 0 };
+}
+
+/**
+ * リビジョンをレスポンス用に整形（JSON文字列の項目を展開）
+ * @param {Object} item - business-status-revisions のコンテンツ
+ * @param {number} revision - 作成日時の順番から求めたリビジョン番号
+ */
+function formatRevision(item, revision) {
+    return {
+        revision,
+        action: item.action,
+        actor: item.actor,
+        ip: item.ip,
+        createdAt: item.createdAt,
+        restoredFrom: item.restoredFrom ?? null,
+        before: parseJson(item.before),
+        after: parseJson(item.after),
+        diff: parseJson(item.diff) || {}
+    };
+}
+
+/**
+ * JSON文字列を解析（空・不正な場合は null）
+ */
+function parseJson(value) {
+    if (!value) return null;
+    if (typeof value === 'object') return value;
+
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+}
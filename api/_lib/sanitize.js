@@ -0,0 +1,37 @@
+// api/_lib/sanitize.js - レスポンス・保存データのサニタイズ
+
+// 既定の最大文字数（本文など長い項目は呼び出し側で指定）
+export const DEFAULT_MAX_LENGTH = 1000;
+
+/**
+ * 文字列のサニタイズ（XSS対策）
+ * HTMLエスケープ + 制御文字の除去 + 長さ制限
+ * @param {*} str - 対象（文字列以外はそのまま返す）
+ * @param {number} maxLength - 最大文字数
+ */
+export function sanitizeString(str, maxLength = DEFAULT_MAX_LENGTH) {
+    if (typeof str !== 'string') return str;
+
+    return str
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/[\x00-\x1F\x7F]/g, '') // 制御文字を除去
+        .substring(0, maxLength); // 最大長制限
+}
+
+/**
+ * テキストの整形（制御文字の除去と長さ制限のみ）
+ * HTML以外で利用される外部向けレスポンス用
+ * @param {*} str - 対象（文字列以外はそのまま返す）
+ * @param {number} maxLength - 最大文字数
+ */
+export function sanitizeText(str, maxLength = DEFAULT_MAX_LENGTH) {
+    if (typeof str !== 'string') return str;
+
+    return str
+        .replace(/[\x00-\x1F\x7F]/g, '')
+        .substring(0, maxLength);
+}
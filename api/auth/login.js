@@ -0,0 +1,62 @@
+// api/auth/login.js - Vercel Functions用の管理者ログインAPI
+
+import {
+    compose, errorHandler, logger, cors, securityHeaders, cacheControl,
+    rateLimit, route, rejectAuthentication, clearAuthFailures, logSecurityEvent
+} from '../_lib/middleware.js';
+import { badRequest } from '../_lib/errors.js';
+import { getAdminUsers, findUserByCredentials, issueSessionToken, toPublicUser } from '../_lib/auth.js';
+
+/**
+ * ユーザー名・パスワードを確認し、セッショントークンを発行する
+ *
+ * POST /api/auth/login  { username, password }
+ *   → { token, expiresAt, user: { username, displayName, role } }
+ */
+export default compose(
+    errorHandler({
+        name: 'Auth Login',
+        error: 'Login failed',
+        fallbackMessage: 'ログインに失敗しました。しばらくしてから再度お試しください'
+    }),
+    logger('Auth Login'),
+    cors({ methods: ['POST'] }),
+    securityHeaders(),
+    cacheControl('private, no-store'),
+    // ログイン試行は書き込みと同じ上限・ロックアウトの対象
+    rateLimit({ scope: 'write' }),
+    route({ POST: handlePost })
+);
+
+/**
+ * POST: ログイン
+ */
+async function handlePost(req, res) {
+    const { username, password } = req.body || {};
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        throw badRequest('Invalid request body', 'usernameとpasswordは必須項目です');
+    }
+
+    if (getAdminUsers().length === 0) {
+        console.error('❌ ADMIN_USERS環境変数が設定されていません');
+        throw new Error('サーバー設定エラー：管理者アカウントが未設定です');
+    }
+
+    const user = findUserByCredentials(username, password);
+    if (!user) {
+        return rejectAuthentication(req, res, 'ユーザー名またはパスワードが正しくありません');
+    }
+
+    const { token, expiresAt } = issueSessionToken(user);
+
+    req.auth = { actor: user.username };
+    await clearAuthFailures(req);
+    logSecurityEvent('login', req, `role: ${user.role}`);
+
+    return res.status(200).json({
+        token,
+        expiresAt,
+        user: toPublicUser(user)
+    });
+}
@@ -0,0 +1,43 @@
+// api/auth/logout.js - Vercel Functions用の管理者ログアウトAPI
+
+import {
+    compose, errorHandler, logger, cors, securityHeaders, cacheControl,
+    rateLimit, requireAuth, route, logSecurityEvent
+} from '../_lib/middleware.js';
+import { revokeSession } from '../_lib/auth.js';
+
+/**
+ * 使用中のセッショントークンを失効させる
+ *
+ * POST /api/auth/logout  （Authorization: Bearer <token>）
+ */
+export default compose(
+    errorHandler({
+        name: 'Auth Logout',
+        error: 'Logout failed',
+        fallbackMessage: 'ログアウトに失敗しました'
+    }),
+    logger('Auth Logout'),
+    cors({ methods: ['POST'], headers: ['Content-Type', 'Authorization'] }),
+    securityHeaders(),
+    cacheControl('private, no-store'),
+    rateLimit({ scope: 'write' }),
+    requireAuth(),
+    route({ POST: handlePost })
+);
+
+/**
+ * POST: ログアウト
+ */
+async function handlePost(req, res) {
+    if (req.auth.session) {
+        await revokeSession(req.auth.session);
+    }
+
+    logSecurityEvent('logout', req);
+
+    return res.status(200).json({
+        message: 'ログアウトしました',
+        timestamp: new Date().toISOString()
+    });
+}
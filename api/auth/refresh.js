@@ -0,0 +1,56 @@
+// api/auth/refresh.js - Vercel Functions用のセッション更新API
+
+import {
+    compose, errorHandler, logger, cors, securityHeaders, cacheControl,
+    rateLimit, requireAuth, route, logSecurityEvent
+} from '../_lib/middleware.js';
+import { badRequest } from '../_lib/errors.js';
+import { issueSessionToken, revokeSession, SESSION_MAX_AGE } from '../_lib/auth.js';
+
+/**
+ * 有効なセッショントークンを新しいトークンに交換する（古いトークンは失効）
+ * ログインから SESSION_MAX_AGE を過ぎた場合は再ログインが必要
+ *
+ * POST /api/auth/refresh  （Authorization: Bearer <token>）
+ *   → { token, expiresAt, user }
+ */
+export default compose(
+    errorHandler({
+        name: 'Auth Refresh',
+        error: 'Session refresh failed',
+        fallbackMessage: 'セッションの更新に失敗しました。再度ログインしてください'
+    }),
+    logger('Auth Refresh'),
+    cors({ methods: ['POST'], headers: ['Content-Type', 'Authorization'] }),
+    securityHeaders(),
+    cacheControl('private, no-store'),
+    rateLimit({ scope: 'write' }),
+    requireAuth(),
+    route({ POST: handlePost })
+);
+
+/**
+ * POST: セッション更新
+ */
+async function handlePost(req, res) {
+    const { session, user } = req.auth;
+
+    if (!session) {
+        throw badRequest('Session token required', '共有トークンは更新できません。ログインしてください');
+    }
+
+    if (session.auth + SESSION_MAX_AGE <= Math.floor(Date.now() / 1000)) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'ログインから時間が経過したため、再度ログインしてください',
+            expired: true
+        });
+    }
+
+    const { token, expiresAt } = issueSessionToken(user, { authTime: session.auth });
+    await revokeSession(session);
+
+    logSecurityEvent('session_refresh', req);
+
+    return res.status(200).json({ token, expiresAt, user });
+}
@@ -0,0 +1,54 @@
+// api/auth/sessions.js - Vercel Functions用のセッション失効API
+
+import {
+    compose, errorHandler, logger, cors, securityHeaders, cacheControl,
+    rateLimit, requireAuth, validateQuery, route, logSecurityEvent
+} from '../_lib/middleware.js';
+import { notFound } from '../_lib/errors.js';
+import { getAdminUsers, revokeUserSessions } from '../_lib/auth.js';
+
+/**
+ * 指定したユーザーのセッションをすべて失効させる（owner のみ）
+ * 退職・端末紛失時などに、トークンの有効期限を待たずにログアウトさせるために使用
+ *
+ * DELETE /api/auth/sessions?username=tanaka  （Authorization: Bearer <token>）
+ */
+export default compose(
+    errorHandler({
+        name: 'Auth Sessions',
+        error: 'Session revocation failed',
+        fallbackMessage: 'セッションの無効化に失敗しました'
+    }),
+    logger('Auth Sessions'),
+    cors({ methods: ['DELETE'], headers: ['Content-Type', 'Authorization'] }),
+    securityHeaders(),
+    cacheControl('private, no-store'),
+    rateLimit({ scope: 'write' }),
+    requireAuth({ permission: 'sessions:revoke' }),
+    route({ DELETE: compose(
+        validateQuery({
+            username: { type: 'string', required: true, maxLength: 100, message: 'usernameを指定してください' }
+        }),
+        handleDelete
+    ) })
+);
+
+/**
+ * DELETE: ユーザーのセッションを失効
+ */
+async function handleDelete(req, res) {
+    const { username } = req.validated;
+
+    if (!getAdminUsers().some(user => user.username === username)) {
+        throw notFound('User not found', '指定されたユーザーが見つかりません');
+    }
+
+    await revokeUserSessions(username);
+    logSecurityEvent('sessions_revoked', req, `username: ${username}`);
+
+    return res.status(200).json({
+        message: `${username} のセッションを無効化しました`,
+        username,
+        timestamp: new Date().toISOString()
+    });
+}
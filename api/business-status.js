@@ -1,289 +1,103 @@
 // api/business-status.js - Vercel Functions用の営業状況管理API（セキュリティ強化版）
 
-import crypto from 'crypto';
+import { parseRecurrence, validateRecurrence } from '../public/js/override-recurrence.js';
+import { parseCustomHours, validateCustomHours } from '../public/js/custom-hours.js';
+import { CONFIG } from '../public/js/config.js';
+import { StatusResolver } from '../public/js/status-resolver.js';
+import { formatStatusBadge, formatStatusDetail, formatCountdown } from '../public/js/status-display.js';
+import { validateStatusEntry, findConflicts } from '../public/js/status-validation.js';
+import { recordRevision, listRevisions, getRevision, getRestoreTarget } from './_lib/revisions.js';
+import {
+    compose, errorHandler, logger, cors, securityHeaders, cacheControl,
+    rateLimit, requireAuth, microcms, validateQuery, route, logSecurityEvent
+} from './_lib/middleware.js';
+import { badRequest, notFound, conflict } from './_lib/errors.js';
+import { microcmsRequest, contentPath, isContentId } from './_lib/microcms.js';
+import { sanitizeString } from './_lib/sanitize.js';
+import { getClientIp } from './_lib/rate-limit.js';
+
+const ENDPOINT = 'business-status';
 
 /**
  * MicroCMS 営業状況APIのプロキシエンドポイント
  * セキュリティ強化：認証必須 + CORS制限 + レート制限
+ *
+ * GET    /api/business-status                          一覧取得
+ * GET    /api/business-status?action=history&id=xxx    変更履歴（認証必須）
+ * POST   /api/business-status                          新規作成（認証必須）
+ * POST   /api/business-status?action=restore&id=xxx&revision=3  リビジョンの内容に復元（認証必須）
+ * POST   /api/business-status?action=end&id=xxx        今すぐ終了（認証必須）
+ * POST   /api/business-status?action=extend&id=xxx&hours=2  終了日時を延長（認証必須）
+ * PATCH  /api/business-status?id=xxx                   更新（認証必須）
+ * DELETE /api/business-status?id=xxx                   削除（認証必須）
+ *
+ * 変更履歴の参照は read-only 以上、書き込み・復元は staff 以上のロールが必要（api/_lib/auth.js）
+ *
+ * 作成・更新時は項目ごとに検証し、不正な場合は 400 { error, message, errors: [{ field, message }] } を返す
+ * 同じ優先度の営業状況と期間が重なる場合は 409 { error, message, conflicts } を返す（&force=1 で保存）
+ * 優先度の異なる重複は保存したうえで warnings として返す
+ *
+ * POST・PATCH に &dryRun=1 を付けると検証と重複チェックのみ行い、保存せずに
+ * 反映後の営業状況バーの表示（バッジ・詳細・カウントダウン）と切り替わりのタイムラインを返す
+ *   &at=日時            その時点の表示と、以降24時間のタイムライン（省略時は現在または開始日時）
+ *   &from=日時&to=日時  期間の開始時点の表示と、期間内のタイムライン（最大31日）
  */
-export default async function handler(req, res) {
-    try {
-        // CORS設定（環境変数で制御）
-        const allowedOrigin = getAllowedOrigin(req);
-        setCorsHeaders(res, allowedOrigin);
-        
-        // プリフライトリクエスト対応
-        if (req.method === 'OPTIONS') {
-            return res.status(200).end();
-        }
-
-        // 環境変数チェック
-        const { apiKey, serviceDomain } = validateEnvironmentVariables();
-
-        // 書き込み操作には認証が必要
-        if (['POST', 'PATCH', 'DELETE'].includes(req.method)) {
-            const authResult = authenticate(req);
-            if (!authResult.authorized) {
-                logSecurityEvent('auth_failed', req, authResult.message);
-                return res.status(401).json({
-                    error: 'Unauthorized',
-                    message: authResult.message || '認証が必要です'
-                });
-            }
-            logSecurityEvent('auth_success', req);
-        }
-
-        // ベースURL
-        const baseUrl = `https://${serviceDomain}.microcms.io/api/v1/business-status`;
-        
-        // リクエストメソッド別の処理
-        switch (req.method) {
-            case 'GET':
-                return await handleGet(req, res, baseUrl, apiKey);
-            case 'POST':
-                return await handlePost(req, res, baseUrl, apiKey);
-            case 'PATCH':
-                return await handlePatch(req, res, baseUrl, apiKey);
-            case 'DELETE':
-                return await handleDelete(req, res, baseUrl, apiKey);
-            default:
-                return res.status(405).json({ 
-                    error: 'Method not allowed',
-                    message: `${req.method}メソッドはサポートされていません`
-                });
-        }
-        
-    } catch (error) {
-        return handleError(error, req, res);
-    }
-}
-
-/**
- * 許可されたオリジンを取得
- */
-function getAllowedOrigin(req) {
-    const requestOrigin = req.headers.origin;
-    const allowedOrigin = process.env.ALLOWED_ORIGIN;
-    
-    // 環境変数が設定されていない場合
-    if (!allowedOrigin) {
-        // 開発環境ではリクエスト元を許可
-        if (process.env.NODE_ENV === 'development') {
-            return requestOrigin || '*';
-        }
-        // 本番環境では警告
-        console.warn('⚠️ ALLOWED_ORIGIN環境変数が未設定です。セキュリティリスクがあります。');
-        return requestOrigin || '*';
-    }
-    
-    // カンマ区切りで複数ドメインに対応
-    const allowedOrigins = allowedOrigin.split(',').map(o => o.trim());
-    
-    // リクエスト元が許可リストに含まれているか確認
-    if (requestOrigin && allowedOrigins.includes(requestOrigin)) {
-        return requestOrigin;
-    }
-    
-    // 最初の許可オリジンを返す（フォールバック）
-    return allowedOrigins[0];
-}
-
-/**
- * CORSヘッダーを設定
- */
-function setCorsHeaders(res, allowedOrigin) {
-    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.setHeader('Access-Control-Max-Age', '86400'); // 24時間
-    res.setHeader('Cache-Control', 'private, no-cache, no-store, must-revalidate');
-    
-    // セキュリティヘッダー
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'DENY');
-    res.setHeader('X-XSS-Protection', '1; mode=block');
-}
-
-/**
- * 環境変数の検証
- */
-function validateEnvironmentVariables() {
-    const apiKey = process.env.MICROCMS_BUSINESS_STATUS_API_KEY;
-    const serviceDomain = process.env.MICROCMS_SERVICE_DOMAIN;
-    
-    if (!apiKey || !serviceDomain) {
-        throw new Error('サーバー設定エラー：必要な環境変数が設定されていません');
-    }
-    
-    return { apiKey, serviceDomain };
-}
-
-/**
- * 認証チェック（Bearer Token）
- */
-function authenticate(req) {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader) {
-        return { 
-            authorized: false, 
-            message: '認証ヘッダーが必要です（Authorization: Bearer <token>）' 
-        };
-    }
-    
-    // Bearer トークンの抽出
-    const token = authHeader.replace(/^Bearer\s+/i, '');
-    
-    if (!token) {
-        return { 
-            authorized: false, 
-            message: '有効なトークンが必要です' 
-        };
-    }
-    
-    // 環境変数からトークンを取得
-    const validToken = process.env.ADMIN_TOKEN;
-    
-    if (!validToken) {
-        console.error('❌ ADMIN_TOKEN環境変数が設定されていません');
-        return { 
-            authorized: false, 
-            message: 'サーバー設定エラー：管理者トークンが未設定です' 
-        };
-    }
-    
-    // タイミングセーフな比較
-    if (!timingSafeEqual(token, validToken)) {
-        return { 
-            authorized: false, 
-            message: '認証に失敗しました' 
-        };
-    }
-    
-    return { authorized: true };
-}
+export default compose(
+    errorHandler({
+        name: 'Business Status',
+        error: 'Business status operation failed',
+        fallbackMessage: '営業状況の操作に失敗しました。しばらくしてから再度お試しください'
+    }),
+    logger('Business Status'),
+    cors({ methods: ['GET', 'POST', 'PATCH', 'DELETE'], headers: ['Content-Type', 'Authorization'] }),
+    securityHeaders(),
+    cacheControl('private, no-cache, no-store, must-revalidate'),
+    // 認証が必要な操作は書き込み用の上限
+    rateLimit({ scope: req => (requiresAuth(req) ? 'write' : 'read') }),
+    microcms('MICROCMS_BUSINESS_STATUS_API_KEY'),
+    requireAuth({
+        when: requiresAuth,
+        permission: req => (req.method === 'GET' ? 'status:read' : 'status:write')
+    }),
+    route({
+        GET: (req, res) => (req.query.action === 'history' ? handleHistory(req, res) : handleGet(req, res)),
+        POST: (req, res) => (POST_ACTIONS[req.query.action] || handlePost)(req, res),
+        PATCH: handlePatch,
+        DELETE: handleDelete
+    })
+);
 
 /**
- * タイミングセーフな文字列比較（タイミング攻撃対策）
+ * 書き込み操作と変更履歴の参照には認証が必要
  */
-function timingSafeEqual(a, b) {
-    if (typeof a !== 'string' || typeof b !== 'string') {
-        return false;
-    }
-    
-    const bufA = Buffer.from(a, 'utf8');
-    const bufB = Buffer.from(b, 'utf8');
-    
-    // 長さが異なる場合
-    if (bufA.length !== bufB.length) {
-        // ダミー比較で同じ時間をかける（タイミング攻撃対策）
-        const dummyBuf = Buffer.alloc(bufA.length);
-        try {
-            crypto.timingSafeEqual(bufA, dummyBuf);
-        } catch {}
-        return false;
-    }
-    
-    try {
-        return crypto.timingSafeEqual(bufA, bufB);
-    } catch {
-        return false;
-    }
+function requiresAuth(req) {
+    return ['POST', 'PATCH', 'DELETE'].includes(req.method) || req.query.action === 'history';
 }
 
-/**
- * セキュリティイベントのログ記録
- */
-function logSecurityEvent(eventType, req, message = '') {
-    const ip = req.headers['x-forwarded-for'] || 
-               req.headers['x-real-ip'] || 
-               req.connection?.remoteAddress || 
-               'unknown';
-    
-    const userAgent = req.headers['user-agent'] || 'unknown';
-    
-    const logEntry = {
-        timestamp: new Date().toISOString(),
-        event: eventType,
-        ip,
-        userAgent,
-        method: req.method,
-        path: req.url,
-        message
-    };
-    
-    if (eventType === 'auth_failed') {
-        console.warn('⚠️ 認証失敗:', JSON.stringify(logEntry));
-    } else if (process.env.NODE_ENV === 'development') {
-        console.log('🔐 セキュリティイベント:', JSON.stringify(logEntry));
-    }
-}
+// 一覧・履歴のページング
+const pagingSchema = (defaultLimit) => ({
+    limit: { type: 'int', min: 1, max: 100, default: defaultLimit, message: 'limitは1-100の範囲で指定してください' },
+    offset: { type: 'int', min: 0, default: 0, message: 'offsetは0以上の数値を指定してください' }
+});
 
 /**
  * GET: 営業状況一覧取得（認証不要）
  */
-async function handleGet(req, res, baseUrl, apiKey) {
-    const { limit = 10, offset = 0, filters, orders = '-updatedAt' } = req.query;
-    
-    // パラメータ検証
-    const limitNum = parseInt(limit);
-    const offsetNum = parseInt(offset);
-    
-    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-        return res.status(400).json({
-            error: 'Invalid limit parameter',
-            message: 'limitは1-100の範囲で指定してください'
-        });
-    }
-    
-    if (isNaN(offsetNum) || offsetNum < 0) {
-        return res.status(400).json({
-            error: 'Invalid offset parameter',
-            message: 'offsetは0以上の数値を指定してください'
-        });
-    }
-    
-    // MicroCMS APIのURL構築
-    const params = new URLSearchParams({
-        limit: limitNum.toString(),
-        offset: offsetNum.toString(),
-        orders
-    });
-    
+const handleGet = compose(validateQuery(pagingSchema(10)), async (req, res) => {
+    const { limit, offset } = req.validated;
+    const { filters, orders = '-updatedAt' } = req.query;
+
+    const query = { limit: String(limit), offset: String(offset), orders };
     if (filters) {
-        params.append('filters', filters);
+        query.filters = filters;
     }
-    
-    const apiUrl = `${baseUrl}?${params}`;
-    
-    // MicroCMSにリクエスト
-    const response = await fetch(apiUrl, {
-        method: 'GET',
-        headers: {
-            'X-MICROCMS-API-KEY': apiKey,
-            'Content-Type': 'application/json'
-        },
-        signal: AbortSignal.timeout(10000)
-    });
 
-    if (!response.ok) {
-        // 404の場合は空のレスポンスを返す
-        if (response.status === 404) {
-            return res.status(200).json({
-                contents: [],
-                totalCount: 0,
-                offset: 0,
-                limit: limitNum
-            });
-        }
-        
-        const errorText = await response.text();
-        console.error(`MicroCMS API error: ${response.status}`, errorText);
-        throw new Error(`API呼び出しエラー: ${response.status}`);
-    }
+    // 404の場合は空のレスポンスを返す
+    const data = await microcmsRequest(req.microcms, ENDPOINT, {
+        query,
+        notFound: { contents: [], totalCount: 0, offset: 0, limit }
+    });
 
-    const data = await response.json();
-    
     // データの後処理（サニタイズ）
     const processedData = {
         contents: data.contents?.map(item => ({
@@ -294,13 +108,14 @@ async function handleGet(req, res, baseUrl, apiKey) {
             priority: item.priority || 1,
             startTime: item.startTime,
             endTime: item.endTime,
-            customHours: sanitizeString(item.customHours),
+            customHours: sanitizeCustomHours(parseCustomHours(item.customHours)),
+            recurrence: parseRecurrence(item.recurrence),
             publishedAt: item.publishedAt,
             updatedAt: item.updatedAt
         })) || [],
         totalCount: data.totalCount || 0,
         offset: data.offset || 0,
-        limit: data.limit || limitNum
+        limit: data.limit || limit
     };
 
     // ログ出力（開発時のみ）
@@ -309,31 +124,17 @@ async function handleGet(req, res, baseUrl, apiKey) {
     }
 
     return res.status(200).json(processedData);
-}
+});
 
 /**
  * POST: 営業状況新規作成（認証必須）
  */
-async function handlePost(req, res, baseUrl, apiKey) {
+async function handlePost(req, res) {
     // リクエストボディの検証
-    const { status, reason, message, priority, startTime, endTime, customHours } = req.body;
-    
-    if (!status) {
-        return res.status(400).json({
-            error: 'Invalid request body',
-            message: 'statusは必須項目です'
-        });
-    }
-    
-    // 有効な営業状況の確認
-    const validStatuses = ['closed', 'short', 'special'];
-    if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-            error: 'Invalid status value',
-            message: `statusは${validStatuses.join(', ')}のいずれかを指定してください`
-        });
-    }
-    
+    assertValid(validateStatusEntry(req.body));
+
+    const { status, reason, message, priority, startTime, endTime, customHours, recurrence } = req.body;
+
     // リクエストデータの準備
     const requestData = {
         status: sanitizeString(status),
@@ -342,37 +143,36 @@ async function handlePost(req, res, baseUrl, apiKey) {
         priority: parseInt(priority) || 1,
         startTime: startTime || new Date().toISOString(),
         endTime: endTime || null,
-        customHours: sanitizeString(customHours) || null
+        customHours: prepareCustomHours(customHours),
+        recurrence: prepareRecurrence(recurrence)
     };
-    
+
+    if (isFlagSet(req, 'dryRun')) {
+        return handleDryRun(req, res, requestData, { ...requestData, id: DRY_RUN_ID });
+    }
+
+    // 期間の重複チェック（同じ優先度の重複は force 指定がなければ保存しない）
+    const warnings = await checkConflicts(req, requestData);
+
     // 操作ログ
     logSecurityEvent('status_create', req, `Creating status: ${requestData.status}`);
-    
-    // MicroCMSにリクエスト
-    const response = await fetch(baseUrl, {
-        method: 'POST',
-        headers: {
-            'X-MICROCMS-API-KEY': apiKey,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestData),
-        signal: AbortSignal.timeout(10000)
-    });
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`MicroCMS POST error: ${response.status}`, errorText);
-        throw new Error(`営業状況の作成に失敗しました: ${response.status}`);
-    }
+    const result = await microcmsRequest(req.microcms, ENDPOINT, { method: 'POST', body: requestData });
 
-    const result = await response.json();
-    
     console.log(`✅ Business Status Created: ${result.id}`);
 
+    const revision = await saveRevision(req, {
+        statusId: result.id,
+        action: 'create',
+        after: requestData
+    });
+
     return res.status(201).json({
         id: result.id,
         message: '営業状況を設定しました',
         data: requestData,
+        revision,
+        warnings,
         timestamp: new Date().toISOString()
     });
 }
@@ -380,64 +180,64 @@ async function handlePost(req, res, baseUrl, apiKey) {
 /**
  * PATCH: 営業状況更新（認証必須）
  */
-async function handlePatch(req, res, baseUrl, apiKey) {
-    const contentId = req.query.id;
-    
-    if (!contentId) {
-        return res.status(400).json({
-            error: 'Missing content ID',
-            message: '更新対象のIDが指定されていません'
-        });
-    }
-    
-    const { status, reason, message, priority, startTime, endTime, customHours } = req.body;
-    
+async function handlePatch(req, res) {
+    const contentId = requireContentId(req, '更新対象のIDが指定されていません');
+
+    // 変更履歴・日時の前後関係の確認のため更新前の内容を取得
+    const before = await fetchStatusItem(req, contentId);
+
+    assertValid(validateStatusEntry(req.body, { partial: true, current: before }));
+
+    const { status, reason, message, priority, startTime, endTime, customHours, recurrence } = req.body;
+
     // 更新データの準備
     const updateData = {};
     if (status !== undefined) updateData.status = sanitizeString(status);
     if (reason !== undefined) updateData.reason = sanitizeString(reason);
     if (message !== undefined) updateData.message = sanitizeString(message);
-    if (priority !== undefined) updateData.priority = parseInt(priority);
+    if (priority !== undefined) updateData.priority = parseInt(priority) || 1;
     if (startTime !== undefined) updateData.startTime = startTime;
     if (endTime !== undefined) updateData.endTime = endTime;
-    if (customHours !== undefined) updateData.customHours = sanitizeString(customHours);
-    
+    if (customHours !== undefined) updateData.customHours = prepareCustomHours(customHours);
+    if (recurrence !== undefined) updateData.recurrence = prepareRecurrence(recurrence);
+
+    if (Object.keys(updateData).length === 0) {
+        throw badRequest('Invalid request body', '更新する項目が指定されていません');
+    }
+
+    if (isFlagSet(req, 'dryRun')) {
+        return handleDryRun(req, res, updateData, { ...before, ...updateData, id: contentId });
+    }
+
+    const warnings = await checkConflicts(req, { ...before, ...updateData, id: contentId });
+
     // 操作ログ
     logSecurityEvent('status_update', req, `Updating status: ${contentId}`);
-    
-    // MicroCMSにリクエスト
-    const response = await fetch(`${baseUrl}/${contentId}`, {
+
+    const result = await microcmsRequest(req.microcms, contentPath(ENDPOINT, contentId), {
         method: 'PATCH',
-        headers: {
-            'X-MICROCMS-API-KEY': apiKey,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(updateData),
-        signal: AbortSignal.timeout(10000)
+        body: updateData,
+        notFound: null
     });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`MicroCMS PATCH error: ${response.status}`, errorText);
-        
-        if (response.status === 404) {
-            return res.status(404).json({
-                error: 'Content not found',
-                message: '指定された営業状況が見つかりません'
-            });
-        }
-        
-        throw new Error(`営業状況の更新に失敗しました: ${response.status}`);
+    if (!result) {
+        throw statusNotFound();
     }
 
-    const result = await response.json();
-    
     console.log(`✅ Business Status Updated: ${contentId}`);
 
+    const revision = await saveRevision(req, {
+        statusId: contentId,
+        action: 'update',
+        before,
+        after: { ...before, ...updateData }
+    });
+
     return res.status(200).json({
         id: result.id,
         message: '営業状況を更新しました',
         data: updateData,
+        revision,
+        warnings,
         timestamp: new Date().toISOString()
     });
 }
@@ -445,117 +245,443 @@ async function handlePatch(req, res, baseUrl, apiKey) {
 /**
  * DELETE: 営業状況削除（認証必須）
  */
-async function handleDelete(req, res, baseUrl, apiKey) {
-    const contentId = req.query.id;
-    
-    if (!contentId) {
-        return res.status(400).json({
-            error: 'Missing content ID',
-            message: '削除対象のIDが指定されていません'
-        });
-    }
-    
+async function handleDelete(req, res) {
+    const contentId = requireContentId(req, '削除対象のIDが指定されていません');
+
+    // 変更履歴のため削除前の内容を取得
+    const before = await fetchStatusItem(req, contentId);
+
     // 操作ログ
     logSecurityEvent('status_delete', req, `Deleting status: ${contentId}`);
-    
-    // MicroCMSにリクエスト
-    const response = await fetch(`${baseUrl}/${contentId}`, {
+
+    const deleted = await microcmsRequest(req.microcms, contentPath(ENDPOINT, contentId), {
         method: 'DELETE',
-        headers: {
-            'X-MICROCMS-API-KEY': apiKey
-        },
-        signal: AbortSignal.timeout(10000)
+        notFound: false
     });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`MicroCMS DELETE error: ${response.status}`, errorText);
-        
-        if (response.status === 404) {
-            return res.status(404).json({
-                error: 'Content not found',
-                message: '指定された営業状況が見つかりません'
-            });
-        }
-        
-        throw new Error(`営業状況の削除に失敗しました: ${response.status}`);
+    if (deleted === false) {
+        throw statusNotFound();
     }
-    
+
     console.log(`✅ Business Status Deleted: ${contentId}`);
 
+    const revision = await saveRevision(req, {
+        statusId: contentId,
+        action: 'delete',
+        before
+    });
+
     return res.status(200).json({
         message: '営業状況を削除しました',
         deletedId: contentId,
+        revision,
         timestamp: new Date().toISOString()
     });
 }
 
 /**
- * 文字列のサニタイズ（XSS対策）
+ * GET ?action=history: 営業状況の変更履歴取得（認証必須）
+ */
+const handleHistory = compose(validateQuery(pagingSchema(50)), async (req, res) => {
+    const contentId = requireContentId(req, '履歴を取得する営業状況のIDが指定されていません');
+    const { limit, offset } = req.validated;
+
+    const { revisions, totalCount } = await listRevisions(req.microcms, contentId, { limit, offset });
+
+    return res.status(200).json({
+        id: contentId,
+        revisions,
+        totalCount,
+        offset,
+        limit
+    });
+});
+
+/**
+ * POST ?action=restore: 指定リビジョンの内容に復元（認証必須）
+ * 削除済みの営業状況は同じIDで作り直す
+ */
+const handleRestore = compose(validateQuery({
+    revision: { type: 'int', min: 1, required: true, message: 'revisionは1以上の数値を指定してください' }
+}), async (req, res) => {
+    const contentId = requireContentId(req, '復元対象のIDが指定されていません');
+    const revisionNum = req.validated.revision;
+
+    const revision = await getRevision(req.microcms, contentId, revisionNum);
+    if (!revision) {
+        throw notFound('Revision not found', '指定されたリビジョンが見つかりません');
+    }
+
+    const target = getRestoreTarget(revision);
+    if (!target) {
+        throw badRequest('Invalid revision', 'このリビジョンには復元できる内容がありません');
+    }
+
+    const before = await fetchStatusItem(req, contentId, { allowMissing: true });
+
+    // 操作ログ
+    logSecurityEvent('status_restore', req, `Restoring status: ${contentId} to revision ${revisionNum}`);
+
+    // 存在する場合は更新、削除済みの場合は同じIDで作成
+    await microcmsRequest(req.microcms, contentPath(ENDPOINT, contentId), {
+        method: before ? 'PATCH' : 'PUT',
+        body: target
+    });
+
+    console.log(`✅ Business Status Restored: ${contentId} (revision ${revisionNum})`);
+
+    const newRevision = await saveRevision(req, {
+        statusId: contentId,
+        action: 'restore',
+        before,
+        after: target,
+        restoredFrom: revisionNum
+    });
+
+    return res.status(200).json({
+        id: contentId,
+        message: `リビジョン${revisionNum}の内容に復元しました`,
+        data: target,
+        revision: newRevision,
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * POST ?action=end: 営業状況を今すぐ終了（認証必須）
+ * 終了日時をサーバーの現在時刻にする（閲覧者の端末時刻のずれに影響されない）
+ * 繰り返し設定の場合はルールの有効期間が終わるため、以降の予定も適用されなくなる
  */
-function sanitizeString(str) {
-    if (typeof str !== 'string') return str;
-    
-    return str
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;')
-        .replace(/[\x00-\x1F\x7F]/g, '') // 制御文字を除去
-        .substring(0, 1000); // 最大長制限
+async function handleEnd(req, res) {
+    const contentId = requireContentId(req, '終了する営業状況のIDが指定されていません');
+    const before = await fetchStatusItem(req, contentId);
+    const now = new Date();
+
+    if (before.endTime && new Date(before.endTime) <= now) {
+        throw badRequest('Already ended', 'この営業状況はすでに終了しています');
+    }
+    if (before.startTime && new Date(before.startTime) > now) {
+        throw badRequest('Not started', '開始前の営業状況は終了できません。削除してください');
+    }
+
+    return updateEndTime(req, res, {
+        contentId,
+        before,
+        endTime: now.toISOString(),
+        event: 'status_end',
+        message: '営業状況を終了しました'
+    });
 }
 
 /**
- * エラーハンドリング
+ * POST ?action=extend: 営業状況の終了日時を延長（認証必須）
+ * 終了済みの場合は現在時刻から延長する
  */
-function handleError(error, req, res) {
-    console.error('Business Status API Error:', error);
-    
-    // エラーレスポンス
-    const errorResponse = {
-        error: 'Business status operation failed',
-        message: getErrorMessage(error),
+const handleExtend = compose(validateQuery({
+    hours: { type: 'int', min: 1, max: 72, required: true, message: 'hoursは1-72の範囲で指定してください' }
+}), async (req, res) => {
+    const contentId = requireContentId(req, '延長する営業状況のIDが指定されていません');
+    const { hours } = req.validated;
+    const before = await fetchStatusItem(req, contentId);
+
+    if (!before.endTime) {
+        throw badRequest('No end time', '終了日時が設定されていないため延長できません');
+    }
+    if (parseRecurrence(before.recurrence)) {
+        throw badRequest('Recurring status', '繰り返し設定の営業状況は延長できません。終了日時を編集してください');
+    }
+
+    const base = Math.max(new Date(before.endTime).getTime(), Date.now());
+
+    return updateEndTime(req, res, {
+        contentId,
+        before,
+        endTime: new Date(base + hours * 60 * 60 * 1000).toISOString(),
+        event: 'status_extend',
+        message: `営業状況を${hours}時間延長しました`
+    });
+});
+
+// POST の action パラメータごとの処理（指定なしは新規作成）
+const POST_ACTIONS = {
+    restore: handleRestore,
+    end: handleEnd,
+    extend: handleExtend
+};
+
+/**
+ * 終了日時のみを更新し、変更履歴を記録
+ */
+async function updateEndTime(req, res, { contentId, before, endTime, event, message }) {
+    // 操作ログ
+    logSecurityEvent(event, req, `${contentId} endTime: ${before.endTime || 'none'} -> ${endTime}`);
+
+    const result = await microcmsRequest(req.microcms, contentPath(ENDPOINT, contentId), {
+        method: 'PATCH',
+        body: { endTime },
+        notFound: null
+    });
+    if (!result) {
+        throw statusNotFound();
+    }
+
+    console.log(`✅ Business Status ${event === 'status_end' ? 'Ended' : 'Extended'}: ${contentId}`);
+
+    const revision = await saveRevision(req, {
+        statusId: contentId,
+        action: 'update',
+        before,
+        after: { ...before, endTime }
+    });
+
+    return res.status(200).json({
+        id: contentId,
+        message,
+        data: { endTime },
+        revision,
         timestamp: new Date().toISOString()
-    };
-    
-    // 開発環境では詳細なエラー情報を含める
-    if (process.env.NODE_ENV === 'development') {
-        errorResponse.details = error.message;
-        errorResponse.stack = error.stack;
+    });
+}
+
+/**
+ * 検証エラーがあれば 400 を返す（message には最初のエラー、errors には全項目のエラー）
+ * @param {Array} errors - validateStatusEntry() の結果
+ */
+function assertValid(errors) {
+    if (errors.length > 0) {
+        throw badRequest('Validation failed', errors[0].message, { errors });
     }
-    
-    // エラーの種類に応じたステータスコード
-    let statusCode = 500;
-    if (error.message.includes('認証')) statusCode = 401;
-    if (error.message.includes('権限')) statusCode = 403;
-    if (error.message.includes('見つかりません')) statusCode = 404;
-    if (error.message.includes('制限')) statusCode = 429;
-    if (error.message.includes('設定')) statusCode = 500;
-    
-    return res.status(statusCode).json(errorResponse);
 }
 
 /**
- * エラーメッセージの取得
+ * 既存の営業状況との期間の重複を確認
+ * 同じ優先度の重複は force=1 の指定がなければ 409、それ以外は警告として返す
+ * @param {Object} entry - 保存する内容（更新時は id を含む）
+ * @returns {Promise<Array>} 警告として返す重複
  */
-function getErrorMessage(error) {
-    const message = error.message || 'Unknown error';
-    
-    const messageMap = {
-        '認証エラー': 'サービスの認証に失敗しました',
-        'アクセス権限エラー': 'データへのアクセス権限がありません',
-        'データが見つかりません': '要求されたデータが見つかりません',
-        'リクエスト制限に達しました': 'アクセス制限中です。しばらくお待ちください',
-        'MicroCMSサーバーエラー': 'データサービスで問題が発生しています',
-        'サーバー設定エラー': 'サーバーの設定に問題があります'
-    };
-    
-    for (const [key, value] of Object.entries(messageMap)) {
-        if (message.includes(key)) {
-            return value;
+async function checkConflicts(req, entry) {
+    const conflicts = findConflicts(entry, await fetchStatusList(req));
+    const blocking = conflicts.filter(item => item.severity === 'error');
+
+    if (blocking.length > 0 && !isFlagSet(req, 'force')) {
+        throw conflict('Conflicting status', blocking[0].message, { conflicts });
+    }
+
+    return conflicts;
+}
+
+// ドライランで新規作成する営業状況の仮ID
+const DRY_RUN_ID = 'dry-run';
+
+// ドライランのタイムラインの既定の長さと上限
+const PREVIEW_DEFAULT_HOURS = 24;
+const PREVIEW_MAX_DAYS = 31;
+
+const dryRunQuery = validateQuery({
+    at: { type: 'date', message: 'atはISO 8601形式の日時で指定してください' },
+    from: { type: 'date', message: 'fromはISO 8601形式の日時で指定してください' },
+    to: { type: 'date', message: 'toはISO 8601形式の日時で指定してください' }
+});
+
+/**
+ * ドライラン: 保存せずに反映後の営業状況を判定して返す
+ * @param {Object} data - 保存される内容（作成時は全項目、更新時は変更項目）
+ * @param {Object} entry - 反映後の営業状況（更新時は既存の内容と変更項目を統合したもの）
+ */
+async function handleDryRun(req, res, data, entry) {
+    await dryRunQuery(req, res, () => {});
+
+    const now = new Date();
+    const { at, from, to } = req.validated;
+
+    // 未指定の場合は現在時刻、開始日時が未来ならその時点から
+    const entryStart = entry.startTime ? new Date(entry.startTime) : now;
+    const start = at || from || (entryStart > now ? entryStart : now);
+    const end = to || new Date(start.getTime() + PREVIEW_DEFAULT_HOURS * 60 * 60 * 1000);
+
+    if (end <= start) {
+        throw badRequest('Invalid preview range', 'toはfrom（またはat）より後の日時を指定してください');
+    }
+    if (end - start > PREVIEW_MAX_DAYS * 24 * 60 * 60 * 1000) {
+        throw badRequest('Invalid preview range', `プレビューの期間は${PREVIEW_MAX_DAYS}日以内で指定してください`);
+    }
+
+    // 未公開の下書きを更新する場合も、公開された状態として判定する
+    const draft = { ...entry, publishedAt: entry.publishedAt || now.toISOString() };
+    const others = await fetchStatusList(req);
+    const contents = [...others.filter(item => item.id !== draft.id), draft];
+
+    const resolver = new StatusResolver(CONFIG.business);
+    const describe = (status, time) => ({
+        type: status.type,
+        badge: formatStatusBadge(status),
+        message: status.message,
+        detail: formatStatusDetail(status),
+        countdown: formatCountdown(status, time),
+        isManual: status.isManual,
+        overrideId: status.overrideId || null,
+        // 検証中の営業状況が表示されているか
+        fromDraft: status.overrideId === draft.id
+    });
+
+    return res.status(200).json({
+        dryRun: true,
+        message: '検証に成功しました（保存はされていません）',
+        data,
+        conflicts: findConflicts(draft, others, { now }),
+        preview: {
+            at: start.toISOString(),
+            to: end.toISOString(),
+            timezone: CONFIG.business.timezone,
+            status: describe(resolver.resolve(contents, start), start),
+            timeline: resolver.getTimeline(contents, start, end).map(transition => ({
+                at: transition.at.toISOString(),
+                ...describe(transition.status, transition.at)
+            }))
+        },
+        timestamp: now.toISOString()
+    });
+}
+
+/**
+ * 営業状況を全件取得（重複チェック・ドライラン用）
+ */
+async function fetchStatusList(req) {
+    const data = await microcmsRequest(req.microcms, ENDPOINT, {
+        query: { limit: '100' },
+        notFound: { contents: [] }
+    });
+    return data.contents || [];
+}
+
+/**
+ * 真偽値のクエリパラメータ（1 または true）が指定されているか
+ */
+function isFlagSet(req, name) {
+    return req.query[name] === '1' || req.query[name] === 'true';
+}
+
+/**
+ * 対象IDを取得（未指定の場合は400）
+ */
+function requireContentId(req, message) {
+    const contentId = req.query.id;
+    if (!contentId) {
+        throw badRequest('Missing content ID', message);
+    }
+    // MicroCMS のパス・filters に埋め込むため、"/" "?" "[" などを含むIDは受け付けない
+    if (!isContentId(contentId)) {
+        throw badRequest('Invalid content ID', 'IDの形式が正しくありません');
+    }
+    return contentId;
+}
+
+/**
+ * 営業状況が見つからない場合のエラー
+ */
+function statusNotFound() {
+    return notFound('Content not found', '指定された営業状況が見つかりません');
+}
+
+/**
+ * MicroCMSから営業状況を1件取得
+ * @param {Object} options - { allowMissing } 存在しない場合に例外ではなく null を返す
+ * @returns {Promise<Object|null>} 営業状況
+ */
+async function fetchStatusItem(req, contentId, { allowMissing = false } = {}) {
+    const item = await microcmsRequest(req.microcms, contentPath(ENDPOINT, contentId), {
+        notFound: null
+    });
+
+    if (!item && !allowMissing) {
+        throw statusNotFound();
+    }
+    return item;
+}
+
+/**
+ * 変更履歴を記録
+ * 記録に失敗しても操作自体は完了しているため、エラーはログに残して null を返す
+ * @returns {Promise<number|null>} 記録したリビジョン番号
+ */
+async function saveRevision(req, entry) {
+    try {
+        const revision = await recordRevision(req.microcms, {
+            ...entry,
+            actor: req.auth?.actor,
+            ip: getClientIp(req)
+        });
+        return revision.revision;
+    } catch (error) {
+        console.error('❌ 変更履歴の記録に失敗しました:', entry.statusId, entry.action, error.message);
+        return null;
+    }
+}
+
+/**
+ * 繰り返しルールを検証し、MicroCMS保存用のJSON文字列に変換
+ * @returns {string|null} 保存する値
+ */
+function prepareRecurrence(recurrence) {
+    if (recurrence === undefined || recurrence === null || recurrence === '') {
+        return null;
+    }
+
+    let rule = recurrence;
+    if (typeof recurrence === 'string') {
+        try {
+            rule = JSON.parse(recurrence);
+        } catch {
+            throw badRequest('Invalid recurrence', 'recurrenceは有効なJSONで指定してください');
         }
     }
-    
-    return '営業状況の操作に失敗しました。しばらくしてから再度お試しください';
-}
\ No newline at end of file
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw badRequest('Invalid recurrence', 'recurrenceはオブジェクトで指定してください');
+    }
+
+    const error = validateRecurrence(rule);
+    if (error) {
+        throw badRequest('Invalid recurrence', error);
+    }
+
+    return JSON.stringify(parseRecurrence(rule));
+}
+
+/**
+ * 時短営業の営業時間を検証し、MicroCMS保存用のJSON文字列に変換
+ * 旧形式の "11:00-15:00" も受け付ける
+ * @returns {string|null} 保存する値
+ */
+function prepareCustomHours(customHours) {
+    if (customHours === undefined || customHours === null || customHours === '') {
+        return null;
+    }
+
+    let hours = customHours;
+    if (typeof customHours === 'string') {
+        hours = parseCustomHours(customHours);
+        if (!hours) {
+            throw badRequest('Invalid customHours', 'customHoursは { openTime, closeTime, lastOrderTime } 形式（HH:MM）で指定してください');
+        }
+    }
+
+    if (typeof hours !== 'object') {
+        throw badRequest('Invalid customHours', 'customHoursはオブジェクトまたは配列で指定してください');
+    }
+
+    const error = validateCustomHours(hours);
+    if (error) {
+        throw badRequest('Invalid customHours', error);
+    }
+
+    return JSON.stringify(sanitizeCustomHours(parseCustomHours(hours)));
+}
+
+/**
+ * 営業時間のラベルをサニタイズ
+ */
+function sanitizeCustomHours(hours) {
+    if (!hours) return null;
+
+    return hours.map(period => ({ ...period, label: sanitizeString(period.label) }));
+}
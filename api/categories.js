@@ -0,0 +1,45 @@
+// api/categories.js - Vercel Functions用のニュースカテゴリ取得API
+
+import {
+    compose, errorHandler, logger, cors, securityHeaders, cacheControl,
+    rateLimit, microcms, route
+} from './_lib/middleware.js';
+import { fetchNewsCategories } from './_lib/news.js';
+
+/**
+ * ニュースのカテゴリ一覧（MicroCMS の categories API）
+ * 新着情報ページのフィルター・バッジの表示名と色に使用（public/js/news-categories.js）
+ *
+ * GET /api/categories
+ *
+ * label はHTMLエスケープしないテキスト（表示側でエスケープする）
+ * source は 'cms'（categories API）または 'default'（未作成・空のため既定のカテゴリ）
+ */
+export default compose(
+    errorHandler({
+        name: 'News Categories',
+        error: 'Failed to fetch categories',
+        fallbackMessage: 'カテゴリの取得に失敗しました。しばらくしてから再度お試しください'
+    }),
+    logger('News Categories'),
+    cors({ methods: ['GET'] }),
+    securityHeaders(),
+    // ニュースと同じく5分間キャッシュ可能
+    cacheControl('public, s-maxage=300, stale-while-revalidate=600'),
+    rateLimit(),
+    microcms('MICROCMS_API_KEY'),
+    route({ GET: handleGet })
+);
+
+/**
+ * GET: カテゴリ一覧取得
+ */
+async function handleGet(req, res) {
+    const { categories, source } = await fetchNewsCategories(req.microcms);
+
+    return res.status(200).json({
+        contents: categories,
+        totalCount: categories.length,
+        source
+    });
+}
@@ -1,277 +1,138 @@
 // api/news.js - Vercel Functions用のニュース取得API（CORS設定改善版）
 
+import {
+    compose, errorHandler, logger, cors, securityHeaders, cacheControl,
+    rateLimit, microcms, validateQuery, route
+} from './_lib/middleware.js';
+import { microcmsRequest } from './_lib/microcms.js';
+import { formatNewsItem, matchesNewsSearch, SLUG_PATTERN } from './_lib/news.js';
+import { parseSearchQuery } from '../public/js/text-search.js';
+
+// 検索語の最大文字数
+const QUERY_MAX_LENGTH = 100;
+
+// 検索時に MicroCMS から取得する記事数（1回あたり・合計）
+const SEARCH_PAGE_SIZE = 100;
+const SEARCH_MAX_ITEMS = 300;
+
 /**
  * MicroCMS ニュースAPIのプロキシエンドポイント
- * セキュリティ: APIキーをサーバーサイドで管理 + CORS制限
+ * セキュリティ: APIキーをサーバーサイドで管理 + CORS制限 + レート制限
+ *
+ * GET /api/news?limit=10&page=2            ページ単位で取得（page 指定時は offset より優先）
+ * GET /api/news?category=event             カテゴリで絞り込み
+ * GET /api/news?q=ランチ 限定             全文検索（タイトル・概要・本文、空白区切りでAND）
+ * GET /api/news/:id                        記事1件（api/news/[id].js）
+ *
+ * totalCount は絞り込み後の件数
+ *
+ * 検索は全角・半角やカタカナ・ひらがなの違いを区別しない（public/js/text-search.js）
+ * MicroCMS の q パラメータはこれらを区別するため使用せず、新しい順に最大 SEARCH_MAX_ITEMS 件を取得して絞り込む
+ * 検索は1回で MicroCMS に複数回問い合わせるため、レート制限は search の上限を使う
  */
-export default async function handler(req, res) {
-    try {
-        // CORS設定（環境変数で制御）
-        const allowedOrigin = getAllowedOrigin(req);
-        setCorsHeaders(res, allowedOrigin);
-        
-        // プリフライトリクエスト対応
-        if (req.method === 'OPTIONS') {
-            return res.status(200).end();
-        }
+export default compose(
+    errorHandler({
+        name: 'News',
+        error: 'Failed to fetch news',
+        fallbackMessage: 'データの取得に失敗しました。しばらくしてから再度お試しください'
+    }),
+    logger('News'),
+    cors({ methods: ['GET'] }),
+    securityHeaders(),
+    // ニュースは5分間キャッシュ可能
+    cacheControl('public, s-maxage=300, stale-while-revalidate=600'),
+    rateLimit({ scope: req => (req.query.q ? 'search' : 'read') }),
+    microcms('MICROCMS_API_KEY'),
+    route({ GET: compose(
+        validateQuery({
+            limit: { type: 'int', min: 1, max: 100, default: 10, message: 'limitは1-100の範囲で指定してください' },
+            offset: { type: 'int', min: 0, default: 0, message: 'offsetは0以上の数値を指定してください' },
+            page: { type: 'int', min: 1, message: 'pageは1以上の数値を指定してください' },
+            category: { type: 'string', pattern: SLUG_PATTERN, message: 'categoryは英数字・ハイフン・アンダースコアで指定してください' },
+            q: { type: 'string', maxLength: QUERY_MAX_LENGTH, message: `qは${QUERY_MAX_LENGTH}文字以内で指定してください` }
+        }),
+        handleGet
+    ) })
+);
 
-        // GETリクエストのみ許可
-        if (req.method !== 'GET') {
-            return res.status(405).json({ 
-                error: 'Method not allowed',
-                message: 'このエンドポイントはGETリクエストのみ対応しています'
-            });
-        }
+/**
+ * GET: ニュース一覧取得
+ */
+async function handleGet(req, res) {
+    const { limit, page, category, q } = req.validated;
+    const { orders = '-publishedAt', fields } = req.query;
+    const offset = page ? (page - 1) * limit : req.validated.offset;
 
-        // 環境変数チェック
-        const { apiKey, serviceDomain } = validateEnvironmentVariables();
+    // MicroCMS APIのクエリ構築
+    const query = {
+        limit: limit.toString(),
+        offset: offset.toString(),
+        orders
+    };
 
-        // クエリパラメータを取得・検証
-        const { 
-            limit = 10, 
-            offset = 0, 
-            filters, 
-            orders = '-publishedAt',
-            fields 
-        } = req.query;
-        
-        // パラメータ検証
-        const limitNum = parseInt(limit);
-        const offsetNum = parseInt(offset);
-        
-        if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-            return res.status(400).json({
-                error: 'Invalid limit parameter',
-                message: 'limitは1-100の範囲で指定してください'
-            });
-        }
-        
-        if (isNaN(offsetNum) || offsetNum < 0) {
-            return res.status(400).json({
-                error: 'Invalid offset parameter',
-                message: 'offsetは0以上の数値を指定してください'
-            });
-        }
+    // 絞り込み（category は SLUG_PATTERN で検証済みのため filters の構文を壊さない）
+    if (category) {
+        query.filters = `category[equals]${category}`;
+    }
 
-        // MicroCMS APIのURL構築
-        const params = new URLSearchParams({
-            limit: limitNum.toString(),
-            offset: offsetNum.toString(),
-            orders
+    const searchTerms = parseSearchQuery(q);
+    if (searchTerms.length > 0) {
+        // 検索にはタイトル・概要・本文が必要なため fields は使用しない
+        const matched = await searchNews(req.microcms, query, searchTerms);
+        return res.status(200).json({
+            contents: matched.slice(offset, offset + limit).map(item => formatNewsItem(item, { searchTerms })),
+            totalCount: matched.length,
+            offset,
+            limit,
+            page: Math.floor(offset / limit) + 1
         });
-        
-        // オプションパラメータの追加
-        if (filters) {
-            params.append('filters', filters);
-        }
-        
-        if (fields) {
-            params.append('fields', fields);
-        }
-        
-        const apiUrl = `https://${serviceDomain}.microcms.io/api/v1/news?${params}`;
-        
-        // MicroCMSにリクエスト
-        const response = await fetch(apiUrl, {
-            method: 'GET',
-            headers: {
-                'X-MICROCMS-API-KEY': apiKey,
-                'Content-Type': 'application/json'
-            },
-            signal: AbortSignal.timeout(10000)
-        });
-
-        // レスポンス確認
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`MicroCMS API error: ${response.status} ${response.statusText}`, errorText);
-            
-            // ステータスコード別のエラーハンドリング
-            switch (response.status) {
-                case 401:
-                    throw new Error('認証エラー');
-                case 403:
-                    throw new Error('アクセス権限エラー');
-                case 404:
-                    throw new Error('データが見つかりません');
-                case 429:
-                    throw new Error('リクエスト制限に達しました');
-                case 500:
-                case 502:
-                case 503:
-                    throw new Error('MicroCMSサーバーエラー');
-                default:
-                    throw new Error(`API呼び出しエラー: ${response.status}`);
-            }
-        }
+    }
 
-        const data = await response.json();
-        
-        // データの後処理とセキュリティ（サニタイズ）
-        const processedData = {
-            contents: data.contents?.map(item => ({
-                id: item.id,
-                title: sanitizeString(item.title),
-                content: sanitizeString(item.content),
-                description: sanitizeString(item.description),
-                category: sanitizeString(item.category),
-                publishedAt: item.publishedAt,
-                updatedAt: item.updatedAt,
-                // 画像がある場合のみ含める
-                ...(item.image && { image: item.image })
-            })) || [],
-            totalCount: data.totalCount || 0,
-            offset: data.offset || 0,
-            limit: data.limit || limitNum
-        };
+    if (fields) {
+        query.fields = fields;
+    }
 
-        // レスポンス情報をログ出力（開発時のみ）
-        if (process.env.NODE_ENV === 'development') {
-            console.log(`✅ News API: ${processedData.contents.length} items returned`);
-        }
+    const data = await microcmsRequest(req.microcms, 'news', { query });
 
-        return res.status(200).json(processedData);
-        
-    } catch (error) {
-        return handleError(error, req, res);
-    }
-}
+    // データの後処理とセキュリティ（サニタイズ）
+    const processedData = {
+        contents: data.contents?.map(item => formatNewsItem(item)) || [],
+        totalCount: data.totalCount || 0,
+        offset: data.offset || 0,
+        limit: data.limit || limit,
+        page: Math.floor((data.offset || 0) / limit) + 1
+    };
 
-/**
- * 許可されたオリジンを取得
- */
-function getAllowedOrigin(req) {
-    const requestOrigin = req.headers.origin;
-    const allowedOrigin = process.env.ALLOWED_ORIGIN;
-    
-    // 環境変数が設定されていない場合
-    if (!allowedOrigin) {
-        // 開発環境ではリクエスト元を許可
-        if (process.env.NODE_ENV === 'development') {
-            return requestOrigin || '*';
-        }
-        // 本番環境では警告を出すが、動作は継続
-        console.warn('⚠️ ALLOWED_ORIGIN環境変数が未設定です。セキュリティリスクがあります。');
-        return requestOrigin || '*';
-    }
-    
-    // カンマ区切りで複数ドメインに対応
-    const allowedOrigins = allowedOrigin.split(',').map(o => o.trim());
-    
-    // リクエスト元が許可リストに含まれているか確認
-    if (requestOrigin && allowedOrigins.includes(requestOrigin)) {
-        return requestOrigin;
+    // レスポンス情報をログ出力（開発時のみ）
+    if (process.env.NODE_ENV === 'development') {
+        console.log(`✅ News API: ${processedData.contents.length} items returned`);
     }
-    
-    // デフォルトとして最初の許可オリジンを返す
-    return allowedOrigins[0];
-}
 
-/**
- * CORSヘッダーを設定
- */
-function setCorsHeaders(res, allowedOrigin) {
-    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    res.setHeader('Access-Control-Max-Age', '86400'); // 24時間
-    
-    // キャッシュ設定（ニュースは5分間キャッシュ可能）
-    res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=600');
-    
-    // セキュリティヘッダー
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'SAMEORIGIN');
-    res.setHeader('X-XSS-Protection', '1; mode=block');
+    return res.status(200).json(processedData);
 }
 
 /**
- * 環境変数の検証
+ * 検索語に一致する記事を取得
+ * @param {Object} config - MicroCMS の接続情報
+ * @param {Object} baseQuery - 並び順・カテゴリの条件
+ * @param {string[]} terms - parseSearchQuery() の結果
+ * @returns {Promise<Array>} 一致した記事（並び順は baseQuery.orders）
  */
-function validateEnvironmentVariables() {
-    const apiKey = process.env.MICROCMS_API_KEY;
-    const serviceDomain = process.env.MICROCMS_SERVICE_DOMAIN;
-    
-    if (!apiKey || !serviceDomain) {
-        console.error('Environment variables not configured');
-        throw new Error('サーバー設定エラー');
-    }
-    
-    return { apiKey, serviceDomain };
-}
+async function searchNews(config, baseQuery, terms) {
+    const matched = [];
 
-/**
- * 文字列のサニタイズ（XSS対策）
- */
-function sanitizeString(str) {
-    if (typeof str !== 'string') return str;
-    
-    // 基本的なHTMLエスケープ
-    return str
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;')
-        // 制御文字を除去
-        .replace(/[\x00-\x1F\x7F]/g, '')
-        // 過度に長い文字列を制限
-        .substring(0, 10000);
-}
+    for (let offset = 0; offset < SEARCH_MAX_ITEMS; offset += SEARCH_PAGE_SIZE) {
+        const data = await microcmsRequest(config, 'news', {
+            query: { ...baseQuery, limit: String(SEARCH_PAGE_SIZE), offset: String(offset) }
+        });
+        const contents = data.contents || [];
 
-/**
- * エラーハンドリング
- */
-function handleError(error, req, res) {
-    console.error('News API Error:', error);
-    
-    // エラーレスポンス
-    const errorResponse = {
-        error: 'Failed to fetch news',
-        message: getErrorMessage(error),
-        timestamp: new Date().toISOString()
-    };
-    
-    // 開発環境では詳細なエラー情報を含める
-    if (process.env.NODE_ENV === 'development') {
-        errorResponse.details = error.message;
-        errorResponse.stack = error.stack;
-    }
-    
-    // エラーの種類に応じたステータスコード
-    let statusCode = 500;
-    if (error.message.includes('認証')) statusCode = 401;
-    if (error.message.includes('権限')) statusCode = 403;
-    if (error.message.includes('見つかりません')) statusCode = 404;
-    if (error.message.includes('制限')) statusCode = 429;
-    if (error.message.includes('設定')) statusCode = 500;
-    
-    return res.status(statusCode).json(errorResponse);
-}
+        matched.push(...contents.filter(item => matchesNewsSearch(item, terms)));
 
-/**
- * エラーメッセージの取得
- */
-function getErrorMessage(error) {
-    const message = error.message || 'Unknown error';
-    
-    // ユーザーフレンドリーなメッセージに変換
-    const messageMap = {
-        '認証エラー': 'サービスの認証に失敗しました',
-        'アクセス権限エラー': 'データへのアクセス権限がありません',
-        'データが見つかりません': '要求されたデータが見つかりません',
-        'リクエスト制限に達しました': 'アクセス制限中です。しばらくお待ちください',
-        'MicroCMSサーバーエラー': 'データサービスで問題が発生しています',
-        'サーバー設定エラー': 'サーバーの設定に問題があります'
-    };
-    
-    // マッピングされたメッセージがあれば使用
-    for (const [key, value] of Object.entries(messageMap)) {
-        if (message.includes(key)) {
-            return value;
+        if (contents.length < SEARCH_PAGE_SIZE || offset + contents.length >= (data.totalCount || 0)) {
+            break;
         }
     }
-    
-    // デフォルトメッセージ
-    return 'データの取得に失敗しました。しばらくしてから再度お試しください';
+
+    return matched;
 }
@@ -0,0 +1,50 @@
+// api/news/[id].js - Vercel Functions用のニュース記事取得API
+
+import {
+    compose, errorHandler, logger, cors, securityHeaders, cacheControl,
+    rateLimit, microcms, validateQuery, route
+} from '../_lib/middleware.js';
+import { notFound } from '../_lib/errors.js';
+import { microcmsRequest } from '../_lib/microcms.js';
+import { formatNewsItem, SLUG_PATTERN } from '../_lib/news.js';
+
+/**
+ * ニュース記事を1件取得
+ * 一覧（/api/news）に含まれない古い記事や、記事URL（/news/:id）への直接アクセスで使用
+ *
+ * GET /api/news/:id
+ */
+export default compose(
+    errorHandler({
+        name: 'News Article',
+        error: 'Failed to fetch news article',
+        fallbackMessage: '記事の取得に失敗しました。しばらくしてから再度お試しください'
+    }),
+    logger('News Article'),
+    cors({ methods: ['GET'] }),
+    securityHeaders(),
+    // 一覧と同じく5分間キャッシュ可能
+    cacheControl('public, s-maxage=300, stale-while-revalidate=600'),
+    rateLimit(),
+    microcms('MICROCMS_API_KEY'),
+    route({ GET: compose(
+        validateQuery({
+            id: { type: 'string', required: true, pattern: SLUG_PATTERN, message: '記事IDが正しくありません' }
+        }),
+        handleGet
+    ) })
+);
+
+/**
+ * GET: ニュース記事取得
+ */
+async function handleGet(req, res) {
+    const { id } = req.validated;
+
+    const item = await microcmsRequest(req.microcms, `news/${id}`, { notFound: null });
+    if (!item) {
+        throw notFound('News not found', '指定された記事が見つかりません');
+    }
+
+    return res.status(200).json(formatNewsItem(item));
+}
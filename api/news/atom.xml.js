@@ -0,0 +1,9 @@
+// api/news/atom.xml.js - ニュースのAtom 1.0フィード
+
+import { createFeedHandler } from '../_lib/feed.js';
+
+/**
+ * GET /api/news/atom.xml
+ * 静的なファイル名のため、記事取得（api/news/[id].js）より優先される
+ */
+export default createFeedHandler('atom');
@@ -0,0 +1,9 @@
+// api/news/feed.json.js - ニュースのJSON Feed 1.1フィード
+
+import { createFeedHandler } from '../_lib/feed.js';
+
+/**
+ * GET /api/news/feed.json
+ * 静的なファイル名のため、記事取得（api/news/[id].js）より優先される
+ */
+export default createFeedHandler('json');
@@ -0,0 +1,9 @@
+// api/news/feed.xml.js - ニュースのRSS 2.0フィード
+
+import { createFeedHandler } from '../_lib/feed.js';
+
+/**
+ * GET /api/news/feed.xml
+ * 静的なファイル名のため、記事取得（api/news/[id].js）より優先される
+ */
+export default createFeedHandler('rss');
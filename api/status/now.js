@@ -0,0 +1,102 @@
+// api/status/now.js - Vercel Functions用の現在営業状況API
+
+import { CONFIG } from '../../public/js/config.js';
+import { StatusResolver } from '../../public/js/status-resolver.js';
+import {
+    compose, errorHandler, logger, cors, securityHeaders, cacheControl,
+    rateLimit, microcms, validateQuery, route
+} from '../_lib/middleware.js';
+import { microcmsRequest } from '../_lib/microcms.js';
+import { sanitizeText } from '../_lib/sanitize.js';
+
+/**
+ * 自動判定と手動設定を統合した「今の営業状況」を返すエンドポイント
+ * LINE bot・Googleビジネスプロフィール連携・サイネージ等がWebサイトと同じ判定結果を得るために使用
+ *
+ * GET /api/status/now
+ * GET /api/status/now?at=2025-01-01T12:00:00+09:00  （任意の日時で判定）
+ */
+export default compose(
+    errorHandler({
+        name: 'Status Now',
+        error: 'Failed to resolve business status',
+        fallbackMessage: '営業状況の取得に失敗しました。しばらくしてから再度お試しください'
+    }),
+    logger('Status Now'),
+    cors({ methods: ['GET'] }),
+    securityHeaders(),
+    // 状況は分単位で変わるため短め
+    cacheControl('public, s-maxage=30, stale-while-revalidate=30'),
+    rateLimit(),
+    route({ GET: compose(
+        validateQuery({
+            at: { type: 'date', message: 'atはISO 8601形式の日時で指定してください' }
+        }),
+        microcms('MICROCMS_BUSINESS_STATUS_API_KEY'),
+        handleGet
+    ) })
+);
+
+/**
+ * GET: 指定日時（省略時は現在）の営業状況
+ */
+async function handleGet(req, res) {
+    const at = req.validated.at || new Date();
+
+    const contents = await fetchBusinessStatus(req.microcms);
+
+    // Webサイトと同じロジックで営業状況を決定
+    const resolver = new StatusResolver(CONFIG.business);
+    const status = resolver.resolve(contents, at);
+    const transition = resolver.getNextTransition(contents, at);
+
+    return res.status(200).json({
+        at: at.toISOString(),
+        timezone: CONFIG.business.timezone,
+        isOpen: resolver.isOpenStatus(status),
+        status: formatStatus(status),
+        nextTransition: transition && {
+            at: transition.at.toISOString(),
+            type: transition.status.type,
+            message: transition.status.message,
+            detail: transition.status.detail
+        },
+        nextOpen: toISOString(resolver.schedule.getNextOpenTime(at))
+    });
+}
+
+/**
+ * MicroCMSから営業状況（手動設定）を全件取得
+ * 404の場合は手動設定なしとして扱う
+ */
+async function fetchBusinessStatus(config) {
+    const data = await microcmsRequest(config, 'business-status', {
+        query: { limit: '100', orders: '-updatedAt' },
+        notFound: {}
+    });
+    return data.contents || [];
+}
+
+/**
+ * レスポンス用に営業状況を整形
+ * 外部サービス（HTML以外）での利用を想定し、テキストはエスケープせずに返す
+ */
+function formatStatus(status) {
+    return {
+        type: status.type,
+        message: status.message,
+        detail: sanitizeText(status.detail),
+        customMessage: sanitizeText(status.customMessage) || null,
+        isManual: status.isManual,
+        overrideId: status.overrideId || null,
+        holidayName: status.holidayName || null,
+        period: status.period?.label || null
+    };
+}
+
+/**
+ * Date を ISO 文字列に変換（null 許容）
+ */
+function toISOString(date) {
+    return date ? date.toISOString() : null;
+}
@@ -0,0 +1,163 @@
+// api/stream.js - Vercel Functions用の更新通知ストリーム（Server-Sent Events）
+
+import {
+    compose, errorHandler, logger, cors, securityHeaders, cacheControl,
+    rateLimit, validateQuery, route
+} from './_lib/middleware.js';
+import { ApiError } from './_lib/errors.js';
+import { CONTENT_TOPICS, getContentVersion } from './_lib/content-versions.js';
+
+/**
+ * 営業状況・ニュースの変更を開いているページへ通知するエンドポイント
+ * 通知にはバージョンのみを含め、内容はクライアントが通常のAPIで取得し直す
+ *
+ * GET /api/stream                    営業状況とニュース
+ * GET /api/stream?topics=status      営業状況のみ
+ *
+ * イベント:
+ *   ready   接続時の各トピックのバージョン { versions: { status, news } }
+ *   status  営業状況が変更された { version }
+ *   news    ニュースが変更された { version }
+ *
+ * 関数の実行時間には上限があるため STREAM_DURATION で接続を閉じ、EventSource の自動再接続に任せる
+ * 再接続までの変更は、クライアントが ready のバージョンと比較して検出する（public/js/live-updates.js）
+ *
+ * コスト:
+ *   開いているタブ1つにつき関数1つがほぼ常に実行中になる（STREAM_DURATION の実行と約 RECONNECT_DELAY 後の再接続の繰り返し）
+ *   例: 平均10タブが開いている場合、1日あたり 10 × 86,400 秒 = 864,000 秒の実行時間（メモリ1GBなら240GB時間）
+ *   変更の確認は CHECK_INTERVAL ごとに行うが、MicroCMS への問い合わせは content-versions.js で
+ *   インスタンス内（KV があればインスタンス間）で共有し、接続数に比例しないようにしている
+ *   実行時間を抑えたい場合は STREAM_ENABLED=false でストリームを無効にできる（ページはポーリングに切り替わる）
+ */
+
+// 接続を維持する時間（vercel.json の maxDuration より短くする）
+const STREAM_DURATION = 50 * 1000;
+
+// 変更を確認する間隔
+const CHECK_INTERVAL = 5 * 1000;
+
+// 通知がない場合にプロキシに切断されないよう送るコメントの間隔
+const HEARTBEAT_INTERVAL = 15 * 1000;
+
+// 切断後、クライアントが再接続するまでの待ち時間
+const RECONNECT_DELAY = 2000;
+
+const TOPIC_NAMES = Object.keys(CONTENT_TOPICS);
+
+export default compose(
+    errorHandler({
+        name: 'Stream',
+        error: 'Failed to open update stream',
+        fallbackMessage: '更新通知に接続できませんでした'
+    }),
+    logger('Stream'),
+    cors({ methods: ['GET'] }),
+    securityHeaders(),
+    cacheControl('no-cache, no-transform'),
+    rateLimit(),
+    route({ GET: compose(
+        validateQuery({
+            topics: {
+                type: 'string',
+                default: TOPIC_NAMES.join(','),
+                pattern: new RegExp(`^(${TOPIC_NAMES.join('|')})(,(${TOPIC_NAMES.join('|')}))*$`),
+                message: `topicsは${TOPIC_NAMES.join(', ')}をカンマ区切りで指定してください`
+            }
+        }),
+        handleStream
+    ) })
+);
+
+/**
+ * GET: 更新通知のストリーム
+ */
+async function handleStream(req, res) {
+    if (process.env.STREAM_ENABLED === 'false') {
+        throw new ApiError(503, 'Stream disabled', '更新通知は無効になっています');
+    }
+
+    const topics = [...new Set(req.validated.topics.split(','))];
+
+    // 初回の取得に失敗した場合はストリームを開始せずエラーを返す（クライアントはポーリングに切り替える）
+    const versions = Object.fromEntries(await Promise.all(
+        topics.map(async topic => [topic, await getContentVersion(topic)])
+    ));
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+    sendEvent(res, 'ready', { versions });
+
+    await new Promise(resolve => {
+        const startedAt = Date.now();
+        let lastWriteAt = Date.now();
+        let checking = false;
+        let closed = false;
+
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(timer);
+            res.end();
+            resolve();
+        };
+
+        const check = async () => {
+            if (Date.now() - startedAt >= STREAM_DURATION) {
+                close();
+                return;
+            }
+            if (checking) return;
+
+            checking = true;
+            try {
+                const latest = await fetchLatestVersions(topics, versions);
+                if (closed) return;
+
+                topics.forEach(topic => {
+                    if (latest[topic] !== versions[topic]) {
+                        versions[topic] = latest[topic];
+                        sendEvent(res, topic, { version: latest[topic] });
+                        lastWriteAt = Date.now();
+                    }
+                });
+
+                if (Date.now() - lastWriteAt >= HEARTBEAT_INTERVAL) {
+                    res.write(': keepalive\n\n');
+                    lastWriteAt = Date.now();
+                }
+            } finally {
+                checking = false;
+            }
+        };
+
+        const timer = setInterval(check, CHECK_INTERVAL);
+        req.on('close', close);
+    });
+}
+
+/**
+ * 各トピックの最新バージョンを取得
+ * 取得に失敗したトピックは前回のバージョンのまま（通知しない）
+ */
+async function fetchLatestVersions(topics, previous) {
+    const entries = await Promise.all(topics.map(async topic => {
+        try {
+            return [topic, await getContentVersion(topic)];
+        } catch (error) {
+            console.warn(`Stream: failed to check ${topic}:`, error.message);
+            return [topic, previous[topic]];
+        }
+    }));
+    return Object.fromEntries(entries);
+}
+
+/**
+ * イベントを送信
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
@@ -0,0 +1,174 @@
+// api/webhooks/microcms.js - MicroCMSのWebhook受信
+
+import crypto from 'crypto';
+import {
+    compose, errorHandler, logger, securityHeaders, cacheControl,
+    rateLimit, route, logSecurityEvent
+} from '../_lib/middleware.js';
+import { ApiError, badRequest, unauthorized } from '../_lib/errors.js';
+import { bumpContentVersion } from '../_lib/content-versions.js';
+import { isSharedStore } from '../_lib/rate-limit.js';
+
+/**
+ * MicroCMS の管理画面で直接編集された内容をすぐにサイトへ反映するためのWebhook
+ *
+ * POST /api/webhooks/microcms
+ *
+ * 1. X-MICROCMS-Signature ヘッダー（リクエストボディの HMAC-SHA256）を MICROCMS_WEBHOOK_SECRET で検証
+ * 2. 変更されたAPI（business-status / news / categories）のバージョンを更新
+ *    → /api/stream が開いているページへ通知し、ページは最新の内容を取得し直す
+ *    （共有ストア KV_REST_API_URL / KV_REST_API_TOKEN がない場合は通知せず、3. だけを行う）
+ * 3. DEPLOY_HOOK_URL が設定されていればデプロイフックを呼び出し、
+ *    ビルド時の営業状況スナップショット（scripts/prebuild.js）の再生成とCDNキャッシュの破棄を行う
+ *
+ * 共有ストアとデプロイフックのどちらも設定されていない場合は変更を反映できないため 503 を返す
+ * デプロイフックの呼び出しに失敗した場合は 502 を返し、MicroCMS に再送させる
+ * 対象外のAPI（business-status-revisions など）の通知は何もせずに 200 を返す
+ */
+
+// MicroCMS のAPI名 → 更新通知のトピック
+const WEBHOOK_TOPICS = {
+    'business-status': 'status',
+    'news': 'news',
+    // カテゴリの表示名・色の変更もニュースとして通知する
+    'categories': 'news'
+};
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+export default compose(
+    errorHandler({
+        name: 'MicroCMS Webhook',
+        error: 'Webhook processing failed',
+        fallbackMessage: 'Webhookの処理に失敗しました'
+    }),
+    logger('MicroCMS Webhook'),
+    securityHeaders(),
+    cacheControl('no-store'),
+    rateLimit({ scope: 'write' }),
+    route({ POST: handleWebhook })
+);
+
+/**
+ * POST: MicroCMS からの変更通知
+ */
+async function handleWebhook(req, res) {
+    const rawBody = await readRawBody(req);
+    verifySignature(req, rawBody);
+
+    let payload;
+    try {
+        payload = JSON.parse(rawBody);
+    } catch {
+        throw badRequest('Invalid payload', 'リクエストボディがJSONではありません');
+    }
+
+    const { api, id, type } = payload || {};
+    const topic = WEBHOOK_TOPICS[api];
+    if (!topic) {
+        return res.status(200).json({ received: true, ignored: true, message: `${api}の変更は処理対象外です` });
+    }
+
+    requireDeliveryTarget();
+    logSecurityEvent('webhook_received', req, `${api} ${type} ${id || ''}`);
+
+    const version = await bumpContentVersion(topic);
+    const deploy = await triggerDeployHook();
+
+    if (deploy.reason === 'failed') {
+        throw new ApiError(502, 'Deploy hook failed', 'デプロイフックの呼び出しに失敗しました', { version });
+    }
+
+    console.log(`✅ MicroCMS Webhook: ${api} ${type} ${id || ''} (notify: ${version ? 'sent' : 'skipped'}, deploy: ${deploy.triggered ? 'triggered' : deploy.reason})`);
+
+    return res.status(200).json({
+        received: true,
+        api,
+        id: id || null,
+        type: type || null,
+        topic,
+        version,
+        deploy,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * 変更を反映する手段（共有ストアによる更新通知・デプロイフック）のどちらかが設定されているか確認（なければ503）
+ */
+function requireDeliveryTarget() {
+    if (isSharedStore() || process.env.DEPLOY_HOOK_URL) {
+        return;
+    }
+
+    console.error('Environment variables not configured: KV_REST_API_URL, KV_REST_API_TOKEN or DEPLOY_HOOK_URL');
+    throw new ApiError(503, 'Webhook not configured', '変更を反映するための共有ストアまたはデプロイフックが設定されていません');
+}
+
+/**
+ * 署名の検証に使うリクエストボディを受信したままの文字列で取得
+ * Vercel の Node.js ランタイムは req.body を参照した時点でボディを解析するため、参照する前にストリームから読む
+ * ストリームが読み終わっていて解析済みのオブジェクトしかない場合は、元のバイト列を復元できないため 400 を返す
+ */
+async function readRawBody(req) {
+    if (req.readableEnded) {
+        if (typeof req.body === 'string') return req.body;
+        if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+        throw badRequest('Raw body unavailable', '署名を検証するためのリクエストボディを取得できませんでした');
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            throw new ApiError(413, 'Payload too large', 'リクエストボディが大きすぎます');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * MicroCMS の署名を検証（不一致の場合は401）
+ */
+function verifySignature(req, rawBody) {
+    const secret = process.env.MICROCMS_WEBHOOK_SECRET;
+    if (!secret) {
+        console.error('Environment variables not configured: MICROCMS_WEBHOOK_SECRET');
+        throw new Error('サーバー設定エラー：必要な環境変数が設定されていません');
+    }
+
+    const signature = String(req.headers['x-microcms-signature'] || '');
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+    const valid = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!valid) {
+        logSecurityEvent('auth_failed', req, 'Invalid MicroCMS webhook signature');
+        throw unauthorized('Invalid signature', '署名が一致しません');
+    }
+}
+
+/**
+ * デプロイフックを呼び出す
+ * @returns {Promise<Object>} { triggered, reason }（reason は 'not_configured' / 'failed'）
+ */
+async function triggerDeployHook() {
+    const url = process.env.DEPLOY_HOOK_URL;
+    if (!url) {
+        return { triggered: false, reason: 'not_configured' };
+    }
+
+    try {
+        const response = await fetch(url, { method: 'POST', signal: AbortSignal.timeout(5000) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return { triggered: true, reason: null };
+    } catch (error) {
+        console.error('⚠️ デプロイフックの呼び出しに失敗しました:', error.message);
+        return { triggered: false, reason: 'failed' };
+    }
+}
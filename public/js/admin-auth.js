@@ -0,0 +1,316 @@
+// js/admin-auth.js - 管理者ログイン・セッション管理クラス
+
+import { CONFIG } from './config.js';
+
+/**
+ * 管理者セッションの取得・保存・更新と、認証付きリクエスト
+ * セッションは sessionStorage に保存し、タブを閉じると破棄される
+ */
+export class AdminAuth {
+    constructor() {
+        this.config = CONFIG.auth;
+        this.session = this.loadSession();
+        this.listeners = new Set();
+
+        // 同時に複数のリクエストが失効を検知しても、更新・ログイン画面は1回にまとめる
+        this.refreshPromise = null;
+        this.loginPromise = null;
+    }
+
+    /**
+     * sessionStorage からセッションを読み込み（期限切れは破棄）
+     * @returns {Object|null} { token, expiresAt, user }
+     */
+    loadSession() {
+        try {
+            const stored = sessionStorage.getItem(this.config.storageKey);
+            if (!stored) return null;
+
+            const session = JSON.parse(stored);
+            if (!session.token || !session.expiresAt || new Date(session.expiresAt) <= new Date()) {
+                sessionStorage.removeItem(this.config.storageKey);
+                return null;
+            }
+
+            return session;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * セッションを保存
+     * @param {Object|null} session - { token, expiresAt, user }（null で破棄）
+     */
+    saveSession(session) {
+        this.session = session;
+
+        try {
+            if (session) {
+                sessionStorage.setItem(this.config.storageKey, JSON.stringify(session));
+            } else {
+                sessionStorage.removeItem(this.config.storageKey);
+            }
+        } catch (e) {
+            // ストレージが使えない場合はメモリ上のみで保持
+        }
+
+        this.listeners.forEach(listener => listener(this.getUser()));
+    }
+
+    /**
+     * ログイン状態の変化を監視
+     * @param {Function} listener - (user|null) => void
+     * @returns {Function} 監視を解除する関数
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * ログイン中のユーザー
+     * @returns {Object|null} { username, displayName, role }
+     */
+    getUser() {
+        return this.isLoggedIn() ? this.session.user : null;
+    }
+
+    /**
+     * 有効なセッションがあるか
+     */
+    isLoggedIn() {
+        return Boolean(this.session && new Date(this.session.expiresAt) > new Date());
+    }
+
+    /**
+     * ユーザー名・パスワードでログイン
+     * @param {string} username - ユーザー名
+     * @param {string} password - パスワード
+     * @returns {Promise<Object>} ユーザー情報
+     */
+    async login(username, password) {
+        const response = await fetch(this.config.loginEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+
+        this.saveSession({ token: data.token, expiresAt: data.expiresAt, user: data.user });
+        return data.user;
+    }
+
+    /**
+     * ログアウト（サーバー側のトークンも失効させる）
+     */
+    async logout() {
+        const session = this.session;
+        this.saveSession(null);
+
+        if (!session) return;
+
+        try {
+            await fetch(this.config.logoutEndpoint, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${session.token}` }
+            });
+        } catch (error) {
+            // ローカルのセッションは破棄済みのため、通信失敗は無視
+            console.warn('Logout request failed:', error);
+        }
+    }
+
+    /**
+     * トークンを新しいものに交換
+     * @returns {Promise<boolean>} 更新できたか（false の場合は再ログインが必要）
+     */
+    async refresh() {
+        if (!this.session) return false;
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = (async () => {
+                try {
+                    const response = await fetch(this.config.refreshEndpoint, {
+                        method: 'POST',
+                        headers: { 'Authorization': `Bearer ${this.session.token}` }
+                    });
+
+                    if (!response.ok) {
+                        // 失効・最大ログイン時間超過などはセッションを破棄して再ログインへ
+                        if (response.status === 401) this.saveSession(null);
+                        return false;
+                    }
+
+                    const data = await response.json();
+                    this.saveSession({ token: data.token, expiresAt: data.expiresAt, user: data.user });
+                    return true;
+
+                } catch (error) {
+                    console.warn('Session refresh failed:', error);
+                    return false;
+                } finally {
+                    this.refreshPromise = null;
+                }
+            })();
+        }
+
+        return this.refreshPromise;
+    }
+
+    /**
+     * 有効なトークンを取得（期限が近ければ更新、なければログイン画面を表示）
+     * @returns {Promise<string>} セッショントークン
+     */
+    async getToken() {
+        if (this.isLoggedIn()) {
+            const remaining = new Date(this.session.expiresAt) - new Date();
+            if (remaining > this.config.refreshMargin || await this.refresh()) {
+                return this.session.token;
+            }
+            // 更新に失敗しても期限内ならそのまま使う
+            if (this.isLoggedIn()) return this.session.token;
+        }
+
+        await this.promptLogin('ログインしてください');
+        return this.session.token;
+    }
+
+    /**
+     * 認証ヘッダー付きで fetch
+     * 401 の場合はセッションを破棄してログイン画面を表示し、1回だけ再送する
+     * @param {string} url - リクエストURL
+     * @param {Object} options - fetch オプション
+     * @returns {Promise<Response>}
+     */
+    async authorizedFetch(url, options = {}) {
+        const send = (token) => fetch(url, {
+            ...options,
+            headers: {
+                ...options.headers,
+                'Authorization': `Bearer ${token}`
+            }
+        });
+
+        const response = await send(await this.getToken());
+        if (response.status !== 401) {
+            return response;
+        }
+
+        const data = await response.clone().json().catch(() => ({}));
+        this.saveSession(null);
+
+        await this.promptLogin(data.expired
+            ? 'セッションの有効期限が切れました。再度ログインしてください'
+            : (data.message || '認証に失敗しました。再度ログインしてください'));
+
+        return send(this.session.token);
+    }
+
+    /**
+     * ログイン画面を表示し、ログインが完了するまで待つ
+     * @param {string} message - 画面に表示する案内
+     * @returns {Promise<Object>} ユーザー情報（キャンセル時は reject）
+     */
+    promptLogin(message = '') {
+        if (!this.loginPromise) {
+            this.loginPromise = new Promise((resolve, reject) => {
+                this.showLoginDialog(message, resolve, reject);
+            }).finally(() => {
+                this.loginPromise = null;
+            });
+        }
+
+        return this.loginPromise;
+    }
+
+    /**
+     * ログイン画面を作成
+     * @param {string} message - 画面に表示する案内
+     * @param {Function} resolve - ログイン成功時のコールバック
+     * @param {Function} reject - キャンセル時のコールバック
+     */
+    showLoginDialog(message, resolve, reject) {
+        const overlay = document.createElement('div');
+        overlay.id = 'adminLoginDialog';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-labelledby', 'adminLoginTitle');
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 10001;
+        `;
+
+        overlay.innerHTML = `
+            <form style="background: white; border-radius: 8px; padding: 20px; width: 300px; max-width: 90vw; box-shadow: 0 4px 12px rgba(0,0,0,0.15);">
+                <h4 id="adminLoginTitle" style="margin: 0 0 10px 0; color: #007bff;">管理者ログイン</h4>
+                <p id="adminLoginMessage" style="margin: 0 0 10px 0; font-size: 12px;"></p>
+                <div style="margin-bottom: 10px;">
+                    <input type="text" id="adminLoginUsername" placeholder="ユーザー名" autocomplete="username" required style="width: 100%; padding: 5px;">
+                </div>
+                <div style="margin-bottom: 10px;">
+                    <input type="password" id="adminLoginPassword" placeholder="パスワード" autocomplete="current-password" required style="width: 100%; padding: 5px;">
+                </div>
+                <div style="display: flex; gap: 5px;">
+                    <button type="submit" style="flex: 1; padding: 8px; background: #007bff; color: white; border: none; border-radius: 4px;">ログイン</button>
+                    <button type="button" id="adminLoginCancel" style="flex: 1; padding: 8px; background: #6c757d; color: white; border: none; border-radius: 4px;">キャンセル</button>
+                </div>
+                <div id="adminLoginError" role="alert" style="margin-top: 10px; font-size: 12px; color: red;"></div>
+            </form>
+        `;
+
+        const form = overlay.querySelector('form');
+        const errorDiv = overlay.querySelector('#adminLoginError');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        overlay.querySelector('#adminLoginMessage').textContent = message;
+
+        const close = () => {
+            document.removeEventListener('keydown', onKeydown);
+            overlay.remove();
+        };
+
+        const cancel = () => {
+            close();
+            reject(new Error('ログインがキャンセルされました'));
+        };
+
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') cancel();
+        };
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            errorDiv.textContent = '';
+            submitBtn.disabled = true;
+
+            try {
+                const user = await this.login(
+                    overlay.querySelector('#adminLoginUsername').value.trim(),
+                    overlay.querySelector('#adminLoginPassword').value
+                );
+                close();
+                resolve(user);
+            } catch (error) {
+                errorDiv.textContent = error.message;
+                overlay.querySelector('#adminLoginPassword').value = '';
+            } finally {
+                submitBtn.disabled = false;
+            }
+        });
+
+        overlay.querySelector('#adminLoginCancel').addEventListener('click', cancel);
+        document.addEventListener('keydown', onKeydown);
+
+        document.body.appendChild(overlay);
+        overlay.querySelector('#adminLoginUsername').focus();
+    }
+}
@@ -0,0 +1,730 @@
+// js/admin-page.js - 営業状況管理ページ
+
+import { utils } from './config.js';
+import { MicroCMSClient } from './microcms-client.js';
+import { BusinessHours } from './business-hours.js';
+import { StatusCalendar } from './status-calendar.js';
+import { parseCustomHours, describeCustomHours } from './custom-hours.js';
+import { parseRecurrence, describeRecurrence } from './override-recurrence.js';
+import { validateStatusEntry, findConflicts } from './status-validation.js';
+
+const STATUS_LABELS = {
+    closed: '臨時休業',
+    short: '時短営業',
+    special: '特別営業'
+};
+
+const STATE_LABELS = {
+    active: '有効',
+    upcoming: '予定',
+    expired: '終了'
+};
+
+// 一覧の並び順（有効 → 予定 → 終了）
+const STATE_ORDER = ['active', 'upcoming', 'expired'];
+
+const WEEKDAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 検証エラーの項目名と、エラー表示する入力欄
+const FIELDS = {
+    status: { label: 'ステータス', input: 'entryStatus' },
+    reason: { label: '理由', input: 'entryReason' },
+    message: { label: 'メッセージ', input: 'entryMessage' },
+    priority: { label: '優先度', input: 'entryPriority' },
+    startTime: { label: '開始日時', input: 'entryStartTime' },
+    endTime: { label: '終了日時', input: 'entryEndTime' },
+    customHours: { label: '営業時間', input: 'entryHoursFieldset' },
+    recurrence: { label: '繰り返し', input: 'entryRepeat' }
+};
+
+/**
+ * 営業状況の一覧・作成・編集・削除と、営業状況バーのプレビュー
+ * 日時の入力・表示はすべて店舗の現地時刻（CONFIG.business.timezone）で扱う
+ */
+export class AdminPage {
+    constructor() {
+        this.client = new MicroCMSClient();
+        this.auth = this.client.auth;
+        this.businessHours = new BusinessHours({ auth: this.auth });
+        this.resolver = this.businessHours.resolver;
+        this.calendar = new StatusCalendar(document.getElementById('statusCalendar'), {
+            resolver: this.resolver,
+            onDayClick: (day) => this.createEntryForDay(day)
+        });
+
+        this.entries = [];
+        this.currentFilter = 'all';
+        this.editingId = null;
+    }
+
+    async init() {
+        this.setupSession();
+        this.setupFilters();
+        this.setupForm();
+        this.resetForm();
+        await this.loadEntries();
+    }
+
+    /**
+     * ログイン状態の表示とログイン・ログアウトボタン
+     */
+    setupSession() {
+        const userSpan = document.getElementById('adminUser');
+        const sessionBtn = document.getElementById('adminSessionButton');
+
+        const render = (user) => {
+            userSpan.textContent = user ? `${user.displayName || user.username}（${user.role}）` : '未ログイン';
+            sessionBtn.textContent = user ? 'ログアウト' : 'ログイン';
+        };
+
+        sessionBtn.addEventListener('click', async () => {
+            if (this.auth.isLoggedIn()) {
+                await this.auth.logout();
+                this.showMessage('ログアウトしました', 'success');
+                return;
+            }
+
+            try {
+                await this.auth.promptLogin();
+            } catch (error) {
+                // キャンセル時は何もしない
+            }
+        });
+
+        this.auth.onChange(render);
+        render(this.auth.getUser());
+    }
+
+    /**
+     * 一覧の絞り込みと操作ボタン
+     */
+    setupFilters() {
+        const filterBtns = document.querySelectorAll('.admin-filters .filter-btn');
+        filterBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                filterBtns.forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.currentFilter = btn.dataset.filter;
+                this.renderEntries();
+            });
+        });
+
+        document.getElementById('reloadEntries').addEventListener('click', () => this.loadEntries());
+
+        // 編集・削除ボタンはイベント委譲で処理
+        document.getElementById('entryList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const entry = this.entries.find(item => item.id === button.dataset.id);
+            if (!entry) return;
+
+            if (button.dataset.action === 'edit') {
+                this.editEntry(entry);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteEntry(entry);
+            } else if (button.dataset.action === 'end') {
+                this.endEntry(entry);
+            } else if (button.dataset.action === 'extend') {
+                this.extendEntry(entry);
+            }
+        });
+    }
+
+    /**
+     * 作成・編集フォーム
+     */
+    setupForm() {
+        const form = document.getElementById('entryForm');
+
+        // 曜日の選択肢を作成
+        document.getElementById('entryRepeatWeekly').innerHTML = WEEKDAY_NAMES.map((name, i) => `
+            <label><input type="checkbox" name="entryRepeatWeekdays" value="${i}"> ${name}</label>
+        `).join('');
+        document.getElementById('entryRepeatWeekday').innerHTML = WEEKDAY_NAMES
+            .map((name, i) => `<option value="${i}">${name}曜</option>`)
+            .join('');
+
+        document.getElementById('entryStatus').addEventListener('change', () => this.updateFieldVisibility());
+        document.getElementById('entryRepeat').addEventListener('change', () => this.updateFieldVisibility());
+
+        document.getElementById('addHoursRow').addEventListener('click', () => {
+            this.addHoursRow();
+            this.updatePreview();
+        });
+
+        document.getElementById('entryHoursList').addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="remove-hours"]')) {
+                e.target.closest('.admin-hours-row').remove();
+                this.updatePreview();
+            }
+        });
+
+        document.getElementById('entryCancel').addEventListener('click', () => this.resetForm());
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEntry();
+        });
+
+        // 入力のたびにプレビューを更新
+        form.addEventListener('input', () => this.updatePreview());
+        form.addEventListener('change', () => this.updatePreview());
+        document.getElementById('previewTime').addEventListener('input', () => this.updatePreview());
+    }
+
+    /**
+     * 営業状況を読み込み
+     */
+    async loadEntries() {
+        const stats = await this.client.getBusinessStatusStats(true);
+
+        if (stats.error) {
+            this.showMessage(`営業状況の読み込みに失敗しました: ${stats.error}`, 'error');
+        }
+
+        this.entries = stats.entries.sort((a, b) =>
+            STATE_ORDER.indexOf(a.state) - STATE_ORDER.indexOf(b.state) ||
+            new Date(b.startTime || 0) - new Date(a.startTime || 0)
+        );
+
+        this.renderStats(stats);
+        this.renderEntries();
+        this.calendar.setEntries(this.entries);
+        this.updatePreview();
+    }
+
+    /**
+     * 集計を表示
+     * @param {Object} stats - getBusinessStatusStats() の結果
+     */
+    renderStats(stats) {
+        document.getElementById('statTotal').textContent = stats.total;
+        document.getElementById('statActive').textContent = stats.active;
+        document.getElementById('statUpcoming').textContent = stats.upcoming;
+        document.getElementById('statExpired').textContent = stats.expired;
+        document.getElementById('statByStatus').textContent = Object.entries(stats.byStatus)
+            .map(([status, count]) => `${STATUS_LABELS[status] || status} ${count}件`)
+            .join(' / ');
+    }
+
+    /**
+     * 一覧を表示
+     */
+    renderEntries() {
+        const container = document.getElementById('entryList');
+        const entries = this.currentFilter === 'all'
+            ? this.entries
+            : this.entries.filter(entry => entry.state === this.currentFilter);
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="admin-empty">該当する営業状況はありません</p>';
+            return;
+        }
+
+        // 現在営業状況バーに表示されている設定
+        const current = this.resolver.findActiveOverride(this.entries, new Date());
+
+        container.innerHTML = entries.map(entry => this.createEntryHTML(entry, entry.id === current?.id)).join('');
+    }
+
+    /**
+     * 一覧の1件分のHTML
+     * @param {Object} entry - 営業状況（state 付き）
+     * @param {boolean} isCurrent - 現在表示中か
+     */
+    createEntryHTML(entry, isCurrent) {
+        const period = `${entry.startTime ? utils.formatDateTime(entry.startTime) : '指定なし'} 〜 ${entry.endTime ? utils.formatDateTime(entry.endTime) : '無期限'}`;
+        const recurrence = describeRecurrence(entry.recurrence);
+        const hours = describeCustomHours(entry.customHours);
+
+        return `
+            <article class="admin-entry ${entry.state}${entry.id === this.editingId ? ' editing' : ''}">
+                <div class="admin-entry-head">
+                    <span class="admin-state ${entry.state}">${STATE_LABELS[entry.state]}</span>
+                    ${isCurrent ? '<span class="admin-state current">表示中</span>' : ''}
+                    <strong>${utils.sanitizeHtml(STATUS_LABELS[entry.status] || entry.status)}</strong>
+                    <span class="admin-entry-priority">優先度 ${Number(entry.priority) || 1}</span>
+                </div>
+                ${entry.reason ? `<p class="admin-entry-reason">${utils.sanitizeHtml(entry.reason)}</p>` : ''}
+                ${entry.message ? `<p class="admin-entry-message">${utils.sanitizeHtml(entry.message)}</p>` : ''}
+                <dl class="admin-entry-meta">
+                    <dt>期間</dt><dd>${period}</dd>
+                    ${recurrence ? `<dt>繰り返し</dt><dd>${utils.sanitizeHtml(recurrence)}</dd>` : ''}
+                    ${hours ? `<dt>営業時間</dt><dd>${utils.sanitizeHtml(hours)}</dd>` : ''}
+                    ${entry.updatedAt ? `<dt>更新</dt><dd>${utils.formatDateTime(entry.updatedAt)}</dd>` : ''}
+                </dl>
+                <div class="admin-entry-actions">
+                    ${entry.state === 'active' ? `
+                        <button type="button" class="admin-btn secondary" data-action="end" data-id="${entry.id}">今すぐ終了</button>
+                        ${entry.endTime && !entry.recurrence ? `<button type="button" class="admin-btn secondary" data-action="extend" data-id="${entry.id}">延長</button>` : ''}
+                    ` : ''}
+                    <button type="button" class="admin-btn secondary" data-action="edit" data-id="${entry.id}">編集</button>
+                    <button type="button" class="admin-btn danger" data-action="delete" data-id="${entry.id}">削除</button>
+                </div>
+            </article>
+        `;
+    }
+
+    /**
+     * 選択した営業状況をフォームに読み込み
+     * @param {Object} entry - 営業状況
+     */
+    editEntry(entry) {
+        this.editingId = entry.id;
+
+        document.getElementById('editorTitle').textContent = '編集';
+        document.getElementById('entrySubmit').textContent = '更新';
+        document.getElementById('entryCancel').style.display = '';
+
+        document.getElementById('entryStatus').value = entry.status;
+        document.getElementById('entryReason').value = entry.reason || '';
+        document.getElementById('entryMessage').value = entry.message || '';
+        document.getElementById('entryPriority').value = entry.priority || 1;
+        document.getElementById('entryStartTime').value = this.toInputValue(entry.startTime);
+        document.getElementById('entryEndTime').value = this.toInputValue(entry.endTime);
+
+        document.getElementById('entryHoursList').innerHTML = '';
+        (parseCustomHours(entry.customHours) || []).forEach(period => this.addHoursRow(period));
+
+        this.fillRecurrence(parseRecurrence(entry.recurrence));
+        this.clearErrors();
+        this.updateFieldVisibility();
+        this.renderEntries();
+
+        document.querySelector('.admin-editor').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * カレンダーで選んだ日の営業状況を新規作成（その日の終日を初期値にする）
+     * @param {Object} day - 暦日オブジェクト { year, month, day }
+     */
+    createEntryForDay(day) {
+        this.resetForm();
+
+        const date = this.calendar.toKey(day);
+        document.getElementById('editorTitle').textContent = `新規作成（${day.month}/${day.day}）`;
+        document.getElementById('entryStartTime').value = `${date}T00:00`;
+        document.getElementById('entryEndTime').value = `${date}T23:59`;
+        document.getElementById('previewTime').value = `${date}T12:00`;
+        this.updatePreview();
+
+        document.querySelector('.admin-editor').scrollIntoView({ behavior: 'smooth' });
+        document.getElementById('entryStatus').focus();
+    }
+
+    /**
+     * フォームを新規作成の状態に戻す
+     */
+    resetForm() {
+        this.editingId = null;
+
+        document.getElementById('entryForm').reset();
+        document.getElementById('editorTitle').textContent = '新規作成';
+        document.getElementById('entrySubmit').textContent = '作成';
+        document.getElementById('entryCancel').style.display = 'none';
+
+        document.getElementById('entryHoursList').innerHTML = '';
+        this.addHoursRow();
+
+        this.clearErrors();
+        this.updateFieldVisibility();
+        this.renderEntries();
+    }
+
+    /**
+     * 時短営業の時間帯の入力行を追加
+     * @param {Object} period - 初期値 { label, openTime, closeTime, lastOrderTime }
+     */
+    addHoursRow(period = {}) {
+        const row = document.createElement('div');
+        row.className = 'admin-hours-row';
+        row.innerHTML = `
+            <input type="text" data-field="label" placeholder="名称（任意）" maxlength="50">
+            <input type="time" data-field="openTime" title="開店">
+            <span>〜</span>
+            <input type="time" data-field="closeTime" title="閉店">
+            <span>L.O.</span>
+            <input type="time" data-field="lastOrderTime" title="ラストオーダー（任意）">
+            <button type="button" class="admin-btn secondary" data-action="remove-hours" title="削除">×</button>
+        `;
+
+        row.querySelectorAll('[data-field]').forEach(input => {
+            let value = period[input.dataset.field] || '';
+            // ラストオーダーが閉店と同じ場合は空欄で表示（省略時と同じ扱い）
+            if (input.dataset.field === 'lastOrderTime' && value === period.closeTime) value = '';
+            // <input type="time"> は 2 桁の時刻のみ受け付ける
+            input.value = /^\d:/.test(value) ? `0${value}` : value;
+        });
+
+        document.getElementById('entryHoursList').appendChild(row);
+    }
+
+    /**
+     * 繰り返しルールをフォームに反映
+     * @param {Object|null} rule - 正規化済みの繰り返しルール
+     */
+    fillRecurrence(rule) {
+        document.getElementById('entryRepeat').value = rule?.type || '';
+        document.querySelectorAll('input[name="entryRepeatWeekdays"]').forEach(input => {
+            input.checked = rule?.type === 'weekly' && rule.weekdays.includes(Number(input.value));
+        });
+        document.getElementById('entryRepeatNth').value = rule?.nth ?? 1;
+        document.getElementById('entryRepeatWeekday').value = rule?.weekday ?? 0;
+        document.getElementById('entryRepeatMonth').value = rule?.month ?? '';
+        document.getElementById('entryRepeatDay').value = rule?.day ?? '';
+        document.getElementById('entryRepeatFrom').value = rule?.fromTime ? rule.fromTime.padStart(5, '0') : '';
+        document.getElementById('entryRepeatTo').value = rule?.toTime ? rule.toTime.padStart(5, '0') : '';
+    }
+
+    /**
+     * ステータス・繰り返し種別に応じて入力欄を切り替え
+     */
+    updateFieldVisibility() {
+        const status = document.getElementById('entryStatus').value;
+        const repeat = document.getElementById('entryRepeat').value;
+
+        document.getElementById('entryHoursFieldset').style.display = status === 'short' ? '' : 'none';
+        document.getElementById('entryRepeatWeekly').style.display = repeat === 'weekly' ? '' : 'none';
+        document.getElementById('entryRepeatMonthly').style.display = repeat === 'monthly' ? '' : 'none';
+        document.getElementById('entryRepeatYearly').style.display = repeat === 'yearly' ? '' : 'none';
+        document.getElementById('entryRepeatTimes').style.display = repeat ? '' : 'none';
+        document.getElementById('entryRepeatHint').style.display = repeat ? '' : 'none';
+
+        this.updatePreview();
+    }
+
+    /**
+     * フォームの入力から営業状況データを作成
+     * @returns {Object} MicroCMSClient.setBusinessStatus() に渡す形式
+     */
+    readForm() {
+        const status = document.getElementById('entryStatus').value;
+
+        return {
+            status,
+            reason: document.getElementById('entryReason').value.trim(),
+            message: document.getElementById('entryMessage').value.trim(),
+            priority: Number(document.getElementById('entryPriority').value) || 1,
+            startTime: this.fromInputValue(document.getElementById('entryStartTime').value),
+            endTime: this.fromInputValue(document.getElementById('entryEndTime').value),
+            customHours: status === 'short' ? this.readCustomHours() : null,
+            recurrence: this.readRecurrence()
+        };
+    }
+
+    /**
+     * 時短営業の時間帯を読み込み（開店・閉店が空の行は無視）
+     * @returns {Array|null}
+     */
+    readCustomHours() {
+        const periods = [...document.querySelectorAll('.admin-hours-row')]
+            .map(row => {
+                const value = (field) => row.querySelector(`[data-field="${field}"]`).value.trim();
+                const period = { openTime: value('openTime'), closeTime: value('closeTime') };
+                if (value('label')) period.label = value('label');
+                if (value('lastOrderTime')) period.lastOrderTime = value('lastOrderTime');
+                return period;
+            })
+            .filter(period => period.openTime || period.closeTime);
+
+        return periods.length > 0 ? periods : null;
+    }
+
+    /**
+     * 繰り返しルールを読み込み
+     * @returns {Object|null}
+     */
+    readRecurrence() {
+        const type = document.getElementById('entryRepeat').value;
+        if (!type) return null;
+
+        const rule = { type };
+        if (type === 'weekly') {
+            rule.weekdays = [...document.querySelectorAll('input[name="entryRepeatWeekdays"]:checked')]
+                .map(input => Number(input.value));
+        } else if (type === 'monthly') {
+            rule.nth = Number(document.getElementById('entryRepeatNth').value);
+            rule.weekday = Number(document.getElementById('entryRepeatWeekday').value);
+        } else {
+            rule.month = Number(document.getElementById('entryRepeatMonth').value);
+            rule.day = Number(document.getElementById('entryRepeatDay').value);
+        }
+
+        const fromTime = document.getElementById('entryRepeatFrom').value;
+        const toTime = document.getElementById('entryRepeatTo').value;
+        if (fromTime) rule.fromTime = fromTime;
+        if (toTime) rule.toTime = toTime;
+
+        return rule;
+    }
+
+    /**
+     * 入力内容を検証（サーバーと同じ規則）
+     * @param {Object} data - readForm() の結果
+     * @returns {Array} { field, message } の配列
+     */
+    validateForm(data) {
+        return validateStatusEntry(data);
+    }
+
+    /**
+     * 入力中の内容と保存済みの営業状況との期間の重複
+     * @param {Object} data - readForm() の結果
+     * @returns {Array} findConflicts() の結果
+     */
+    findFormConflicts(data) {
+        // 開始日時が空の場合は保存時点から適用される
+        const draft = { ...data, id: this.editingId, startTime: data.startTime || new Date().toISOString() };
+        return findConflicts(draft, this.entries);
+    }
+
+    /**
+     * フォームの内容を保存（新規作成または更新）
+     * 同じ優先度の営業状況と期間が重なる場合は確認のうえ保存する
+     */
+    async saveEntry() {
+        const data = this.readForm();
+        const errors = this.validateForm(data);
+        if (errors.length > 0) {
+            this.showErrors(errors);
+            return;
+        }
+
+        const blocking = this.findFormConflicts(data).filter(item => item.severity === 'error');
+        if (blocking.length > 0 && !this.confirmConflicts(blocking)) {
+            return;
+        }
+
+        const submitBtn = document.getElementById('entrySubmit');
+        submitBtn.disabled = true;
+        this.clearErrors();
+
+        try {
+            const result = await this.submitEntry(data, { force: blocking.length > 0 });
+
+            const warningCount = result.warnings?.length || 0;
+            this.showMessage(`${result.message || '保存しました'}${warningCount > 0 ? `（期間の重複 ${warningCount}件）` : ''}`, 'success');
+            this.resetForm();
+            await this.loadEntries();
+
+        } catch (error) {
+            const body = utils.parseAPIError(error);
+            if (body?.errors) {
+                this.showErrors(body.errors);
+            } else {
+                if (body?.conflicts) this.renderConflicts(body.conflicts);
+                this.showErrors([{ field: null, message: utils.getAPIErrorDetail(error) }]);
+            }
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * 作成または更新を送信
+     * 一覧の読み込み後に他の端末で追加された重複により 409 になった場合は、確認のうえ再送する
+     */
+    async submitEntry(data, { force }) {
+        const send = (options) => (this.editingId
+            ? this.client.updateBusinessStatus(this.editingId, data, options)
+            : this.client.setBusinessStatus(data, options));
+
+        try {
+            return await send({ force });
+        } catch (error) {
+            const body = utils.parseAPIError(error);
+            if (body?.status !== 409 || force || !this.confirmConflicts(body.conflicts || [])) {
+                throw error;
+            }
+            return send({ force: true });
+        }
+    }
+
+    /**
+     * 同じ優先度の重複を確認
+     * @param {Array} conflicts - 重複の配列
+     * @returns {boolean} 保存を続けるか
+     */
+    confirmConflicts(conflicts) {
+        const lines = conflicts.map(item => `・${item.message}`).join('\n');
+        return confirm(`次の営業状況と優先度が同じまま期間が重なっています。\n${lines}\n\nこのまま保存しますか？`);
+    }
+
+    /**
+     * 営業状況を削除
+     * @param {Object} entry - 営業状況
+     */
+    async deleteEntry(entry) {
+        const label = `${STATUS_LABELS[entry.status] || entry.status}${entry.reason ? `（${entry.reason}）` : ''}`;
+        if (!confirm(`${label} を削除しますか？`)) return;
+
+        try {
+            await this.client.deleteBusinessStatus(entry.id);
+
+            if (this.editingId === entry.id) {
+                this.resetForm();
+            }
+            this.showMessage('営業状況を削除しました', 'success');
+            await this.loadEntries();
+
+        } catch (error) {
+            this.showMessage(`削除に失敗しました: ${utils.getAPIErrorDetail(error)}`, 'error');
+        }
+    }
+
+    /**
+     * 営業状況を今すぐ終了（終了日時をサーバーの現在時刻にする）
+     * @param {Object} entry - 営業状況
+     */
+    async endEntry(entry) {
+        const label = `${STATUS_LABELS[entry.status] || entry.status}${entry.reason ? `（${entry.reason}）` : ''}`;
+        const note = entry.recurrence ? '\n繰り返し設定のため、今後の予定も適用されなくなります' : '';
+        if (!confirm(`${label} を今すぐ終了しますか？${note}`)) return;
+
+        try {
+            const result = await this.client.endBusinessStatus(entry.id);
+            this.showMessage(result.message || '営業状況を終了しました', 'success');
+            await this.loadEntries();
+
+        } catch (error) {
+            this.showMessage(`終了に失敗しました: ${utils.getAPIErrorDetail(error)}`, 'error');
+        }
+    }
+
+    /**
+     * 営業状況の終了日時を延長
+     * @param {Object} entry - 営業状況
+     */
+    async extendEntry(entry) {
+        const input = prompt('何時間延長しますか？（1〜72）', '1');
+        if (input === null) return;
+
+        const hours = Number(input);
+        if (!Number.isInteger(hours) || hours < 1 || hours > 72) {
+            this.showMessage('延長する時間は1〜72の整数で指定してください', 'error');
+            return;
+        }
+
+        try {
+            const result = await this.client.extendBusinessStatus(entry.id, hours);
+            this.showMessage(result.message || `${hours}時間延長しました`, 'success');
+            await this.loadEntries();
+
+        } catch (error) {
+            this.showMessage(`延長に失敗しました: ${utils.getAPIErrorDetail(error)}`, 'error');
+        }
+    }
+
+    /**
+     * 営業状況バーのプレビューを更新
+     * 保存済みの設定と入力中の内容を合わせ、指定日時に実際に表示される状況を描画する
+     */
+    updatePreview() {
+        const badge = document.getElementById('previewBadge');
+        const detail = document.getElementById('previewDetail');
+        const note = document.getElementById('previewNote');
+
+        const at = new Date(this.fromInputValue(document.getElementById('previewTime').value) || Date.now());
+        const data = this.readForm();
+        const draft = { ...data, id: this.editingId || 'preview', publishedAt: new Date().toISOString() };
+
+        const contents = [...this.entries.filter(entry => entry.id !== draft.id), draft];
+        const override = this.resolver.findActiveOverride(contents, at);
+        const status = override
+            ? this.resolver.createManualStatus(override, at)
+            : this.resolver.calculateAutoStatus(at);
+
+        this.businessHours.renderStatus(status, badge, detail);
+
+        const errors = this.validateForm(data);
+        this.renderConflicts(errors.length > 0 ? [] : this.findFormConflicts(data));
+
+        if (errors.length > 0) {
+            note.textContent = '入力内容にエラーがあります';
+        } else if (override?.id === draft.id) {
+            note.textContent = `${utils.formatDateTime(at)} にはこの設定が表示されます`;
+        } else if (override) {
+            note.textContent = `${utils.formatDateTime(at)} には優先度の高い別の設定（${STATUS_LABELS[override.status] || override.status}）が表示されます`;
+        } else {
+            note.textContent = `${utils.formatDateTime(at)} にはこの設定は適用されません（自動判定を表示）`;
+        }
+    }
+
+    /**
+     * ISO日時を店舗の現地時刻の datetime-local 値に変換
+     * @param {string|null} iso - ISO 8601 文字列
+     */
+    toInputValue(iso) {
+        if (!iso) return '';
+
+        const p = utils.getZonedParts(new Date(iso));
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+    }
+
+    /**
+     * datetime-local 値（店舗の現地時刻）を ISO 日時に変換
+     * @param {string} value - "YYYY-MM-DDTHH:MM"
+     * @returns {string|null}
+     */
+    fromInputValue(value) {
+        if (!value) return null;
+
+        const [date, time] = value.split('T');
+        const [year, month, day] = date.split('-').map(Number);
+        const timeFloat = utils.parseTime(time);
+        if (!year || !month || !day || timeFloat === null) return null;
+
+        return utils.zonedTimeToDate({ year, month, day }, timeFloat).toISOString();
+    }
+
+    /**
+     * 期間が重なる営業状況を表示
+     * @param {Array} conflicts - findConflicts() の結果
+     */
+    renderConflicts(conflicts) {
+        document.getElementById('entryConflicts').innerHTML = conflicts
+            .map(item => `<p class="${item.severity}">${utils.sanitizeHtml(item.message)}</p>`)
+            .join('');
+    }
+
+    /**
+     * 検証エラーを表示し、該当する入力欄を強調
+     * @param {Array} errors - { field, message } の配列
+     */
+    showErrors(errors) {
+        this.clearErrors();
+
+        const container = document.getElementById('entryErrors');
+        container.innerHTML = errors.map(({ field, message }) => {
+            const label = FIELDS[field]?.label;
+            return `<p>${utils.sanitizeHtml(label ? `${label}: ${message}` : message)}</p>`;
+        }).join('');
+
+        errors.forEach(({ field }) => {
+            if (FIELDS[field]) document.getElementById(FIELDS[field].input).classList.add('invalid');
+        });
+    }
+
+    clearErrors() {
+        document.getElementById('entryErrors').innerHTML = '';
+        document.querySelectorAll('#entryForm .invalid').forEach(element => element.classList.remove('invalid'));
+    }
+
+    /**
+     * 画面上部にメッセージを表示
+     * @param {string} text - メッセージ
+     * @param {string} type - 'success' | 'error'
+     */
+    showMessage(text, type = 'success') {
+        const container = document.getElementById('adminMessage');
+        container.textContent = text;
+        container.className = `admin-message ${type} visible`;
+
+        clearTimeout(this.messageTimer);
+        this.messageTimer = setTimeout(() => {
+            container.classList.remove('visible');
+        }, 5000);
+    }
+}
@@ -1,14 +1,28 @@
 // js/business-hours.js - 営業時間管理クラス（手動制御対応版）
 
 import { CONFIG, utils } from './config.js';
+import { StatusResolver } from './status-resolver.js';
+import { parseRecurrence } from './override-recurrence.js';
+import { formatStatusBadge, formatStatusDetail, formatCountdown } from './status-display.js';
 
 /**
  * 営業時間・店舗状況の管理（手動制御機能付き）
  */
 export class BusinessHours {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {AdminAuth|null} options.auth - 管理者パネルで使うログインセッション
+     * @param {LiveUpdates|null} options.live - 営業状況の変更通知
+     */
+    constructor({ auth = null, live = null } = {}) {
         this.config = CONFIG.business;
+        this.auth = auth;
+        this.live = live;
+        this.resolver = new StatusResolver(this.config);
+        this.schedule = this.resolver.schedule;
         this.statusCache = null;
+        // 最後に取得した営業状況の一覧（時刻の経過による手動設定の開始・終了を判定し直すために保持）
+        this.statusList = null;
         this.lastUpdate = null;
         this.lastCMSCheck = null;
 
@@ -30,6 +44,7 @@ export class BusinessHours {
                 // キャッシュが5分以内なら使用
                 const cacheAge = Date.now() - new Date(cacheData.fetchedAt).getTime();
                 if (cacheAge < 5 * 60 * 1000 && cacheData.contents) {
+                    this.statusList = cacheData.contents;
                     const activeOverride = this.findActiveOverride(cacheData.contents);
                     if (activeOverride) {
                         this.manualOverride = activeOverride;
@@ -68,6 +83,11 @@ export class BusinessHours {
 
         // STEP5: バックグラウンドで最新データを取得（非ブロッキング）
         this.refreshInBackground();
+
+        // STEP6: 変更通知を受けたら即座に最新の手動設定を取得
+        if (this.live) {
+            this.live.on('status', () => this.checkManualOverride(true));
+        }
     }
     /**
      * バックグラウンドで最新データを更新
@@ -139,31 +159,18 @@ export class BusinessHours {
             if (window.app && window.app.microCMS) {
                 const data = await window.app.microCMS.loadBusinessStatus();
                 this.lastCMSCheck = Date.now();
+                this.statusList = data;
 
                 // 有効な手動設定があるかチェック
-                const activeOverride = this.findActiveOverride(data);
-
-                if (activeOverride !== this.manualOverride) {
-                    this.manualOverride = activeOverride;
-
-                    // LocalStorageの更新
-                    if (activeOverride) {
-                        localStorage.setItem('businessOverride', JSON.stringify(activeOverride));
-                        console.log('✅ Saved to LocalStorage:', activeOverride);
-                    } else {
-                        // データがない場合は必ずLocalStorageをクリア
-                        localStorage.removeItem('businessOverride');
-                        console.log('🗑️ Cleared LocalStorage (no data)');
-                    }
-
+                if (this.applyActiveOverride(this.findActiveOverride(data))) {
                     this.updateStatus();
-                    console.log('Manual override updated:', activeOverride);
                 }
             }
         } catch (error) {
             console.warn('MicroCMS接続エラー:', error.message);
             // エラー時もLocalStorageをクリア
             localStorage.removeItem('businessOverride');
+            this.statusList = null;
             if (this.manualOverride) {
                 this.manualOverride = null;
                 this.updateStatus();
@@ -172,38 +179,63 @@ export class BusinessHours {
     }
 
     /**
-     * 有効な手動設定を検索
-     * @param {Array} contents - MicroCMSコンテンツ配列
-     * @returns {Object|null} 有効な手動設定
+     * 適用する手動設定を変更
+     * @param {Object|null} override - 有効な手動設定
+     * @returns {boolean} 変更されたか
      */
-    findActiveOverride(contents) {
-        if (!contents || contents.length === 0) {
-            return null;
+    applyActiveOverride(override) {
+        if (this.getOverrideKey(override) === this.getOverrideKey(this.manualOverride)) {
+            return false;
         }
 
-        const now = new Date();
+        this.manualOverride = override;
 
-        // 優先度順にソートして最も優先度の高い有効な設定を取得
-        const validOverrides = contents
-            .filter(item => {
-                // 公開状態チェック
-                if (!item.publishedAt) return false;
+        // LocalStorageの更新
+        if (override) {
+            localStorage.setItem('businessOverride', JSON.stringify(override));
+            console.log('✅ Saved to LocalStorage:', override);
+        } else {
+            // データがない場合は必ずLocalStorageをクリア
+            localStorage.removeItem('businessOverride');
+            console.log('🗑️ Cleared LocalStorage (no data)');
+        }
 
-                // 開始時刻チェック
-                if (item.startTime && new Date(item.startTime) > now) {
-                    return false;
-                }
+        console.log('Manual override updated:', override);
+        return true;
+    }
 
-                // 終了時刻チェック
-                if (item.endTime && new Date(item.endTime) < now) {
-                    return false;
-                }
+    /**
+     * 手動設定の同一性を判定するキー（繰り返し設定は発生期間ごとに別の設定として扱う）
+     */
+    getOverrideKey(override) {
+        if (!override) return '';
+        return [override.id, override.startTime, override.endTime, override.updatedAt].join('|');
+    }
 
-                return true;
-            })
-            .sort((a, b) => (b.priority || 1) - (a.priority || 1));
+    /**
+     * 時刻の経過に合わせて手動設定を判定し直す
+     * 更新通知に接続中は一覧を取得し直さないため、予約した設定の開始・終了や繰り返しの発生期間は
+     * 保持している一覧から判定する（一覧がない場合は終了時刻のみ確認）
+     * @param {Date} now - 基準日時
+     */
+    refreshActiveOverride(now) {
+        if (this.statusList) {
+            this.applyActiveOverride(this.resolver.findActiveOverride(this.statusList, now));
+            return;
+        }
+
+        if (this.manualOverride?.endTime && new Date(this.manualOverride.endTime) <= now) {
+            this.applyActiveOverride(null);
+        }
+    }
 
-        return validOverrides.length > 0 ? validOverrides[0] : null;
+    /**
+     * 有効な手動設定を検索
+     * @param {Array} contents - MicroCMSコンテンツ配列
+     * @returns {Object|null} 有効な手動設定
+     */
+    findActiveOverride(contents) {
+        return this.resolver.findActiveOverride(contents, new Date());
     }
 
     /**
@@ -213,6 +245,11 @@ export class BusinessHours {
     updateStatus(customDate = null) {
         const now = customDate || new Date();
 
+        // 現在時刻で有効な手動設定に切り替える（テスト用の日時指定では保持中の設定を変えない）
+        if (!customDate) {
+            this.refreshActiveOverride(now);
+        }
+
         // 手動設定が優先
         let status;
         if (this.manualOverride) {
@@ -243,129 +280,17 @@ export class BusinessHours {
      * @param {Date} now - 現在時刻
      * @returns {Object} 営業状況オブジェクト
      */
-
     createManualStatus(override, now) {
-        // statusが配列の場合、最初の要素を取得
-        const statusValue = Array.isArray(override.status) ? override.status[0] : override.status;
-
-        const baseStatus = {
-            isManual: true,
-            overrideId: override.id,
-            reason: override.reason || '',
-            customMessage: override.message || '',
-            startTime: override.startTime,
-            endTime: override.endTime
-        };
-
-
-        switch (statusValue) {
-            case 'closed':
-                return {
-                    ...baseStatus,
-                    type: 'emergency-closed',
-                    message: '臨時休業',
-                    detail: override.reason || '都合により臨時休業',
-                    customMessage: override.message || '営業再開時期は改めてお知らせいたします'
-                };
-
-            case 'short':
-                return {
-                    ...baseStatus,
-                    type: 'short-hours',
-                    message: '時短営業',
-                    detail: override.reason || '本日は時短営業',
-                    customMessage: override.message || '',  // customMessageとして設定
-                    customHours: override.customHours || ''
-                };
-
-            case 'special':
-                return {
-                    ...baseStatus,
-                    type: 'special',
-                    message: '特別営業',
-                    detail: override.message || '本日は特別営業',
-                    specialNote: override.reason || ''
-                };
-
-            default:
-                // 不明な設定の場合は自動判定にフォールバック
-                console.warn('Unknown manual status:', statusValue);
-                return this.calculateAutoStatus(now);
-        }
-
+        return this.resolver.createManualStatus(override, now);
     }
 
     /**
-     * 自動営業状況を計算（元のロジック）
+     * 自動営業状況を計算
      * @param {Date} date - 基準日時
      * @returns {Object} 営業状況オブジェクト
      */
     calculateAutoStatus(date) {
-        const day = date.getDay();
-        const hour = date.getHours();
-        const minute = date.getMinutes();
-        const time = hour + minute / 60;
-
-        const baseStatus = { isManual: false };
-
-        // 祝日チェック
-        if (this.isHoliday(date)) {
-            return {
-                ...baseStatus,
-                type: 'holiday',
-                message: '祝日のため休業',
-                detail: '翌営業日17:30より営業',
-                nextOpen: this.getNextOpenTime(date)
-            };
-        }
-
-        // 定休日チェック
-        if (day === this.config.closedDay) {
-            return {
-                ...baseStatus,
-                type: 'closed',
-                message: '本日定休日',
-                detail: '明日17:30より営業',
-                nextOpen: this.getNextOpenTime(date)
-            };
-        }
-
-        // 営業時間内チェック
-        if (time >= this.config.openTime && time < this.config.lastOrderTime) {
-            const remainingMinutes = Math.round((this.config.lastOrderTime - time) * 60);
-            return {
-                ...baseStatus,
-                type: 'open',
-                message: '営業中',
-                detail: `${utils.formatTime(this.config.closeTime)}まで（L.O. ${utils.formatTime(this.config.lastOrderTime)}）`,
-                remainingMinutes
-            };
-        } else if (time >= this.config.lastOrderTime && time < this.config.closeTime) {
-            return {
-                ...baseStatus,
-                type: 'last-order',
-                message: 'ラストオーダー',
-                detail: '本日のご注文受付は終了',
-                closingTime: this.config.closeTime
-            };
-        } else if (time < this.config.openTime) {
-            const minutesToOpen = Math.round((this.config.openTime - time) * 60);
-            return {
-                ...baseStatus,
-                type: 'closed',
-                message: '準備中',
-                detail: `本日${utils.formatTime(this.config.openTime)}より営業`,
-                minutesToOpen
-            };
-        } else {
-            return {
-                ...baseStatus,
-                type: 'closed',
-                message: '営業終了',
-                detail: `明日${utils.formatTime(this.config.openTime)}より営業`,
-                nextOpen: this.getNextOpenTime(date)
-            };
-        }
+        return this.resolver.calculateAutoStatus(date);
     }
 
     /**
@@ -381,20 +306,25 @@ export class BusinessHours {
             return;
         }
 
-        const icons = {
-            'open': '🟢',
-            'last-order': '🟡',
-            'closed': '⚫',
-            'holiday': '🔴',
-            'emergency-closed': '❌',
-            'short-hours': '⏰',
-            'special': '✨'
-        };
+        this.renderStatus(status, badge, detail);
+
+        // 手動設定の場合は追加情報を表示
+        this.displayManualInfo(status);
+
+        // カウントダウン表示
+        this.updateCountdown(status);
+    }
 
+    /**
+     * 営業状況バーのバッジと詳細を描画（管理画面のプレビューでも使用）
+     * @param {Object} status - 営業状況オブジェクト
+     * @param {HTMLElement} badge - バッジ要素
+     * @param {HTMLElement} detail - 詳細要素
+     */
+    renderStatus(status, badge, detail) {
         // バッジの更新
-        const icon = icons[status.type] || '⚫';
         badge.className = `status-badge ${status.type}`;
-        badge.innerHTML = `${icon} ${status.message}`;
+        badge.innerHTML = formatStatusBadge(status);
 
         // 手動設定の場合は視覚的に区別
         if (status.isManual) {
@@ -402,21 +332,7 @@ export class BusinessHours {
         }
 
         // 詳細の更新
-        let detailText = status.detail;
-        // specialタイプの場合はcustomMessageを追加しない
-        if (status.type !== 'special' && status.customMessage) {
-            detailText += ` - ${status.customMessage}`;
-        }
-        if (status.nextMessage) {
-            detailText += ` ${status.nextMessage}`;
-        }
-        detail.textContent = detailText;
-
-        // 手動設定の場合は追加情報を表示
-        this.displayManualInfo(status);
-
-        // カウントダウン表示
-        this.updateCountdown(status);
+        detail.textContent = formatStatusDetail(status);
     }
 
     /**
@@ -454,6 +370,10 @@ export class BusinessHours {
 
         panel.innerHTML = `
             <h4 style="margin: 0 0 10px 0; color: #007bff;">営業状況管理</h4>
+            <div style="display: flex; gap: 5px; align-items: center; margin-bottom: 10px; font-size: 12px;">
+                <span id="adminSessionUser" style="flex: 1;"></span>
+                <button id="adminSessionButton" style="padding: 4px 8px; background: #6c757d; color: white; border: none; border-radius: 4px;"></button>
+            </div>
             <div style="margin-bottom: 10px;">
                 <select id="manualStatus" style="width: 100%; padding: 5px;">
                     <option value="">自動判定</option>
@@ -462,6 +382,17 @@ export class BusinessHours {
                     <option value="special">特別営業</option>
                 </select>
             </div>
+            <div id="manualHoursOptions" style="display: none; margin-bottom: 10px;">
+                <div style="display: flex; gap: 5px; align-items: center;">
+                    <input type="time" id="manualOpenTime" title="開店" style="flex: 1; padding: 5px;">
+                    <span>〜</span>
+                    <input type="time" id="manualCloseTime" title="閉店" style="flex: 1; padding: 5px;">
+                </div>
+                <div style="display: flex; gap: 5px; align-items: center; margin-top: 5px;">
+                    <span style="font-size: 12px;">L.O.</span>
+                    <input type="time" id="manualLastOrderTime" style="flex: 1; padding: 5px;">
+                </div>
+            </div>
             <div style="margin-bottom: 10px;">
                 <input type="text" id="manualReason" placeholder="理由" style="width: 100%; padding: 5px;">
             </div>
@@ -471,11 +402,49 @@ export class BusinessHours {
             <div style="margin-bottom: 10px;">
                 <input type="datetime-local" id="manualEndTime" style="width: 100%; padding: 5px;">
             </div>
+            <div style="margin-bottom: 10px;">
+                <select id="manualRepeat" style="width: 100%; padding: 5px;">
+                    <option value="">繰り返しなし</option>
+                    <option value="weekly">毎週</option>
+                    <option value="monthly">毎月（第n曜日）</option>
+                    <option value="yearly">毎年</option>
+                </select>
+            </div>
+            <div id="manualRepeatOptions" style="display: none; margin-bottom: 10px;">
+                <div style="display: flex; gap: 5px; margin-bottom: 5px;">
+                    <select id="manualRepeatNth" style="flex: 1; padding: 5px;">
+                        <option value="1">第1</option>
+                        <option value="2">第2</option>
+                        <option value="3">第3</option>
+                        <option value="4">第4</option>
+                        <option value="5">第5</option>
+                        <option value="-1">最終</option>
+                    </select>
+                    <select id="manualRepeatWeekday" style="flex: 1; padding: 5px;">
+                        ${['日', '月', '火', '水', '木', '金', '土'].map((d, i) => `<option value="${i}">${d}曜</option>`).join('')}
+                    </select>
+                    <input type="date" id="manualRepeatDate" style="flex: 1; padding: 5px;">
+                </div>
+                <div style="display: flex; gap: 5px; align-items: center;">
+                    <input type="time" id="manualRepeatFrom" style="flex: 1; padding: 5px;">
+                    <span>〜</span>
+                    <input type="time" id="manualRepeatTo" style="flex: 1; padding: 5px;">
+                </div>
+            </div>
+            <div id="manualActive" style="display: none; margin-bottom: 10px; padding: 8px; background: #f1f7ff; border-radius: 4px; font-size: 12px;">
+                <div id="manualActiveText" style="margin-bottom: 5px;"></div>
+                <div style="display: flex; gap: 5px; align-items: center;">
+                    <input type="number" id="manualExtendHours" min="1" max="72" value="1" style="width: 60px; padding: 5px;">
+                    <span>時間</span>
+                    <button id="extendManual" style="flex: 1; padding: 6px; background: #28a745; color: white; border: none; border-radius: 4px;">延長</button>
+                </div>
+            </div>
             <div style="display: flex; gap: 5px;">
                 <button id="applyManual" style="flex: 1; padding: 8px; background: #007bff; color: white; border: none; border-radius: 4px;">適用</button>
-                <button id="clearManual" style="flex: 1; padding: 8px; background: #dc3545; color: white; border: none; border-radius: 4px;">クリア</button>
+                <button id="clearManual" style="flex: 1; padding: 8px; background: #dc3545; color: white; border: none; border-radius: 4px;">今すぐ終了</button>
             </div>
             <div id="manualResult" style="margin-top: 10px; font-size: 12px;"></div>
+            <a href="/admin" style="display: block; margin-top: 10px; font-size: 12px; color: #007bff;">一覧・予約設定は管理画面へ</a>
         `;
 
         document.body.appendChild(panel);
@@ -489,6 +458,7 @@ export class BusinessHours {
                 e.preventDefault();
                 const isVisible = panel.style.display !== 'none';
                 panel.style.display = isVisible ? 'none' : 'block';
+                if (!isVisible) this.renderActiveOverride(panel);
             }
         });
     }
@@ -501,6 +471,24 @@ export class BusinessHours {
         const applyBtn = panel.querySelector('#applyManual');
         const clearBtn = panel.querySelector('#clearManual');
         const resultDiv = panel.querySelector('#manualResult');
+        const repeatSelect = panel.querySelector('#manualRepeat');
+        const statusSelect = panel.querySelector('#manualStatus');
+
+        this.setupAdminSession(panel);
+
+        // 時短営業の場合のみ営業時間の入力欄を表示
+        statusSelect.addEventListener('change', () => {
+            panel.querySelector('#manualHoursOptions').style.display = statusSelect.value === 'short' ? 'block' : 'none';
+        });
+
+        // 繰り返し種別に応じて入力欄を切り替え
+        repeatSelect.addEventListener('change', () => {
+            const type = repeatSelect.value;
+            panel.querySelector('#manualRepeatOptions').style.display = type ? 'block' : 'none';
+            panel.querySelector('#manualRepeatNth').style.display = type === 'monthly' ? '' : 'none';
+            panel.querySelector('#manualRepeatWeekday').style.display = type === 'yearly' ? 'none' : '';
+            panel.querySelector('#manualRepeatDate').style.display = type === 'yearly' ? '' : 'none';
+        });
 
         applyBtn.addEventListener('click', async () => {
             const status = panel.querySelector('#manualStatus').value;
@@ -518,25 +506,152 @@ export class BusinessHours {
                 status,
                 reason,
                 message,
-                endTime: endTime ? new Date(endTime).toISOString() : null
+                endTime: endTime ? new Date(endTime).toISOString() : null,
+                customHours: status === 'short' ? this.readCustomHoursForm(panel) : null,
+                recurrence: this.readRecurrenceForm(panel)
             };
 
             const result = await this.setManualOverride(overrideData);
             resultDiv.textContent = result.message;
             resultDiv.style.color = result.success ? 'green' : 'red';
+            this.renderActiveOverride(panel);
+        });
+
+        panel.querySelector('#extendManual').addEventListener('click', async () => {
+            const hours = Number(panel.querySelector('#manualExtendHours').value);
+            const result = await this.extendManualOverride(hours);
+            resultDiv.textContent = result.message;
+            resultDiv.style.color = result.success ? 'green' : 'red';
+            this.renderActiveOverride(panel);
         });
 
         clearBtn.addEventListener('click', async () => {
             const result = await this.clearManualOverride();
             resultDiv.textContent = result.message;
             resultDiv.style.color = result.success ? 'green' : 'red';
+            this.renderActiveOverride(panel);
+            if (!result.success) return;
 
             // フォームをクリア
-            panel.querySelector('#manualStatus').value = '';
+            statusSelect.value = '';
+            statusSelect.dispatchEvent(new Event('change'));
+            ['#manualOpenTime', '#manualCloseTime', '#manualLastOrderTime'].forEach(id => {
+                panel.querySelector(id).value = '';
+            });
             panel.querySelector('#manualReason').value = '';
             panel.querySelector('#manualMessage').value = '';
             panel.querySelector('#manualEndTime').value = '';
+            repeatSelect.value = '';
+            repeatSelect.dispatchEvent(new Event('change'));
+        });
+    }
+
+    /**
+     * 管理者パネルのログイン状態表示とログイン・ログアウトボタンを設定
+     * @param {HTMLElement} panel - パネル要素
+     */
+    setupAdminSession(panel) {
+        const auth = this.auth;
+        const userSpan = panel.querySelector('#adminSessionUser');
+        const sessionBtn = panel.querySelector('#adminSessionButton');
+        const resultDiv = panel.querySelector('#manualResult');
+
+        if (!auth) {
+            sessionBtn.style.display = 'none';
+            return;
+        }
+
+        const render = (user) => {
+            userSpan.textContent = user ? `${user.displayName || user.username}（${user.role}）でログイン中` : '未ログイン';
+            sessionBtn.textContent = user ? 'ログアウト' : 'ログイン';
+        };
+
+        sessionBtn.addEventListener('click', async () => {
+            if (auth.isLoggedIn()) {
+                await auth.logout();
+                resultDiv.textContent = 'ログアウトしました';
+                resultDiv.style.color = 'green';
+                return;
+            }
+
+            try {
+                await auth.promptLogin();
+                resultDiv.textContent = '';
+            } catch (error) {
+                // キャンセル時は何もしない
+            }
         });
+
+        auth.onChange(render);
+        render(auth.getUser());
+    }
+
+    /**
+     * 管理者パネルに適用中の手動設定を表示
+     * @param {HTMLElement} panel - パネル要素
+     */
+    renderActiveOverride(panel) {
+        const container = panel.querySelector('#manualActive');
+        const override = this.manualOverride;
+
+        if (!override) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const labels = { closed: '臨時休業', short: '時短営業', special: '特別営業' };
+        const until = override.endTime ? `${utils.formatDateTime(override.endTime)}まで` : '終了日時なし';
+        panel.querySelector('#manualActiveText').textContent =
+            `適用中: ${override.reason || labels[override.status] || override.status}（${until}）`;
+        container.style.display = 'block';
+    }
+
+    /**
+     * 管理者パネルの入力から時短営業の営業時間を作成
+     * @param {HTMLElement} panel - パネル要素
+     * @returns {Object|null} { openTime, closeTime, lastOrderTime }
+     */
+    readCustomHoursForm(panel) {
+        const openTime = panel.querySelector('#manualOpenTime').value;
+        const closeTime = panel.querySelector('#manualCloseTime').value;
+        const lastOrderTime = panel.querySelector('#manualLastOrderTime').value;
+        if (!openTime || !closeTime) return null;
+
+        const hours = { openTime, closeTime };
+        if (lastOrderTime) hours.lastOrderTime = lastOrderTime;
+
+        return hours;
+    }
+
+    /**
+     * 管理者パネルの入力から繰り返しルールを作成
+     * @param {HTMLElement} panel - パネル要素
+     * @returns {Object|null} 繰り返しルール
+     */
+    readRecurrenceForm(panel) {
+        const type = panel.querySelector('#manualRepeat').value;
+        if (!type) return null;
+
+        const weekday = Number(panel.querySelector('#manualRepeatWeekday').value);
+        const rule = { type };
+
+        if (type === 'weekly') {
+            rule.weekdays = [weekday];
+        } else if (type === 'monthly') {
+            rule.nth = Number(panel.querySelector('#manualRepeatNth').value);
+            rule.weekday = weekday;
+        } else {
+            const [, month, day] = (panel.querySelector('#manualRepeatDate').value || '').split('-').map(Number);
+            rule.month = month;
+            rule.day = day;
+        }
+
+        const fromTime = panel.querySelector('#manualRepeatFrom').value;
+        const toTime = panel.querySelector('#manualRepeatTo').value;
+        if (fromTime) rule.fromTime = fromTime;
+        if (toTime) rule.toTime = toTime;
+
+        return rule;
     }
 
     /**
@@ -563,73 +678,107 @@ export class BusinessHours {
     }
 
     /**
-     * 手動設定をクリア
+     * 適用中の手動設定をサーバー側で終了（確認あり）
+     * 終了日時を現在時刻にするため、他の閲覧者の表示からも消える
      */
     async clearManualOverride() {
+        const override = this.manualOverride;
+        if (!override) {
+            return { success: false, message: '適用中の手動設定はありません' };
+        }
+
+        // 繰り返し設定は終了するとルール自体の有効期間が終わる
+        const isRecurring = Boolean(override.sourceId || parseRecurrence(override.recurrence));
+        const label = override.reason || override.status;
+        if (!confirm(`「${label}」を今すぐ終了しますか？${isRecurring ? '\n繰り返し設定のため、今後の予定も適用されなくなります' : ''}`)) {
+            return { success: false, message: 'キャンセルしました' };
+        }
+
         try {
-            // ローカルの手動設定をクリア
-            this.manualOverride = null;
-            this.updateStatus();
+            if (!window.app || !window.app.microCMS) {
+                throw new Error('MicroCMS client not available');
+            }
+
+            await window.app.microCMS.endBusinessStatus(this.getOverrideId(override));
+            await this.refreshAfterOverrideChange();
 
-            return { success: true, message: '手動設定をクリアしました' };
+            return { success: true, message: '手動設定を終了しました' };
 
         } catch (error) {
             console.error('Clear override failed:', error);
-            return { success: false, message: `クリアに失敗しました: ${error.message}` };
+            return { success: false, message: `終了に失敗しました: ${utils.getAPIErrorDetail(error)}` };
+        }
+    }
+
+    /**
+     * 適用中の手動設定の終了日時を延長
+     * @param {number} hours - 延長する時間数（1〜72）
+     */
+    async extendManualOverride(hours) {
+        const override = this.manualOverride;
+        if (!override) {
+            return { success: false, message: '適用中の手動設定はありません' };
+        }
+        if (!Number.isInteger(hours) || hours < 1 || hours > 72) {
+            return { success: false, message: '延長する時間は1〜72の整数で指定してください' };
+        }
+
+        try {
+            if (!window.app || !window.app.microCMS) {
+                throw new Error('MicroCMS client not available');
+            }
+
+            const result = await window.app.microCMS.extendBusinessStatus(this.getOverrideId(override), hours);
+            await this.refreshAfterOverrideChange();
+
+            return { success: true, message: result.message || `${hours}時間延長しました` };
+
+        } catch (error) {
+            console.error('Extend override failed:', error);
+            return { success: false, message: `延長に失敗しました: ${utils.getAPIErrorDetail(error)}` };
         }
     }
 
+    /**
+     * 手動設定のMicroCMS上のID
+     * プリレンダリングしたキャッシュでは繰り返し設定が発生期間ごとに展開され、元のIDは sourceId に入る
+     * @param {Object} override - 手動設定
+     */
+    getOverrideId(override) {
+        return override.sourceId || override.id;
+    }
+
+    /**
+     * 手動設定の変更後に、ローカルのキャッシュを破棄して最新の状況を反映
+     */
+    async refreshAfterOverrideChange() {
+        localStorage.removeItem('businessOverride');
+        this.manualOverride = null;
+
+        await this.checkManualOverride(true);
+        this.updateStatus();
+    }
+
     // 既存のメソッドを維持
     updateCountdown(status) {
         const countdown = utils.getElementById('statusCountdown');
         if (!countdown) return;
 
-        if (status.remainingMinutes && status.remainingMinutes > 0) {
-            countdown.textContent = `ラストオーダーまで ${status.remainingMinutes}分`;
-            countdown.style.display = 'block';
-        } else if (status.minutesToOpen && status.minutesToOpen > 0) {
-            countdown.textContent = `開店まで ${status.minutesToOpen}分`;
+        const text = formatCountdown(status);
+        if (text) {
+            countdown.textContent = text;
             countdown.style.display = 'block';
-        } else if (status.isManual && status.endTime) {
-            const now = new Date();
-            const end = new Date(status.endTime);
-            const diffMs = end - now;
-            if (diffMs > 0) {
-                const hours = Math.floor(diffMs / 3600000);
-                const minutes = Math.floor((diffMs % 3600000) / 60000);
-                countdown.textContent = `手動設定解除まで ${hours}時間${minutes}分`;
-                countdown.style.display = 'block';
-            } else {
-                countdown.style.display = 'none';
-            }
         } else {
             countdown.style.display = 'none';
         }
     }
 
     getNextOpenTime(currentDate) {
-        const nextOpen = new Date(currentDate);
-
-        do {
-            nextOpen.setDate(nextOpen.getDate() + 1);
-        } while (nextOpen.getDay() === this.config.closedDay || this.isHoliday(nextOpen));
-
-        const hours = Math.floor(this.config.openTime);
-        const minutes = Math.round((this.config.openTime - hours) * 60);
-        nextOpen.setHours(hours, minutes, 0, 0);
-
-        return nextOpen;
+        return this.schedule.getNextOpenTime(currentDate);
     }
 
     isHoliday(date) {
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-
-        if ((month === 12 && day >= 29) || (month === 1 && day <= 3)) {
-            return true;
-        }
-
-        return false;
+        return this.schedule.isHoliday(date);
     }
 
     emitStatusChange(status) {
@@ -655,57 +804,39 @@ export class BusinessHours {
         const status = this.manualOverride ?
             this.createManualStatus(this.manualOverride, date) :
             this.calculateAutoStatus(date);
-        return status.type === 'open' || status.type === 'last-order' || status.type === 'special';
+        return this.resolver.isOpenStatus(status);
     }
 
     getTodaySchedule(date = new Date()) {
-        const day = date.getDay();
+        const today = this.schedule.getDaySchedule(date);
 
-        if (day === this.config.closedDay || this.isHoliday(date)) {
+        if (!today.isOpenDay) {
             return {
                 isOpenDay: false,
-                reason: day === this.config.closedDay ? '定休日' : '祝日'
+                reason: today.reason,
+                holidayName: today.holidayName
             };
         }
 
         return {
             isOpenDay: true,
-            openTime: utils.formatTime(this.config.openTime),
-            closeTime: utils.formatTime(this.config.closeTime),
-            lastOrderTime: utils.formatTime(this.config.lastOrderTime)
+            openTime: utils.formatTime(today.openTime),
+            closeTime: utils.formatTime(today.closeTime),
+            lastOrderTime: utils.formatTime(today.lastOrderTime),
+            periods: today.periods.map(period => this.schedule.formatPeriod(period)),
+            holidayName: today.holidayName,
+            isHolidayEve: today.isHolidayEve
         };
     }
 
     getWeeklySchedule() {
-        const days = ['日', '月', '火', '水', '木', '金', '土'];
-        const schedule = [];
-
-        for (let i = 0; i < 7; i++) {
-            if (i === this.config.closedDay) {
-                schedule.push({
-                    day: days[i],
-                    dayOfWeek: i,
-                    status: '定休日',
-                    openTime: null,
-                    closeTime: null
-                });
-            } else {
-                schedule.push({
-                    day: days[i],
-                    dayOfWeek: i,
-                    status: '営業',
-                    openTime: utils.formatTime(this.config.openTime),
-                    closeTime: utils.formatTime(this.config.closeTime),
-                    lastOrderTime: utils.formatTime(this.config.lastOrderTime)
-                });
-            }
-        }
-
-        return schedule;
+        return this.schedule.getWeeklySchedule();
     }
 
     updateConfig(newConfig) {
         this.config = { ...this.config, ...newConfig };
+        this.resolver = new StatusResolver(this.config);
+        this.schedule = this.resolver.schedule;
         this.updateStatus();
     }
 
@@ -0,0 +1,318 @@
+// js/business-schedule.js - 曜日別営業スケジュール
+
+import { utils } from './config.js';
+import { getJapaneseHolidayName } from './japanese-holidays.js';
+
+const DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * 曜日別の営業時間モデル
+ * CONFIG.business の defaultHours / weeklySchedule / holidayEveHours / closedDays /
+ * holidays / closedPeriods を解釈する
+ *
+ * 日付はすべて店舗のタイムゾーン（CONFIG.business.timezone）の暦日として扱う。
+ * 各メソッドは Date か、toLocalDay() が返す暦日オブジェクトを受け付ける
+ */
+export class BusinessSchedule {
+    /**
+     * @param {Object} config - CONFIG.business 相当の設定
+     */
+    constructor(config) {
+        this.config = config;
+        this.timeZone = config.timezone || 'Asia/Tokyo';
+    }
+
+    /**
+     * 店舗タイムゾーンでの暦日・時刻を取得
+     * @param {Date|Object} date - 日時、または暦日オブジェクト
+     * @returns {Object} { year, month, day, weekday, hour, minute, second }
+     */
+    toLocalDay(date) {
+        if (date instanceof Date || typeof date === 'string' || typeof date === 'number') {
+            return utils.getZonedParts(date, this.timeZone);
+        }
+        return date;
+    }
+
+    /**
+     * 暦日を n 日ずらす
+     * @param {Object} day - 暦日オブジェクト
+     * @param {number} days - ずらす日数
+     */
+    shiftDay(day, days) {
+        const shifted = new Date(Date.UTC(day.year, day.month - 1, day.day + days));
+        return {
+            year: shifted.getUTCFullYear(),
+            month: shifted.getUTCMonth() + 1,
+            day: shifted.getUTCDate(),
+            weekday: shifted.getUTCDay()
+        };
+    }
+
+    /**
+     * 曜日の通常営業時間帯を取得（祝日・祝前日は考慮しない）
+     * @param {number} dayOfWeek - 曜日 (0=日曜, 1=月曜...)
+     * @returns {Array|null} 営業時間帯の配列、定休日は null
+     */
+    getHoursForDay(dayOfWeek) {
+        if (this.isClosedDay(dayOfWeek)) {
+            return null;
+        }
+
+        const weekly = this.config.weeklySchedule || {};
+        return this.normalizePeriods(weekly[dayOfWeek] || this.config.defaultHours);
+    }
+
+    /**
+     * 営業時間帯を配列に正規化（単一の時間帯オブジェクトも受け付ける）
+     * @param {Array|Object} hours - 営業時間帯
+     * @returns {Array} 開店時刻順の { label, openTime, closeTime, lastOrderTime } 配列
+     */
+    normalizePeriods(hours) {
+        const periods = Array.isArray(hours) ? hours : [hours];
+
+        return periods
+            .filter(period => period && typeof period.openTime === 'number')
+            .map(period => ({
+                label: period.label || '',
+                openTime: period.openTime,
+                closeTime: period.closeTime,
+                lastOrderTime: period.lastOrderTime ?? period.closeTime
+            }))
+            .sort((a, b) => a.openTime - b.openTime);
+    }
+
+    /**
+     * 定休日かどうか
+     * @param {number} dayOfWeek - 曜日
+     */
+    isClosedDay(dayOfWeek) {
+        return (this.config.closedDays || []).includes(dayOfWeek);
+    }
+
+    /**
+     * 指定日の営業スケジュールを取得
+     * 優先順位: 長期休業期間 → 祝日の営業方針 → 定休日 → 祝前日 → 曜日別
+     * @param {Date|Object} date - 対象日
+     * @returns {Object} { isOpenDay, reason, periods, openTime, closeTime, lastOrderTime, holidayName, isHolidayEve }
+     */
+    getDaySchedule(date) {
+        date = this.toLocalDay(date);
+        const day = date.weekday;
+
+        const closedPeriod = this.getClosedPeriod(date);
+        if (closedPeriod) {
+            return { isOpenDay: false, reason: '休業期間', closedPeriod, periods: [] };
+        }
+
+        const holidayName = this.getHolidayName(date);
+        if (holidayName) {
+            const { policy, hours } = this.getHolidayPolicy(holidayName);
+
+            if (policy === 'closed') {
+                return { isOpenDay: false, reason: '祝日', holidayName, periods: [] };
+            }
+            if (policy === 'special') {
+                return this.createDaySchedule(this.normalizePeriods(hours), { holidayName });
+            }
+            if (policy === 'open') {
+                const weekly = this.config.weeklySchedule || {};
+                const periods = this.normalizePeriods(weekly[day] || this.config.defaultHours);
+                return this.createDaySchedule(periods, { holidayName });
+            }
+        }
+
+        if (this.isClosedDay(day)) {
+            return { isOpenDay: false, reason: '定休日', holidayName, periods: [] };
+        }
+
+        // 祝前日は専用の営業時間を優先
+        const isHolidayEve = this.isHolidayEve(date);
+        const periods = isHolidayEve && this.config.holidayEveHours
+            ? this.normalizePeriods(this.config.holidayEveHours)
+            : this.getHoursForDay(day);
+
+        return this.createDaySchedule(periods, { holidayName, isHolidayEve });
+    }
+
+    /**
+     * 祝日の営業方針を取得
+     * @param {string} holidayName - 祝日名
+     * @returns {Object} { policy, hours }
+     */
+    getHolidayPolicy(holidayName) {
+        const settings = this.config.holidays || {};
+        const entry = (settings.policies || {})[holidayName] ?? settings.defaultPolicy ?? 'regular';
+        const policy = typeof entry === 'string' ? entry : entry.policy;
+        const hours = (typeof entry === 'object' && entry.hours) || settings.specialHours || this.config.defaultHours;
+
+        return { policy, hours };
+    }
+
+    /**
+     * 長期休業期間に含まれるか
+     * @param {Date|Object} date - 対象日
+     * @returns {Object|null} 該当する休業期間
+     */
+    getClosedPeriod(date) {
+        const { month, day } = this.toLocalDay(date);
+        const key = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+        return (this.config.closedPeriods || []).find(({ start, end }) =>
+            start <= end
+                ? key >= start && key <= end
+                : key >= start || key <= end   // 年をまたぐ期間
+        ) || null;
+    }
+
+    /**
+     * 営業時間帯から1日分のスケジュールを作成
+     * openTime / closeTime / lastOrderTime は1日全体（最初の開店〜最後の閉店）を表す
+     * @param {Array} periods - 正規化済みの営業時間帯
+     * @param {Object} extra - 追加情報
+     */
+    createDaySchedule(periods, extra = {}) {
+        if (!periods || periods.length === 0) {
+            return { isOpenDay: false, reason: '休業', periods: [], ...extra };
+        }
+
+        const last = periods[periods.length - 1];
+
+        return {
+            isOpenDay: true,
+            periods,
+            openTime: periods[0].openTime,
+            closeTime: last.closeTime,
+            lastOrderTime: last.lastOrderTime,
+            ...extra
+        };
+    }
+
+    /**
+     * 祝日名を取得
+     * @param {Date|Object} date - 対象日
+     * @returns {string|null} 祝日名（振替休日・国民の休日を含む）
+     */
+    getHolidayName(date) {
+        const { year, month, day } = this.toLocalDay(date);
+        return getJapaneseHolidayName(year, month, day);
+    }
+
+    /**
+     * 祝日判定
+     * @param {Date|Object} date - 対象日
+     */
+    isHoliday(date) {
+        return this.getHolidayName(date) !== null;
+    }
+
+    /**
+     * 祝前日判定
+     * @param {Date|Object} date - 対象日
+     */
+    isHolidayEve(date) {
+        return this.isHoliday(this.shiftDay(this.toLocalDay(date), 1));
+    }
+
+    /**
+     * 指定日時より後の最初の開店時刻を取得
+     * @param {Date} currentDate - 基準日時
+     * @returns {Date|null} 次回開店時刻（31日先まで見つからなければ null）
+     */
+    getNextOpenTime(currentDate) {
+        let day = this.toLocalDay(currentDate);
+
+        for (let i = 0; i < 31; i++) {
+            const schedule = this.getDaySchedule(day);
+
+            // 中休みを挟む日は各時間帯の開始を順に確認
+            for (const period of schedule.periods) {
+                const openAt = this.toDateTime(day, period.openTime);
+                if (openAt > currentDate) {
+                    return openAt;
+                }
+            }
+
+            day = this.shiftDay(day, 1);
+        }
+
+        return null;
+    }
+
+    /**
+     * 店舗タイムゾーンの暦日と時刻（17.5 形式）から Date を作成
+     * @param {Date|Object} date - 日付
+     * @param {number} timeFloat - 時刻
+     */
+    toDateTime(date, timeFloat) {
+        return utils.zonedTimeToDate(this.toLocalDay(date), timeFloat, this.timeZone);
+    }
+
+    /**
+     * 次回開店時刻の表示文言を作成（例: "明日11:00より営業"）
+     * @param {Date|null} nextOpen - 次回開店時刻
+     * @param {Date} from - 基準日時
+     */
+    describeNextOpen(nextOpen, from) {
+        if (!nextOpen) {
+            return '営業再開日は改めてお知らせいたします';
+        }
+
+        const open = this.toLocalDay(nextOpen);
+        const base = this.toLocalDay(from);
+        const time = utils.formatTime(open.hour + open.minute / 60);
+        const toDayNumber = (d) => Date.UTC(d.year, d.month - 1, d.day) / 86400000;
+        const dayDiff = toDayNumber(open) - toDayNumber(base);
+
+        if (dayDiff === 0) return `本日${time}より営業`;
+        if (dayDiff === 1) return `明日${time}より営業`;
+
+        const label = `${open.month}/${open.day}(${DAY_NAMES[open.weekday]})`;
+        return `${label}${time}より営業`;
+    }
+
+    /**
+     * 1週間分の営業スケジュールを取得
+     */
+    getWeeklySchedule() {
+        return DAY_NAMES.map((name, i) => {
+            const periods = this.getHoursForDay(i);
+
+            if (!periods || periods.length === 0) {
+                return {
+                    day: name,
+                    dayOfWeek: i,
+                    status: '定休日',
+                    openTime: null,
+                    closeTime: null,
+                    periods: []
+                };
+            }
+
+            const schedule = this.createDaySchedule(periods);
+
+            return {
+                day: name,
+                dayOfWeek: i,
+                status: '営業',
+                openTime: utils.formatTime(schedule.openTime),
+                closeTime: utils.formatTime(schedule.closeTime),
+                lastOrderTime: utils.formatTime(schedule.lastOrderTime),
+                periods: periods.map(period => this.formatPeriod(period))
+            };
+        });
+    }
+
+    /**
+     * 営業時間帯を表示用に整形
+     * @param {Object} period - 営業時間帯
+     */
+    formatPeriod(period) {
+        return {
+            label: period.label,
+            openTime: utils.formatTime(period.openTime),
+            closeTime: utils.formatTime(period.closeTime),
+            lastOrderTime: utils.formatTime(period.lastOrderTime)
+        };
+    }
+}
@@ -9,6 +9,9 @@ export const CONFIG = {
         endpoint: '/api/news', // プロキシエンドポイント
         fallbackEnabled: true,
         limit: 3,
+
+        // ニュースのカテゴリ一覧（表示名・色・並び順）
+        categoriesEndpoint: '/api/categories',
         
         // 営業状況管理用（新規追加）
         businessStatusEndpoint: '/api/business-status', // プロキシエンドポイント
@@ -16,19 +19,73 @@ export const CONFIG = {
         // セキュリティ: APIキーはサーバーサイドで管理
         // フロントエンドにはAPIキーを含めない
     },
+    auth: {
+        // 管理者ログイン用エンドポイント
+        loginEndpoint: '/api/auth/login',
+        refreshEndpoint: '/api/auth/refresh',
+        logoutEndpoint: '/api/auth/logout',
+        // セッションはタブを閉じると消える sessionStorage に保存
+        storageKey: 'adminSession',
+        // 有効期限のこの時間前になったら自動でトークンを更新
+        refreshMargin: 5 * 60 * 1000
+    },
+    stream: {
+        // 営業状況・ニュースの更新通知（Server-Sent Events）
+        endpoint: '/api/stream',
+        // 接続に続けてこの回数失敗したらポーリングに切り替える
+        maxFailures: 3,
+        // ポーリングに切り替えた後、再びストリームへの接続を試すまでの時間
+        retryInterval: 5 * 60 * 1000
+    },
     ui: {
         animationDuration: 300,
         toastDuration: 3000
     },
     business: {
-        openTime: 11,        // 11:00
-        closeTime: 21,         // 21:00
-        lastOrderTime: 20.5,   // 20:30
-        closedDay: 1,          // 月曜日 (0=日曜, 1=月曜...)
+        // 営業時間の計算に使うタイムゾーン（閲覧者の端末設定に関係なく店舗の現地時刻で判定）
+        timezone: 'Asia/Tokyo',
+        // 基本の営業時間帯（曜日別の設定がない日に適用）
+        // 中休みを挟む場合は時間帯ごとにラストオーダーを指定
+        defaultHours: [
+            { label: '昼の部', openTime: 11, closeTime: 14.5, lastOrderTime: 14 },     // 11:00-14:30 (L.O. 14:00)
+            { label: '夜の部', openTime: 17.5, closeTime: 21, lastOrderTime: 20.5 }    // 17:30-21:00 (L.O. 20:30)
+        ],
+        // 曜日別の営業時間帯 (0=日曜, 1=月曜...)
+        weeklySchedule: {
+            0: [{ label: '通し営業', openTime: 11, closeTime: 20, lastOrderTime: 19.5 }],   // 日曜
+            6: [{ label: '通し営業', openTime: 11, closeTime: 22, lastOrderTime: 21.5 }]    // 土曜
+        },
+        // 祝前日の営業時間帯（曜日別の設定より優先）
+        holidayEveHours: [
+            { label: '昼の部', openTime: 11, closeTime: 14.5, lastOrderTime: 14 },
+            { label: '夜の部', openTime: 17.5, closeTime: 22, lastOrderTime: 21.5 }
+        ],
+        closedDays: [1],       // 定休日（複数指定可）
+        // 祝日の営業方針
+        // 'regular'（曜日どおり） | 'open'（定休日でも営業） | 'closed'（休業） | 'special'（特別営業時間）
+        holidays: {
+            defaultPolicy: 'open',
+            policies: {
+                '元日': 'closed',
+                'こどもの日': {
+                    policy: 'special',
+                    hours: [{ label: '通し営業', openTime: 11, closeTime: 20, lastOrderTime: 19.5 }]
+                }
+            },
+            // 'special' で hours 未指定の場合に使う営業時間帯
+            specialHours: [{ label: '通し営業', openTime: 11, closeTime: 20, lastOrderTime: 19.5 }]
+        },
+        // 長期休業期間（MM-DD 形式、年をまたぐ指定可）
+        closedPeriods: [
+            { start: '12-29', end: '01-03', reason: '年末年始休業' }
+        ],
         showAdminPanel: false   // 管理者パネル表示（本番環境では false に設定）
     }
 };
 
+// タイムゾーン別の Intl.DateTimeFormat キャッシュ（生成コストが高いため再利用）
+const zonedFormatters = new Map();
+
 /**
  * ユーティリティ関数集
  */
@@ -103,6 +160,80 @@ export const utils = {
         return `${hours}:${minutes.toString().padStart(2, '0')}`;
     },
 
+    /**
+     * 時刻文字列を時間形式に変換（"17:30" → 17.5）
+     * @returns {number|null} 不正な形式の場合は null
+     */
+    parseTime(timeString) {
+        const match = /^([01]?\d|2[0-4]):([0-5]\d)$/.exec(typeof timeString === 'string' ? timeString.trim() : '');
+        if (!match) return null;
+
+        const time = Number(match[1]) + Number(match[2]) / 60;
+        return time <= 24 ? time : null;
+    },
+
+    /**
+     * 指定タイムゾーンでの日時要素を取得（閲覧者の端末のタイムゾーンに依存しない）
+     * @returns {Object} { year, month, day, weekday, hour, minute, second }
+     */
+    getZonedParts(date, timeZone = CONFIG.business.timezone) {
+        if (!zonedFormatters.has(timeZone)) {
+            zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                weekday: 'short',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric',
+                hourCycle: 'h23'
+            }));
+        }
+
+        const parts = {};
+        zonedFormatters.get(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+
+        const weekdays = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+        return {
+            year: Number(parts.year),
+            month: Number(parts.month),
+            day: Number(parts.day),
+            weekday: weekdays[parts.weekday],
+            hour: Number(parts.hour) % 24,
+            minute: Number(parts.minute),
+            second: Number(parts.second)
+        };
+    },
+
+    /**
+     * 指定タイムゾーンとUTCの差（ミリ秒）を取得
+     */
+    getTimeZoneOffset(date, timeZone = CONFIG.business.timezone) {
+        const timestamp = new Date(date).getTime();
+        const p = this.getZonedParts(timestamp, timeZone);
+        const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return asUTC - Math.floor(timestamp / 1000) * 1000;
+    },
+
+    /**
+     * 指定タイムゾーンの日付と時刻（17.5 形式）から Date を作成
+     * @param {Object} day - { year, month, day }
+     * @param {number} timeFloat - 時刻
+     */
+    zonedTimeToDate({ year, month, day }, timeFloat = 0, timeZone = CONFIG.business.timezone) {
+        const hours = Math.floor(timeFloat);
+        const minutes = Math.round((timeFloat - hours) * 60);
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+        // 夏時間の切り替わりに備え、求めた時刻のオフセットで再補正
+        const firstGuess = wallClock - this.getTimeZoneOffset(wallClock, timeZone);
+        return new Date(wallClock - this.getTimeZoneOffset(firstGuess, timeZone));
+    },
+
     /**
      * ローカルストレージ安全操作
      */
@@ -175,6 +306,31 @@ export const utils = {
         return 'データの読み込みに失敗しました';
     },
 
+    /**
+     * API エラーレスポンスの message を取り出す（取り出せない場合は getAPIErrorMessage() の文言）
+     * @param {Error} error - "HTTP 400: {...}" 形式のエラー
+     */
+    getAPIErrorDetail(error) {
+        if (!/^HTTP \d+: /.test(error.message)) return error.message;
+        return this.parseAPIError(error)?.message || this.getAPIErrorMessage(error);
+    },
+
+    /**
+     * API エラーレスポンスの本文を取り出す
+     * @param {Error} error - "HTTP 400: {...}" 形式のエラー
+     * @returns {Object|null} { status, error, message, ... }（JSON でない場合は null）
+     */
+    parseAPIError(error) {
+        const match = /^HTTP (\d+): ([\s\S]*)$/.exec(error.message);
+        if (!match) return null;
+
+        try {
+            return { status: Number(match[1]), ...JSON.parse(match[2]) };
+        } catch {
+            return null;
+        }
+    },
+
     /**
      * 日付文字列をISO形式に変換
      */
@@ -200,6 +356,7 @@ export const utils = {
             'open': '🟢',
             'last-order': '🟡',
             'closed': '⚫',
+            'intermission': '☕',
             'holiday': '🔴',
             'emergency-closed': '❌',
             'short-hours': '⏰',
@@ -258,17 +415,26 @@ export const utils = {
      * 営業状況の有効性チェック
      */
     isBusinessStatusActive(status, now = new Date()) {
+        return this.getBusinessStatusState(status, now) === 'active';
+    },
+
+    /**
+     * 営業状況の掲載期間上の状態
+     * 繰り返し設定の場合は startTime / endTime（ルールの有効期間）で判定する
+     * @returns {string} 'upcoming'（開始前） | 'expired'（終了済み） | 'active'（期間内）
+     */
+    getBusinessStatusState(status, now = new Date()) {
         // 開始時刻チェック
         if (status.startTime && new Date(status.startTime) > now) {
-            return false;
+            return 'upcoming';
         }
         
         // 終了時刻チェック
         if (status.endTime && new Date(status.endTime) < now) {
-            return false;
+            return 'expired';
         }
         
-        return true;
+        return 'active';
     },
 
     /**
@@ -281,7 +447,7 @@ export const utils = {
             day: 'numeric',
             hour: '2-digit',
             minute: '2-digit',
-            timeZone: 'Asia/Tokyo'
+            timeZone: CONFIG.business.timezone
         };
         
         return new Intl.DateTimeFormat('ja-JP', {
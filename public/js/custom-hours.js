@@ -0,0 +1,132 @@
+// js/custom-hours.js - 時短営業の営業時間
+
+import { utils } from './config.js';
+
+/**
+ * 時短営業の営業時間の形式（MicroCMSにはJSON文字列で保存）
+ *   { openTime: '11:00', closeTime: '15:00', lastOrderTime: '14:30' }
+ *   [{ label: '昼の部', openTime: '11:00', closeTime: '14:00' }, ...]   中休みを挟む場合
+ * lastOrderTime は省略可（省略時は closeTime）
+ *
+ * 旧形式の自由入力（例: "11:00-15:00"）も読み込み時に解釈する
+ */
+
+const LEGACY_PATTERN = /^\s*(\d{1,2}:\d{2})\s*[-〜~]\s*(\d{1,2}:\d{2})\s*$/;
+
+/**
+ * 営業時間を解析・正規化
+ * @param {string|Object|Array|null} value - JSON文字列、旧形式の文字列、またはオブジェクト
+ * @returns {Array|null} 開店時刻順の { label, openTime, closeTime, lastOrderTime } 配列（不正な場合は null）
+ */
+export function parseCustomHours(value) {
+    if (!value) return null;
+
+    let hours = value;
+    if (typeof value === 'string') {
+        const legacy = LEGACY_PATTERN.exec(value);
+        if (legacy) {
+            hours = { openTime: legacy[1], closeTime: legacy[2] };
+        } else {
+            try {
+                hours = JSON.parse(value);
+            } catch {
+                return null;
+            }
+        }
+    }
+
+    if (!hours || typeof hours !== 'object' || validateCustomHours(hours)) {
+        return null;
+    }
+
+    return (Array.isArray(hours) ? hours : [hours])
+        .map(period => ({
+            label: period.label || '',
+            openTime: period.openTime,
+            closeTime: period.closeTime,
+            lastOrderTime: period.lastOrderTime || period.closeTime
+        }))
+        .sort((a, b) => utils.parseTime(a.openTime) - utils.parseTime(b.openTime));
+}
+
+/**
+ * 営業時間を検証
+ * @param {Object|Array} hours - 営業時間（単一または配列）
+ * @returns {string|null} エラーメッセージ（正常なら null）
+ */
+export function validateCustomHours(hours) {
+    const periods = Array.isArray(hours) ? hours : [hours];
+    if (periods.length === 0) {
+        return '営業時間を1つ以上指定してください';
+    }
+
+    const ranges = [];
+    for (const period of periods) {
+        if (!period || typeof period !== 'object') {
+            return '営業時間はオブジェクトで指定してください';
+        }
+
+        for (const key of ['openTime', 'closeTime', 'lastOrderTime']) {
+            if ((key !== 'lastOrderTime' || period[key]) && utils.parseTime(period[key]) === null) {
+                return `${key}はHH:MM形式で指定してください`;
+            }
+        }
+
+        const open = utils.parseTime(period.openTime);
+        const close = utils.parseTime(period.closeTime);
+        const lastOrder = period.lastOrderTime ? utils.parseTime(period.lastOrderTime) : close;
+
+        if (open >= close) {
+            return 'closeTimeはopenTimeより後の時刻を指定してください';
+        }
+        if (lastOrder < open || lastOrder > close) {
+            return 'lastOrderTimeはopenTime〜closeTimeの範囲で指定してください';
+        }
+        if (period.label !== undefined && typeof period.label !== 'string') {
+            return 'labelは文字列で指定してください';
+        }
+
+        ranges.push([open, close]);
+    }
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    for (let i = 1; i < ranges.length; i++) {
+        if (ranges[i][0] < ranges[i - 1][1]) {
+            return '営業時間帯が重複しています';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 営業スケジュール用の時間帯（17.5 形式）に変換
+ * @param {string|Object|Array} value - 営業時間
+ * @returns {Array|null} BusinessSchedule.normalizePeriods() と同じ形式の配列
+ */
+export function toSchedulePeriods(value) {
+    const hours = parseCustomHours(value);
+    if (!hours) return null;
+
+    return hours.map(period => ({
+        label: period.label,
+        openTime: utils.parseTime(period.openTime),
+        closeTime: utils.parseTime(period.closeTime),
+        lastOrderTime: utils.parseTime(period.lastOrderTime)
+    }));
+}
+
+/**
+ * 営業時間の表示文言（例: "11:00〜15:00（L.O. 14:30）"）
+ * @param {string|Object|Array} value - 営業時間
+ */
+export function describeCustomHours(value) {
+    const hours = parseCustomHours(value);
+    if (!hours) return '';
+
+    return hours.map(period => {
+        const range = `${period.openTime}〜${period.closeTime}`;
+        const lastOrder = period.lastOrderTime !== period.closeTime ? `（L.O. ${period.lastOrderTime}）` : '';
+        return `${period.label ? `${period.label} ` : ''}${range}${lastOrder}`;
+    }).join(' / ');
+}
@@ -0,0 +1,159 @@
+// js/japanese-holidays.js - 日本の祝日計算
+
+/**
+ * 「国民の祝日に関する法律」に基づく祝日計算
+ * 固定日・ハッピーマンデー・春分/秋分・振替休日・国民の休日に対応（2000〜2099年）
+ */
+
+// 年ごとの計算結果キャッシュ
+const holidayCache = new Map();
+
+// 一度きりの祝日（即位関連など）
+const SPECIAL_HOLIDAYS = {
+    '2019-05-01': '天皇の即位の日',
+    '2019-10-22': '即位礼正殿の儀の行われる日'
+};
+
+// 東京オリンピック・パラリンピックに伴う移動（特措法）
+const MOVED_HOLIDAYS = {
+    2020: { '海の日': [7, 23], 'スポーツの日': [7, 24], '山の日': [8, 10] },
+    2021: { '海の日': [7, 22], 'スポーツの日': [7, 23], '山の日': [8, 8] }
+};
+
+/**
+ * 日付キーを作成（例: "2025-01-13"）
+ */
+function toKey(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * 曜日を取得（タイムゾーンの影響を受けないようUTCで計算）
+ */
+function getWeekday(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * 第n月曜日の日付を取得
+ */
+function nthMonday(year, month, nth) {
+    const firstWeekday = getWeekday(year, month, 1);
+    const firstMonday = 1 + ((8 - firstWeekday) % 7);
+    return firstMonday + (nth - 1) * 7;
+}
+
+/**
+ * 春分日（1980〜2099年の近似式）
+ */
+function vernalEquinoxDay(year) {
+    return Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+/**
+ * 秋分日（1980〜2099年の近似式）
+ */
+function autumnalEquinoxDay(year) {
+    return Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+/**
+ * 法律で定められた「国民の祝日」を列挙（振替休日・国民の休日を除く）
+ * @returns {Array} [name, month, day] の配列
+ */
+function getNationalHolidays(year) {
+    const moved = MOVED_HOLIDAYS[year] || {};
+    const holidays = [
+        ['元日', 1, 1],
+        ['成人の日', 1, nthMonday(year, 1, 2)],
+        ['建国記念の日', 2, 11],
+        ['春分の日', 3, vernalEquinoxDay(year)],
+        ['昭和の日', 4, 29],
+        ['憲法記念日', 5, 3],
+        ['みどりの日', 5, 4],
+        ['こどもの日', 5, 5],
+        ['海の日', ...(moved['海の日'] || [7, nthMonday(year, 7, 3)])],
+        ['敬老の日', 9, nthMonday(year, 9, 3)],
+        ['秋分の日', 9, autumnalEquinoxDay(year)],
+        [year >= 2020 ? 'スポーツの日' : '体育の日', ...(moved['スポーツの日'] || [10, nthMonday(year, 10, 2)])],
+        ['文化の日', 11, 3],
+        ['勤労感謝の日', 11, 23]
+    ];
+
+    if (year >= 2016) {
+        holidays.push(['山の日', ...(moved['山の日'] || [8, 11])]);
+    }
+
+    if (year >= 2020) {
+        holidays.push(['天皇誕生日', 2, 23]);
+    } else if (year <= 2018) {
+        holidays.push(['天皇誕生日', 12, 23]);
+    }
+
+    Object.entries(SPECIAL_HOLIDAYS).forEach(([key, name]) => {
+        const [y, m, d] = key.split('-').map(Number);
+        if (y === year) holidays.push([name, m, d]);
+    });
+
+    return holidays;
+}
+
+/**
+ * 指定年の祝日一覧を取得
+ * @param {number} year - 西暦
+ * @returns {Map<string, string>} "YYYY-MM-DD" → 祝日名
+ */
+export function getJapaneseHolidays(year) {
+    if (holidayCache.has(year)) {
+        return holidayCache.get(year);
+    }
+
+    const holidays = new Map();
+    getNationalHolidays(year).forEach(([name, month, day]) => {
+        holidays.set(toKey(year, month, day), name);
+    });
+
+    // 日付をずらしながら判定するため UTC の Date で走査
+    const shift = (key, days) => {
+        const [y, m, d] = key.split('-').map(Number);
+        const date = new Date(Date.UTC(y, m - 1, d + days));
+        return toKey(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    };
+    const national = new Set(holidays.keys());
+
+    // 国民の休日: 前日と翌日が国民の祝日である平日
+    for (const key of national) {
+        const between = shift(key, 1);
+        if (!national.has(between) && national.has(shift(key, 2)) && between.startsWith(`${year}-`)) {
+            holidays.set(between, '国民の休日');
+        }
+    }
+
+    // 振替休日: 日曜日の祝日の後、最初の祝日でない日
+    for (const key of national) {
+        const [y, m, d] = key.split('-').map(Number);
+        if (getWeekday(y, m, d) !== 0) continue;
+
+        let substitute = shift(key, 1);
+        while (holidays.has(substitute)) {
+            substitute = shift(substitute, 1);
+        }
+        if (substitute.startsWith(`${year}-`)) {
+            holidays.set(substitute, '振替休日');
+        }
+    }
+
+    holidayCache.set(year, holidays);
+    return holidays;
+}
+
+/**
+ * 祝日名を取得
+ * @param {number} year - 西暦
+ * @param {number} month - 月 (1-12)
+ * @param {number} day - 日
+ * @returns {string|null} 祝日名（祝日でなければ null）
+ */
+export function getJapaneseHolidayName(year, month, day) {
+    return getJapaneseHolidays(year).get(toKey(year, month, day)) || null;
+}
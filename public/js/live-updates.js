@@ -0,0 +1,177 @@
+// js/live-updates.js - 更新通知ストリームの購読
+
+import { CONFIG } from './config.js';
+
+/**
+ * /api/stream（Server-Sent Events）から営業状況・ニュースの変更通知を受け取る
+ *
+ * ストリームを使えない場合（EventSource 非対応・接続失敗が続く場合）は streaming が false になり、
+ * onStateChange() の登録先がポーリングに切り替える。切り替え後も retryInterval ごとに再接続を試す
+ *
+ * サーバーは一定時間で接続を閉じるため、再接続時の ready イベントのバージョンを
+ * 前回受け取ったバージョンと比較し、切断中の変更も通知する
+ */
+export class LiveUpdates {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - ストリームのURL
+     * @param {Array} options.topics - 購読するトピック（'status' / 'news'）
+     */
+    constructor({ endpoint = CONFIG.stream.endpoint, topics = ['status', 'news'] } = {}) {
+        this.endpoint = endpoint;
+        this.topics = topics;
+        this.source = null;
+        this.streaming = false;
+        this.failures = 0;
+        this.retryTimer = null;
+        this.versions = {};
+        this.listeners = new Map();
+        this.stateListeners = new Set();
+    }
+
+    /**
+     * ストリームが使用可能か（EventSource 対応ブラウザか）
+     */
+    static isSupported() {
+        return typeof EventSource !== 'undefined';
+    }
+
+    /**
+     * ストリームに接続
+     */
+    connect() {
+        if (this.source) return;
+
+        if (!LiveUpdates.isSupported()) {
+            this.setStreaming(false);
+            return;
+        }
+
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        const url = `${this.endpoint}?topics=${this.topics.join(',')}`;
+        this.source = new EventSource(url);
+
+        this.source.addEventListener('open', () => {
+            this.failures = 0;
+            this.setStreaming(true);
+        });
+
+        this.source.addEventListener('error', () => this.handleError());
+
+        this.source.addEventListener('ready', (e) => {
+            const { versions = {} } = this.parseData(e);
+            Object.entries(versions).forEach(([topic, version]) => this.updateVersion(topic, version));
+        });
+
+        this.topics.forEach(topic => {
+            this.source.addEventListener(topic, (e) => {
+                this.updateVersion(topic, this.parseData(e).version);
+            });
+        });
+    }
+
+    /**
+     * 接続を閉じる（再接続もしない）
+     */
+    disconnect() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        this.setStreaming(false);
+    }
+
+    /**
+     * 接続エラー
+     * サーバーが接続を閉じた場合も発生するため、EventSource が再接続中ならすぐには切り替えない
+     */
+    handleError() {
+        this.failures++;
+
+        const gaveUp = this.source.readyState === EventSource.CLOSED;
+        if (!gaveUp && this.failures < CONFIG.stream.maxFailures) {
+            return;
+        }
+
+        console.warn('Live updates unavailable, falling back to polling');
+        this.source.close();
+        this.source = null;
+        this.failures = 0;
+        this.setStreaming(false);
+
+        this.retryTimer = setTimeout(() => this.connect(), CONFIG.stream.retryInterval);
+    }
+
+    /**
+     * トピックの変更通知を購読
+     * リスナーは登録順に呼ばれる（キャッシュの破棄を先に登録したリスナーで行える）
+     * @param {string} topic - 'status' / 'news'
+     * @param {Function} listener - (version) => void
+     * @returns {Function} 購読を解除する関数
+     */
+    on(topic, listener) {
+        if (!this.listeners.has(topic)) {
+            this.listeners.set(topic, new Set());
+        }
+        this.listeners.get(topic).add(listener);
+        return () => this.listeners.get(topic).delete(listener);
+    }
+
+    /**
+     * ストリームの状態の変化を購読
+     * @param {Function} listener - (streaming) => void
+     * @returns {Function} 購読を解除する関数
+     */
+    onStateChange(listener) {
+        this.stateListeners.add(listener);
+        return () => this.stateListeners.delete(listener);
+    }
+
+    /**
+     * バージョンを更新し、変わっていればリスナーに通知
+     * 初回（接続直後）のバージョンは基準として記録するのみ
+     */
+    updateVersion(topic, version) {
+        if (version === undefined) return;
+
+        const previous = this.versions[topic];
+        this.versions[topic] = version;
+
+        if (previous === undefined || previous === version) return;
+
+        (this.listeners.get(topic) || []).forEach(listener => {
+            try {
+                listener(version);
+            } catch (error) {
+                console.error(`Live update listener error (${topic}):`, error);
+            }
+        });
+    }
+
+    /**
+     * ストリームの状態を更新し、変わっていればリスナーに通知
+     * 接続前は false（ポーリング）として扱う
+     */
+    setStreaming(streaming) {
+        if (this.streaming === streaming) return;
+
+        this.streaming = streaming;
+        this.stateListeners.forEach(listener => listener(streaming));
+    }
+
+    /**
+     * イベントのデータ（JSON）を解析
+     */
+    parseData(e) {
+        try {
+            return JSON.parse(e.data);
+        } catch {
+            return {};
+        }
+    }
+}
@@ -22,7 +22,7 @@ class TorimaruApp {
         this.eventManager = new EventManager();
         this.timerManager = new TimerManager();
         this.microCMS = new MicroCMSClient();
-        this.businessHours = new BusinessHours();
+        this.businessHours = new BusinessHours({ auth: this.microCMS.auth, live: this.microCMS.live });
         this.ui = new UIController();
         
         // 初期化状態の管理
@@ -222,20 +222,15 @@ class TorimaruApp {
      * 定期実行タスクの設定（手動制御システム対応）
      */
     setupTimers() {
-        // 営業状況の更新（30秒ごと）
+        // 営業状況の更新（30秒ごと。保持している一覧から手動設定の開始・終了も判定し直す）
         this.timerManager.add('businessStatus', () => {
             this.businessHours.updateStatus();
         }, 30000, false);
 
-        // 手動設定のチェック（30秒ごと）- 新規追加
-        this.timerManager.add('manualOverrideCheck', () => {
-            this.businessHours.checkManualOverride();
-        }, 30000, false);
-
-        // ニュースの更新（5分ごと、サイレント）
-        this.timerManager.add('newsUpdate', () => {
-            this.microCMS.loadNews(false);
-        }, 5 * 60 * 1000, false);
+        // 手動設定・ニュースの変更は更新通知で受け取り、ストリームを使えない間のみポーリング
+        this.setupPolling(true);
+        this.microCMS.live.onStateChange(streaming => this.setupPolling(!streaming));
+        this.microCMS.live.connect();
 
         // キャッシュクリーンアップ（10分ごと）
         this.timerManager.add('cacheCleanup', () => {
@@ -251,6 +246,28 @@ class TorimaruApp {
         }, 5 * 60 * 1000, false);
     }
 
+    /**
+     * 手動設定・ニュースのポーリングを開始・停止
+     * @param {boolean} enabled - ポーリングするか（更新通知に接続中は false）
+     */
+    setupPolling(enabled) {
+        if (!enabled) {
+            this.timerManager.remove('manualOverrideCheck');
+            this.timerManager.remove('newsUpdate');
+            return;
+        }
+
+        // 手動設定のチェック（30秒ごと）
+        this.timerManager.add('manualOverrideCheck', () => {
+            this.businessHours.checkManualOverride();
+        }, 30000, false);
+
+        // ニュースの更新（5分ごと、サイレント）
+        this.timerManager.add('newsUpdate', () => {
+            this.microCMS.loadNews(false);
+        }, 5 * 60 * 1000, false);
+    }
+
     /**
      * 初期データの読み込み
      */
@@ -440,6 +457,7 @@ class TorimaruApp {
         // 各マネージャーのクリーンアップ
         this.eventManager.cleanup();
         this.timerManager.cleanup();
+        this.microCMS.live.disconnect();
         
         // 管理者パネルを削除
         const panel = document.getElementById('adminPanel');
@@ -1,6 +1,10 @@
 // js/microcms-client.js - MicroCMS連携クラス（営業状況API対応版）
 
 import { CONFIG, utils } from './config.js';
+import { AdminAuth } from './admin-auth.js';
+import { LiveUpdates } from './live-updates.js';
+import { sanitizeRichText } from './rich-text.js';
+import { NewsCategories } from './news-categories.js';
 
 /**
  * MicroCMS API連携とデータ管理
@@ -12,6 +16,24 @@ export class MicroCMSClient {
         this.retryCount = 0;
         this.maxRetries = 3;
         this.abortController = null;
+        this.newsVersion = null;
+
+        // ニュースのカテゴリ（表示名・色）
+        this.categories = new NewsCategories();
+
+        // 書き込み系APIは管理者セッションの認証ヘッダーを付けて送信
+        this.auth = new AdminAuth();
+
+        // 更新通知（接続は TorimaruApp.setupTimers() で開始）
+        // 他のリスナーより先に登録し、通知を受けた時点でキャッシュを破棄する
+        this.live = new LiveUpdates();
+        this.live.on('status', () => this.clearCacheKey('businessStatus'));
+        this.live.on('news', (version) => {
+            this.newsVersion = version;
+            // カテゴリの変更も news として通知される
+            this.categories.invalidate();
+            this.loadNews(false, true);
+        });
     }
 
     /**
@@ -39,6 +61,9 @@ export class MicroCMSClient {
             }
             this.abortController = new AbortController();
 
+            // バッジの表示に使うカテゴリ一覧（取得に失敗した場合は既定のカテゴリ）
+            await this.categories.load();
+
             // キャッシュチェック（5分間有効）
             const cacheKey = 'news';
             const cached = this.cache.get(cacheKey);
@@ -47,8 +72,13 @@ export class MicroCMSClient {
                 return cached.data;
             }
 
+            // 更新通知のバージョンをクエリに付け、CDNにキャッシュされた変更前の一覧を避ける
+            const url = this.newsVersion
+                ? `${CONFIG.microcms.endpoint}?v=${encodeURIComponent(this.newsVersion)}`
+                : CONFIG.microcms.endpoint;
+
             const response = await this.fetchWithRetry(
-                CONFIG.microcms.endpoint,
+                url,
                 {
                     signal: this.abortController.signal
                 }
@@ -103,7 +133,8 @@ export class MicroCMSClient {
                 return cached.data;
             }
 
-            const response = await this.fetchWithRetry(CONFIG.microcms.businessStatusEndpoint);
+            // 手動設定の判定・管理画面の一覧には全件が必要なため上限まで取得
+            const response = await this.fetchWithRetry(`${CONFIG.microcms.businessStatusEndpoint}?limit=100`);
 
             if (!response.ok) {
                 // 404エラーの場合は空の配列を返す（設定がない場合）
@@ -141,8 +172,9 @@ export class MicroCMSClient {
     /**
      * 営業状況を設定（新規追加）
      * @param {Object} statusData - 営業状況データ
+     * @param {Object} options - { force } 同じ優先度の営業状況と期間が重なっても保存する
      */
-    async setBusinessStatus(statusData) {
+    async setBusinessStatus(statusData, { force = false } = {}) {
         try {
             const payload = {
                 status: statusData.status,
@@ -151,13 +183,14 @@ export class MicroCMSClient {
                 priority: statusData.priority || 10,
                 startTime: statusData.startTime || new Date().toISOString(),
                 endTime: statusData.endTime || null,
-                customHours: statusData.customHours || null
+                customHours: statusData.customHours || null,
+                recurrence: statusData.recurrence || null
             };
 
             console.log('Setting business status:', payload);
 
-            // セキュリティ: APIキーはサーバーサイドで管理
-            const response = await fetch(CONFIG.microcms.businessStatusEndpoint, {
+            // セキュリティ: APIキーはサーバーサイドで管理、ここでは管理者セッションのみ送信
+            const response = await this.auth.authorizedFetch(`${CONFIG.microcms.businessStatusEndpoint}${force ? '?force=1' : ''}`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -189,8 +222,9 @@ export class MicroCMSClient {
      * 営業状況を更新（新規追加）
      * @param {string} statusId - 更新する営業状況のID
      * @param {Object} statusData - 更新する営業状況データ
+     * @param {Object} options - { force } 同じ優先度の営業状況と期間が重なっても保存する
      */
-    async updateBusinessStatus(statusId, statusData) {
+    async updateBusinessStatus(statusId, statusData, { force = false } = {}) {
         try {
             const payload = {
                 status: statusData.status,
@@ -199,10 +233,11 @@ export class MicroCMSClient {
                 priority: statusData.priority || 10,
                 startTime: statusData.startTime,
                 endTime: statusData.endTime,
-                customHours: statusData.customHours || null
+                customHours: statusData.customHours || null,
+                recurrence: statusData.recurrence
             };
 
-            const response = await fetch(`${CONFIG.microcms.businessStatusEndpoint}?id=${statusId}`, {
+            const response = await this.auth.authorizedFetch(`${CONFIG.microcms.businessStatusEndpoint}?id=${statusId}${force ? '&force=1' : ''}`, {
                 method: 'PATCH',
                 headers: {
                     'Content-Type': 'application/json'
@@ -235,7 +270,7 @@ export class MicroCMSClient {
      */
     async deleteBusinessStatus(statusId) {
         try {
-            const response = await fetch(`${CONFIG.microcms.businessStatusEndpoint}?id=${statusId}`, {
+            const response = await this.auth.authorizedFetch(`${CONFIG.microcms.businessStatusEndpoint}?id=${statusId}`, {
                 method: 'DELETE'
             });
 
@@ -256,6 +291,58 @@ export class MicroCMSClient {
         }
     }
 
+    /**
+     * 営業状況を今すぐ終了（終了日時をサーバーの現在時刻にする）
+     * @param {string} statusId - 終了する営業状況のID
+     */
+    async endBusinessStatus(statusId) {
+        return this.postBusinessStatusAction('end', statusId);
+    }
+
+    /**
+     * 営業状況の終了日時を延長
+     * @param {string} statusId - 延長する営業状況のID
+     * @param {number} hours - 延長する時間数（1〜72）
+     */
+    async extendBusinessStatus(statusId, hours) {
+        return this.postBusinessStatusAction('extend', statusId, { hours });
+    }
+
+    /**
+     * 営業状況APIの action 付き POST を送信
+     * @param {string} action - 'end' | 'extend'
+     * @param {string} statusId - 対象の営業状況のID
+     * @param {Object} params - 追加のクエリパラメータ
+     */
+    async postBusinessStatusAction(action, statusId, params = {}) {
+        try {
+            const query = new URLSearchParams({ action, id: statusId, ...params });
+            const response = await this.auth.authorizedFetch(`${CONFIG.microcms.businessStatusEndpoint}?${query}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP ${response.status}: ${errorText}`);
+            }
+
+            const result = await response.json();
+
+            // キャッシュをクリア
+            this.cache.delete('businessStatus');
+
+            console.log(`Business status ${action} successfully:`, result);
+            return result;
+
+        } catch (error) {
+            console.error(`Business status ${action} error:`, error);
+            throw error;
+        }
+    }
+
     /**
      * 全ての営業状況を削除（緊急時用）
      */
@@ -400,19 +487,19 @@ export class MicroCMSClient {
      */
     createNewsHTML(item) {
         const date = utils.formatDate(item.publishedAt);
-        const categoryName = this.getCategoryName(item.category);
-        const badgeClass = this.getBadgeClass(item.category);
 
-        // HTMLエスケープ
+        // HTMLエスケープ（本文はリッチテキストのため許可リストでサニタイズ）
         const title = utils.sanitizeHtml(item.title);
-        const content = utils.sanitizeHtml(item.description || item.content || '');
+        const content = item.description
+            ? utils.sanitizeHtml(item.description)
+            : sanitizeRichText(item.content);
 
         return `
             <article class="news-item" data-id="${item.id}">
-                <div class="news-badge ${badgeClass}">${categoryName}</div>
+                ${this.categories.renderBadge(item.category, 'div')}
                 <div class="news-content">
                     <h3 class="news-item-title">${title}</h3>
-                    <p class="news-item-text">${content}</p>
+                    <div class="news-item-text">${content}</div>
                     <div class="news-meta">
                         <time datetime="${item.publishedAt}">${date}</time>
                     </div>
@@ -441,36 +528,8 @@ export class MicroCMSClient {
      * @param {Event} event - クリックイベント
      */
     handleNewsItemClick(newsId, event) {
-        // 新着情報ページへ遷移
-        window.location.href = '/news.html';
-    }
-
-    /**
-     * カテゴリーバッジのクラス名を取得
-     * @param {string} category - カテゴリー
-     */
-    getBadgeClass(category) {
-        const mapping = {
-            'new': 'new',
-            'menu': 'menu',
-            'event': 'event',
-            'notice': 'notice'
-        };
-        return mapping[category] || 'notice';
-    }
-
-    /**
-     * カテゴリー名を取得
-     * @param {string} category - カテゴリー
-     */
-    getCategoryName(category) {
-        const mapping = {
-            'new': '新着',
-            'menu': '新メニュー',
-            'event': 'イベント',
-            'notice': 'お知らせ'
-        };
-        return mapping[category] || 'お知らせ';
+        // 新着情報ページの記事URLへ遷移
+        window.location.href = newsId ? `/news/${encodeURIComponent(newsId)}` : '/news';
     }
 
     /**
@@ -636,16 +695,20 @@ export class MicroCMSClient {
 
     /**
      * 営業状況の統計を取得（新規追加）
+     * @param {boolean} forceRefresh - キャッシュを無視して強制更新
+     * @returns {Promise<Object>} 件数の集計と、掲載状態（state）付きの全エントリー（entries）
      */
-    async getBusinessStatusStats() {
+    async getBusinessStatusStats(forceRefresh = false) {
         try {
-            const statusList = await this.loadBusinessStatus();
+            const statusList = await this.loadBusinessStatus(forceRefresh);
 
             const stats = {
                 total: statusList.length,
                 active: 0,
+                upcoming: 0,
                 expired: 0,
                 byStatus: {},
+                entries: [],
                 oldest: null,
                 newest: null
             };
@@ -656,14 +719,10 @@ export class MicroCMSClient {
                 // ステータス別カウント
                 stats.byStatus[status.status] = (stats.byStatus[status.status] || 0) + 1;
 
-                // アクティブ/期限切れ判定
-                const isActive = utils.isBusinessStatusActive(status, now);
-
-                if (isActive) {
-                    stats.active++;
-                } else {
-                    stats.expired++;
-                }
+                // 有効/開始前/期限切れ判定
+                const state = utils.getBusinessStatusState(status, now);
+                stats[state]++;
+                stats.entries.push({ ...status, state });
 
                 // 最古/最新の更新
                 const updatedAt = new Date(status.updatedAt);
@@ -682,8 +741,10 @@ export class MicroCMSClient {
             return {
                 total: 0,
                 active: 0,
+                upcoming: 0,
                 expired: 0,
                 byStatus: {},
+                entries: [],
                 error: error.message
             };
         }
@@ -0,0 +1,189 @@
+// js/news-categories.js - ニュースのカテゴリ（表示名・色・並び順）
+
+import { CONFIG } from './config.js';
+
+/**
+ * カテゴリは MicroCMS の categories API（コンテンツID = カテゴリのキー、label / color / order）で管理する
+ * /api/categories が整形済みの一覧を返し、ブラウザはこの一覧からフィルターとバッジを作成する
+ *
+ * categories API が未作成・取得できない場合は DEFAULT_NEWS_CATEGORIES を使用する
+ * 一覧にないカテゴリの記事は UNKNOWN_CATEGORY_LABEL と既定の色（CSS の .news-badge）で表示する
+ */
+
+export const DEFAULT_NEWS_CATEGORIES = [
+    { id: 'news', label: 'お知らせ', color: null, order: 1 },
+    { id: 'event', label: 'イベント', color: null, order: 2 },
+    { id: 'menu', label: 'メニュー', color: null, order: 3 },
+    { id: 'campaign', label: 'キャンペーン', color: null, order: 4 }
+];
+
+export const UNKNOWN_CATEGORY_LABEL = 'お知らせ';
+
+// カテゴリのキーとして扱う文字（クラス名・URLにそのまま使う）
+const CATEGORY_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+const LABEL_MAX_LENGTH = 50;
+
+/**
+ * 記事の category からカテゴリのキーを取得
+ * セレクトフィールド（文字列・配列）とコンテンツ参照（{ id, ... }）のどちらにも対応
+ * @param {*} value - 記事の category
+ * @returns {string|null} キー（不正な値は null）
+ */
+export function getNewsCategoryId(value) {
+    const first = Array.isArray(value) ? value[0] : value;
+    const id = typeof first === 'object' && first !== null ? first.id : first;
+    return typeof id === 'string' && CATEGORY_ID_PATTERN.test(id) ? id : null;
+}
+
+/**
+ * categories API のコンテンツを表示用に整形し、order → 表示名の順に並べる
+ * キーが不正なものは除き、表示名がないものはキーを表示名にする
+ * @param {Array} contents - categories API のコンテンツ
+ * @returns {Array} { id, label, color, order } の配列（color・order は未設定・不正な値の場合 null）
+ */
+export function normalizeNewsCategories(contents) {
+    return (Array.isArray(contents) ? contents : [])
+        // 'all' はフィルターの「すべて」で使うため除く
+        .filter(item => item && CATEGORY_ID_PATTERN.test(item.id) && item.id !== 'all')
+        .map(item => {
+            const label = typeof item.label === 'string'
+                ? item.label.replace(/[\x00-\x1F\x7F]/g, '').trim().substring(0, LABEL_MAX_LENGTH)
+                : '';
+            const order = Number(item.order);
+            return {
+                id: item.id,
+                label: label || item.id,
+                color: COLOR_PATTERN.test(item.color) ? item.color : null,
+                order: item.order !== null && item.order !== '' && Number.isFinite(order) ? order : null
+            };
+        })
+        // order が未設定のものは最後
+        .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.label.localeCompare(b.label, 'ja'));
+}
+
+/**
+ * ブラウザ用のカテゴリ一覧
+ * load() は1回だけ取得し、失敗した場合は既定のカテゴリを使う
+ */
+export class NewsCategories {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - カテゴリ一覧のURL
+     */
+    constructor({ endpoint = CONFIG.microcms.categoriesEndpoint } = {}) {
+        this.endpoint = endpoint;
+        this.categories = DEFAULT_NEWS_CATEGORIES;
+        this.byId = new Map(this.categories.map(category => [category.id, category]));
+        this.loading = null;
+    }
+
+    /**
+     * カテゴリ一覧を取得
+     * @returns {Promise<Array>} カテゴリ一覧
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.fetchCategories().then(categories => {
+                this.setCategories(categories);
+                return this.categories;
+            });
+        }
+        return this.loading;
+    }
+
+    async fetchCategories() {
+        try {
+            const response = await fetch(this.endpoint);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            const data = await response.json();
+            return normalizeNewsCategories(data.contents);
+        } catch (error) {
+            console.warn('Failed to load news categories, using defaults:', error);
+            return DEFAULT_NEWS_CATEGORIES;
+        }
+    }
+
+    /**
+     * 次の load() で取得し直す（カテゴリの更新通知を受けたとき）
+     */
+    invalidate() {
+        this.loading = null;
+    }
+
+    setCategories(categories) {
+        this.categories = categories.length > 0 ? categories : DEFAULT_NEWS_CATEGORIES;
+        this.byId = new Map(this.categories.map(category => [category.id, category]));
+    }
+
+    /**
+     * カテゴリを取得（一覧にない場合は既定の表示）
+     * @param {*} value - 記事の category
+     * @returns {Object} { id, label, color, known }
+     */
+    get(value) {
+        const id = getNewsCategoryId(value);
+        const category = id && this.byId.get(id);
+        if (category) {
+            return { ...category, known: true };
+        }
+        return { id, label: UNKNOWN_CATEGORY_LABEL, color: null, known: false };
+    }
+
+    getLabel(value) {
+        return this.get(value).label;
+    }
+
+    /**
+     * バッジのHTML
+     * @param {*} value - 記事の category
+     * @param {string} tagName - 要素名
+     */
+    renderBadge(value, tagName = 'span') {
+        const category = this.get(value);
+        const style = category.color ? ` style="background-color: ${category.color}"` : '';
+        return `<${tagName} class="${this.getBadgeClass(category)}"${style}>${escapeHtml(category.label)}</${tagName}>`;
+    }
+
+    /**
+     * 既存のバッジ要素に表示を反映
+     * @param {Element} element - バッジ要素
+     * @param {*} value - 記事の category
+     */
+    applyBadge(element, value) {
+        const category = this.get(value);
+        element.textContent = category.label;
+        element.className = this.getBadgeClass(category);
+        element.style.backgroundColor = category.color || '';
+    }
+
+    /**
+     * フィルターボタンのHTML（先頭に「すべて」）
+     * @param {string} current - 選択中のカテゴリ（'all' はすべて）
+     */
+    renderFilters(current) {
+        return [{ id: 'all', label: 'すべて' }, ...this.categories]
+            .map(category => `
+                <button class="filter-btn${category.id === current ? ' active' : ''}" data-category="${category.id}">
+                    ${escapeHtml(category.label)}
+                </button>
+            `)
+            .join('');
+    }
+
+    // 色が設定されていないカテゴリは CSS のカテゴリ別の色（.news-badge.event など）を使う
+    getBadgeClass(category) {
+        return category.known ? `news-badge ${category.id}` : 'news-badge unknown';
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -1,68 +1,234 @@
 // js/news-page.js - 新着情報ページ管理
 
+import { sanitizeRichText } from './rich-text.js';
+import { parseSearchQuery, highlightSearchMatches } from './text-search.js';
+import { NewsCategories } from './news-categories.js';
+
+// 一覧のURL（記事は /news/<id>。vercel.json で news.html を返す）
+const LIST_PATH = '/news';
+const ARTICLE_PATH_PATTERN = /^\/news\/([^/]+)\/?$/;
+
+/**
+ * 新着情報の一覧と記事表示
+ * 表示状態はURLと同期する（一覧: /news?category=&q=&page=、記事: /news/<id>?category=&q=&page=）
+ * 記事URLにも一覧の状態を残し、記事を閉じたときに元の一覧へ戻れるようにする
+ */
 export class NewsPage {
     constructor() {
         this.currentCategory = 'all';
+        this.currentQuery = '';
         this.currentPage = 1;
         this.itemsPerPage = 10;
         this.newsData = [];
+        this.totalCount = 0;
+        // 古いリクエストの結果で表示を上書きしないための連番
+        this.requestSeq = 0;
+        this.listLoaded = false;
+        this.pageTitle = document.title;
+        // フィルター・バッジの表示名と色（MicroCMS の categories API）
+        this.categories = new NewsCategories();
     }
 
     async init() {
-        await this.loadNews();
         this.setupFilters();
+        this.categories.load().then(() => this.renderFilters());
+        this.setupSearch();
         this.setupModal();
-        this.render();
+
+        // 戻る・進むでURLの状態を復元
+        window.addEventListener('popstate', () => this.applyLocation());
+
+        await this.applyLocation();
+    }
+
+    /**
+     * URLから表示状態を取得
+     * @returns {Object} { articleId, category, query, page }
+     */
+    parseLocation() {
+        const params = new URLSearchParams(window.location.search);
+        const match = window.location.pathname.match(ARTICLE_PATH_PATTERN);
+        const page = parseInt(params.get('page'), 10);
+
+        return {
+            articleId: match ? decodeURIComponent(match[1]) : null,
+            category: params.get('category') || 'all',
+            query: (params.get('q') || '').trim(),
+            page: page >= 1 ? page : 1
+        };
+    }
+
+    /**
+     * 表示状態からURLを作成
+     * @param {string|null} articleId - 表示する記事（一覧の場合は null）
+     */
+    buildUrl(articleId = null) {
+        const params = new URLSearchParams();
+        if (this.currentCategory !== 'all') params.set('category', this.currentCategory);
+        if (this.currentQuery) params.set('q', this.currentQuery);
+        if (this.currentPage > 1) params.set('page', String(this.currentPage));
+
+        const path = articleId ? `${LIST_PATH}/${encodeURIComponent(articleId)}` : LIST_PATH;
+        const query = params.toString();
+        return query ? `${path}?${query}` : path;
     }
 
+    /**
+     * 表示状態を履歴に追加
+     * @param {string|null} articleId - 表示する記事（一覧の場合は null）
+     */
+    navigate(articleId = null) {
+        // 一覧から開いた記事は、閉じるときに履歴を戻す
+        history.pushState({ fromList: Boolean(articleId) }, '', this.buildUrl(articleId));
+    }
+
+    /**
+     * URLの状態を画面に反映（初回表示・戻る・進む）
+     */
+    async applyLocation() {
+        const { articleId, category, query, page } = this.parseLocation();
+
+        if (!this.listLoaded || category !== this.currentCategory ||
+            query !== this.currentQuery || page !== this.currentPage) {
+            this.currentCategory = category;
+            this.currentQuery = query;
+            this.currentPage = page;
+            this.listLoaded = true;
+            this.updateFilterButtons();
+            this.updateSearchInput();
+            await this.loadNews();
+        }
+
+        if (articleId) {
+            const shown = await this.showArticle(articleId);
+            if (!shown) {
+                // 存在しない記事のURLは一覧に置き換える
+                history.replaceState(null, '', this.buildUrl());
+            }
+        } else {
+            this.hideModal();
+        }
+    }
+
+    /**
+     * フィルターボタンの選択状態を現在のカテゴリに合わせる
+     */
+    updateFilterButtons() {
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.category === this.currentCategory);
+        });
+    }
+
+    /**
+     * 検索欄を現在の検索語に合わせる
+     */
+    updateSearchInput() {
+        const input = document.getElementById('newsSearchInput');
+        if (input) input.value = this.currentQuery;
+    }
+
+    /**
+     * 現在のカテゴリ・検索語・ページの記事を取得して表示
+     * 絞り込みとページ分割はサーバー側（/api/news）で行う
+     */
     async loadNews() {
+        const seq = ++this.requestSeq;
+
+        const params = new URLSearchParams({
+            limit: String(this.itemsPerPage),
+            page: String(this.currentPage)
+        });
+        if (this.currentCategory !== 'all') {
+            params.set('category', this.currentCategory);
+        }
+        if (this.currentQuery) {
+            params.set('q', this.currentQuery);
+        }
+
         try {
-            const response = await fetch('/api/news?limit=100');
+            const response = await fetch(`/api/news?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
             const data = await response.json();
+            // バッジの表示にカテゴリ一覧を使う（取得に失敗した場合は既定のカテゴリ）
+            await this.categories.load();
+            if (seq !== this.requestSeq) return;
+
             this.newsData = data.contents || [];
-            console.log(`Loaded ${this.newsData.length} news items`);
+            this.totalCount = data.totalCount || 0;
+            this.render();
         } catch (error) {
+            if (seq !== this.requestSeq) return;
             console.error('Failed to load news:', error);
             this.showError();
         }
     }
 
+    /**
+     * 記事を1件取得（表示中のページにない記事用）
+     * @param {string} articleId - 記事ID
+     * @returns {Promise<Object|null>} 見つからない場合は null
+     */
+    async fetchArticle(articleId) {
+        try {
+            const response = await fetch(`/api/news/${encodeURIComponent(articleId)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to load article:', error);
+            return null;
+        }
+    }
+
     setupFilters() {
-        const filterBtns = document.querySelectorAll('.filter-btn');
-        filterBtns.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                // アクティブクラスの切り替え
-                filterBtns.forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
-
-                // カテゴリ変更
-                this.currentCategory = e.target.dataset.category;
-                this.currentPage = 1;
-                this.render();
-            });
+        // ボタンはカテゴリの取得後に作り直すため、コンテナで受け取る
+        document.getElementById('newsFilters').addEventListener('click', (e) => {
+            const btn = e.target.closest('.filter-btn');
+            if (!btn) return;
+
+            // カテゴリ変更
+            this.currentCategory = btn.dataset.category;
+            this.currentPage = 1;
+            this.updateFilterButtons();
+            this.navigate();
+            this.loadNews();
         });
     }
 
-    getFilteredNews() {
-        if (this.currentCategory === 'all') {
-            return this.newsData;
-        }
-        return this.newsData.filter(item =>
-            item.category === this.currentCategory
-        );
+    /**
+     * カテゴリ一覧からフィルターボタンを作成
+     */
+    renderFilters() {
+        document.getElementById('newsFilters').innerHTML = this.categories.renderFilters(this.currentCategory);
     }
 
-    render() {
-        const filteredNews = this.getFilteredNews();
-        const totalPages = Math.ceil(filteredNews.length / this.itemsPerPage);
+    /**
+     * 検索欄（検索はサーバー側で行い、カテゴリの絞り込みと組み合わせられる）
+     */
+    setupSearch() {
+        const form = document.getElementById('newsSearch');
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const query = document.getElementById('newsSearchInput').value.trim();
+            if (query === this.currentQuery) return;
+
+            this.currentQuery = query;
+            this.currentPage = 1;
+            this.navigate();
+            this.loadNews();
+        });
+    }
 
-        // ページネーション計算
-        const startIndex = (this.currentPage - 1) * this.itemsPerPage;
-        const endIndex = startIndex + this.itemsPerPage;
-        const pageNews = filteredNews.slice(startIndex, endIndex);
+    render() {
+        const totalPages = Math.ceil(this.totalCount / this.itemsPerPage);
 
         // ニュースリスト表示
-        this.renderNewsList(pageNews);
+        this.renderNewsList(this.newsData);
 
         // ページネーション表示
         this.renderPagination(totalPages);
@@ -72,14 +238,19 @@ export class NewsPage {
         const container = document.getElementById('newsList');
 
         if (newsItems.length === 0) {
+            const message = this.currentQuery
+                ? `「${this.escapeHtml(this.currentQuery)}」に一致する新着情報はありません。`
+                : '現在、表示できる新着情報はありません。';
             container.innerHTML = `
                 <div class="no-news">
-                    <p>現在、表示できる新着情報はありません。</p>
+                    <p>${message}</p>
                 </div>
             `;
             return;
         }
 
+        const terms = parseSearchQuery(this.currentQuery);
+
         container.innerHTML = newsItems.map(item => `
             <article class="news-item">
                 <div class="news-date">
@@ -87,17 +258,15 @@ export class NewsPage {
                 </div>
                 <div class="news-content">
                     <div class="news-header">
-                        <span class="news-badge ${item.category || 'news'}">
-                            ${this.getCategoryLabel(item.category)}
-                        </span>
+                        ${this.categories.renderBadge(item.category)}
                         <h2 class="news-title">
-                            <a href="#" class="news-link" data-id="${item.id}">
-                                ${item.title}
+                            <a href="${LIST_PATH}/${encodeURIComponent(item.id)}" class="news-link" data-id="${item.id}">
+                                ${this.highlight(item.title, terms)}
                             </a>
                         </h2>
                     </div>
                     <div class="news-excerpt">
-                        ${this.decodeHTMLEntities(item.excerpt || item.content?.substring(0, 100) || '')}...
+                        ${this.highlight(item.excerpt || '', terms)}
                     </div>
                     ${item.image ? `
                         <div class="news-image">
@@ -111,8 +280,36 @@ export class NewsPage {
         this.attachArticleEvents();
     }
 
+    /**
+     * 検索語をハイライト
+     * @param {string} text - APIでHTMLエスケープ済みの文字列
+     * @param {string[]} terms - 検索語
+     * @returns {string} HTML
+     */
+    highlight(text, terms) {
+        if (terms.length === 0) return text;
+        // エスケープを戻してから一致箇所を探し、highlightSearchMatches() で再度エスケープする
+        return highlightSearchMatches(this.unescapeHtml(text), terms);
+    }
 
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
 
+    // APIのエスケープ（api/_lib/sanitize.js の sanitizeString）を戻す
+    unescapeHtml(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
 
     // 新しいメソッドを追加
     setupModal() {
@@ -152,15 +349,22 @@ export class NewsPage {
         links.forEach(link => {
             link.addEventListener('click', (e) => {
                 e.preventDefault();
-                const articleId = e.target.dataset.id;
+                const articleId = e.currentTarget.dataset.id;
+                this.navigate(articleId);
                 this.showArticle(articleId);
             });
         });
     }
 
-    showArticle(articleId) {
-        const article = this.newsData.find(item => item.id === articleId);
-        if (!article) return;
+    /**
+     * 記事をモーダルで表示
+     * @param {string} articleId - 記事ID
+     * @returns {Promise<boolean>} 記事を表示できたか
+     */
+    async showArticle(articleId) {
+        const article = this.newsData.find(item => item.id === articleId) ||
+            await this.fetchArticle(articleId);
+        if (!article) return false;
 
         const modal = document.getElementById('newsModal');
         const modalTitle = document.getElementById('modalTitle');
@@ -170,9 +374,9 @@ export class NewsPage {
         const modalBody = document.getElementById('modalBody');
 
         // モーダルに内容を設定
-        modalTitle.textContent = article.title;
-        modalCategory.textContent = this.getCategoryLabel(article.category);
-        modalCategory.className = `news-badge ${article.category || 'news'}`;
+        // タイトルはAPIでHTMLエスケープ済み（一覧と同じく innerHTML で表示し、文字参照をそのまま見せない）
+        modalTitle.innerHTML = article.title || '';
+        this.categories.applyBadge(modalCategory, article.category);
         modalDate.textContent = this.formatDate(article.publishedAt || article.createdAt);
 
         // 画像があれば表示
@@ -183,28 +387,40 @@ export class NewsPage {
             modalImage.style.display = 'none';
         }
 
-        // 本文を表示（HTMLデコード処理を追加）
-        const content = article.content || article.description || '';
-        // HTMLエンティティをデコード
-        const decodedContent = this.decodeHTMLEntities(content);
-        modalBody.innerHTML = decodedContent;
+        // 本文を表示（APIでサニタイズ済みだが、念のため同じ許可リストで整形）
+        // 本文がない場合の概要はAPIでHTMLエスケープ済み
+        modalBody.innerHTML = article.content
+            ? sanitizeRichText(article.content)
+            : article.description || '';
 
         // モーダルを表示
         modal.style.display = 'block';
         document.body.style.overflow = 'hidden'; // スクロール防止
-    }
+        document.title = `${modalTitle.textContent} | ${this.pageTitle}`;
 
-    // HTMLエンティティをデコードする
-    decodeHTMLEntities(text) {
-        const textArea = document.createElement('textarea');
-        textArea.innerHTML = text;
-        return textArea.value;
+        return true;
     }
 
+    /**
+     * 記事を閉じて一覧のURLに戻す
+     */
     closeModal() {
+        if (history.state?.fromList) {
+            // 一覧から開いた場合は履歴を戻す（popstate で hideModal() が呼ばれる）
+            history.back();
+            return;
+        }
+
+        // 記事URLに直接アクセスした場合は一覧のURLに置き換える
+        history.replaceState(null, '', this.buildUrl());
+        this.hideModal();
+    }
+
+    hideModal() {
         const modal = document.getElementById('newsModal');
         modal.style.display = 'none';
         document.body.style.overflow = ''; // スクロール復活
+        document.title = this.pageTitle;
     }
 
     renderPagination(totalPages) {
@@ -262,7 +478,8 @@ export class NewsPage {
         container.querySelectorAll('.page-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 this.currentPage = parseInt(e.target.dataset.page);
-                this.render();
+                this.navigate();
+                this.loadNews();
                 window.scrollTo({ top: 0, behavior: 'smooth' });
             });
         });
@@ -277,16 +494,6 @@ export class NewsPage {
         }).format(date);
     }
 
-    getCategoryLabel(category) {
-        const labels = {
-            news: 'お知らせ',
-            event: 'イベント',
-            menu: 'メニュー',
-            campaign: 'キャンペーン'
-        };
-        return labels[category] || 'お知らせ';
-    }
-
     showError() {
         const container = document.getElementById('newsList');
         container.innerHTML = `
@@ -0,0 +1,225 @@
+// js/override-recurrence.js - 手動設定の繰り返しルール
+
+import { CONFIG, utils } from './config.js';
+
+/**
+ * 繰り返しルールの形式（MicroCMSにはJSON文字列で保存）
+ *   { type: 'weekly',  weekdays: [0, 3] }            毎週（日曜・水曜）
+ *   { type: 'monthly', nth: 3, weekday: 0 }          毎月第3日曜（nth: -1 で最終週）
+ *   { type: 'yearly',  month: 12, day: 31 }          毎年12/31
+ * 共通オプション: fromTime / toTime（"HH:MM"、省略時は終日。toTime <= fromTime は翌日まで）
+ *
+ * 繰り返し設定のある営業状況では startTime / endTime がルールの有効期間を表す
+ */
+
+const WEEKDAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * 繰り返しルールを解析・正規化
+ * @param {string|Object|null} value - JSON文字列またはオブジェクト
+ * @returns {Object|null} 正規化したルール（不正な場合は null）
+ */
+export function parseRecurrence(value) {
+    if (!value) return null;
+
+    let rule = value;
+    if (typeof value === 'string') {
+        try {
+            rule = JSON.parse(value);
+        } catch {
+            return null;
+        }
+    }
+
+    if (!rule || typeof rule !== 'object' || validateRecurrence(rule)) {
+        return null;
+    }
+
+    const normalized = { type: rule.type };
+    if (rule.type === 'weekly') {
+        normalized.weekdays = [...new Set(rule.weekdays.map(Number))].sort();
+    } else if (rule.type === 'monthly') {
+        normalized.nth = Number(rule.nth);
+        normalized.weekday = Number(rule.weekday);
+    } else {
+        normalized.month = Number(rule.month);
+        normalized.day = Number(rule.day);
+    }
+    if (rule.fromTime) normalized.fromTime = rule.fromTime;
+    if (rule.toTime) normalized.toTime = rule.toTime;
+
+    return normalized;
+}
+
+/**
+ * 繰り返しルールを検証
+ * @param {Object} rule - 繰り返しルール
+ * @returns {string|null} エラーメッセージ（正常なら null）
+ */
+export function validateRecurrence(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'recurrenceはオブジェクトで指定してください';
+    }
+
+    const isWeekday = (value) => Number.isInteger(Number(value)) && value >= 0 && value <= 6;
+
+    switch (rule.type) {
+        case 'weekly':
+            if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0 || !rule.weekdays.every(isWeekday)) {
+                return 'weekdaysは0(日)〜6(土)の配列で指定してください';
+            }
+            break;
+        case 'monthly':
+            if (![1, 2, 3, 4, 5, -1].includes(Number(rule.nth)) || !isWeekday(rule.weekday)) {
+                return 'nthは1〜5または-1(最終)、weekdayは0〜6で指定してください';
+            }
+            break;
+        case 'yearly': {
+            const month = Number(rule.month);
+            const day = Number(rule.day);
+            if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= 31)) {
+                return 'monthは1〜12、dayは1〜31で指定してください';
+            }
+            break;
+        }
+        default:
+            return 'typeはweekly, monthly, yearlyのいずれかを指定してください';
+    }
+
+    for (const key of ['fromTime', 'toTime']) {
+        if (rule[key] && utils.parseTime(rule[key]) === null) {
+            return `${key}はHH:MM形式で指定してください`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 暦日が繰り返しルールに該当するか
+ * @param {Object} rule - 正規化済みのルール
+ * @param {Object} day - { year, month, day }
+ */
+function matchesDay(rule, { year, month, day }) {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+    switch (rule.type) {
+        case 'weekly':
+            return rule.weekdays.includes(weekday);
+        case 'monthly': {
+            if (weekday !== rule.weekday) return false;
+            if (rule.nth === -1) {
+                const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+                return day + 7 > daysInMonth;
+            }
+            return Math.ceil(day / 7) === rule.nth;
+        }
+        case 'yearly':
+            return month === rule.month && day === rule.day;
+        default:
+            return false;
+    }
+}
+
+/**
+ * 指定した暦日の発生期間を作成
+ */
+function createOccurrence(rule, day, timeZone) {
+    const from = utils.parseTime(rule.fromTime) ?? 0;
+    const to = utils.parseTime(rule.toTime) ?? 24;
+    const endDay = to <= from ? shiftDay(day, 1) : day;
+
+    return {
+        start: utils.zonedTimeToDate(day, from, timeZone),
+        end: utils.zonedTimeToDate(endDay, to, timeZone)
+    };
+}
+
+/**
+ * 暦日を n 日ずらす
+ */
+function shiftDay({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * 営業状況の発生期間を期間内で列挙
+ * @param {Object} entry - 営業状況（recurrence を含む）
+ * @param {Date} from - 開始日時
+ * @param {Date} to - 終了日時
+ * @param {string} timeZone - 店舗のタイムゾーン
+ * @returns {Array} { start, end } の配列（開始日時順）
+ */
+export function getOccurrences(entry, from, to, timeZone = CONFIG.business.timezone) {
+    const rule = parseRecurrence(entry.recurrence);
+    const seriesStart = entry.startTime ? new Date(entry.startTime) : null;
+    const seriesEnd = entry.endTime ? new Date(entry.endTime) : null;
+
+    // 繰り返しなし: 開始〜終了がそのまま1回の発生期間
+    if (!rule) {
+        const start = seriesStart || new Date(0);
+        const end = seriesEnd || new Date(8640000000000000);
+        return start <= to && end >= from ? [{ start, end }] : [];
+    }
+
+    const occurrences = [];
+    // 日をまたぐ時間帯に備えて前日から走査
+    let day = shiftDay(utils.getZonedParts(from, timeZone), -1);
+    const lastDay = utils.getZonedParts(to, timeZone);
+    const lastKey = Date.UTC(lastDay.year, lastDay.month - 1, lastDay.day);
+
+    while (Date.UTC(day.year, day.month - 1, day.day) <= lastKey) {
+        if (matchesDay(rule, day)) {
+            const occurrence = createOccurrence(rule, day, timeZone);
+            const withinSeries = (!seriesStart || occurrence.end > seriesStart) &&
+                (!seriesEnd || occurrence.start < seriesEnd);
+
+            if (withinSeries && occurrence.start <= to && occurrence.end >= from) {
+                // 有効期間で発生期間を切り詰める
+                occurrences.push({
+                    start: seriesStart && seriesStart > occurrence.start ? seriesStart : occurrence.start,
+                    end: seriesEnd && seriesEnd < occurrence.end ? seriesEnd : occurrence.end
+                });
+            }
+        }
+        day = shiftDay(day, 1);
+    }
+
+    return occurrences;
+}
+
+/**
+ * 指定日時を含む発生期間を取得
+ * @param {Object} entry - 営業状況
+ * @param {Date} at - 基準日時
+ * @returns {Object|null} { start, end }
+ */
+export function findOccurrenceAt(entry, at, timeZone = CONFIG.business.timezone) {
+    return getOccurrences(entry, at, at, timeZone)
+        .find(({ start, end }) => start <= at && end >= at) || null;
+}
+
+/**
+ * 繰り返しルールの表示文言（例: "毎月第3日曜 15:00〜18:00"）
+ * @param {string|Object} value - 繰り返しルール
+ */
+export function describeRecurrence(value) {
+    const rule = parseRecurrence(value);
+    if (!rule) return '';
+
+    let label;
+    if (rule.type === 'weekly') {
+        label = `毎週${rule.weekdays.map(d => WEEKDAY_NAMES[d]).join('・')}曜`;
+    } else if (rule.type === 'monthly') {
+        label = `毎月${rule.nth === -1 ? '最終' : `第${rule.nth}`}${WEEKDAY_NAMES[rule.weekday]}曜`;
+    } else {
+        label = `毎年${rule.month}/${rule.day}`;
+    }
+
+    if (rule.fromTime || rule.toTime) {
+        label += ` ${rule.fromTime || '0:00'}〜${rule.toTime || '24:00'}`;
+    }
+
+    return label;
+}
@@ -0,0 +1,295 @@
+// js/rich-text.js - リッチテキスト（MicroCMS のリッチエディタ）のサニタイズ
+
+/**
+ * 許可リストに含まれるタグ・属性・URLのみを残してHTMLを整形する
+ * サーバー（/api/news のレスポンス、フィード）とブラウザ（記事の表示）で同じ規則を使うため DOM に依存しない
+ *
+ * - 許可リストにないタグは取り除き、中のテキストは残す（script などは中身ごと削除）
+ * - 属性はタグごとの許可リストのみ。on* や style は常に削除
+ * - リンクは http / https / mailto / tel と相対URL、画像は https の RICH_TEXT_IMAGE_HOSTS と同一オリジンのみ
+ * - baseUrl を指定した場合は相対URLを baseUrl を基準にした絶対URLにする（フィードなど、サイトの外で表示する本文用）
+ * - 閉じられていないタグは末尾で閉じ、対応しない閉じタグは無視する
+ *
+ * サニタイズ済みのHTMLをもう一度通しても結果は変わらない
+ */
+
+// タグ名 => 許可する属性
+const ALLOWED_TAGS = {
+    p: [], br: [], hr: [], div: [], span: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    strong: [], b: [], em: [], i: [], u: [], s: [], del: [], ins: [], mark: [],
+    small: [], sub: [], sup: [], code: [], pre: [], blockquote: ['cite'],
+    ul: [], ol: ['start'], li: [],
+    a: ['href', 'title', 'target'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    figure: [], figcaption: [],
+    table: [], thead: [], tbody: [], tfoot: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan']
+};
+
+// 中身ごと削除するタグ
+const DROP_CONTENT_TAGS = new Set([
+    'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template',
+    'textarea', 'title', 'svg', 'math', 'select', 'frameset', 'noembed', 'xmp'
+]);
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// 同じタグが続いた場合に前のタグを閉じる（<li>a<li>b のような省略形）
+const IMPLICIT_CLOSE_TAGS = new Set(['p', 'li', 'tr', 'td', 'th']);
+
+// URLを値に持つ属性
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+
+const LINK_PROTOCOLS = new Set(['http:', 'https:', 'mailto:', 'tel:']);
+
+// 画像を読み込めるホスト（MicroCMS のメディア）
+export const RICH_TEXT_IMAGE_HOSTS = ['images.microcms-assets.io'];
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const TAG_PATTERN = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?|\s*\/)*)\s*>/;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const ENTITY_PATTERN = /^&(?:#\d{1,7}|#x[0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/;
+
+/**
+ * リッチテキストのサニタイズ
+ * @param {*} html - MicroCMS のリッチテキスト（文字列以外は空文字）
+ * @param {Object} options
+ * @param {string[]} options.imageHosts - 画像を許可するホスト
+ * @param {string|null} options.baseUrl - 相対URLの基準（絶対URL）。null の場合は相対URLのまま
+ * @returns {string} 安全なHTML
+ */
+export function sanitizeRichText(html, { imageHosts = RICH_TEXT_IMAGE_HOSTS, baseUrl = null } = {}) {
+    if (typeof html !== 'string') return '';
+
+    const source = html.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+    const stack = [];
+    let output = '';
+    let index = 0;
+
+    while (index < source.length) {
+        const next = source.indexOf('<', index);
+        if (next === -1) {
+            output += escapeText(source.slice(index));
+            break;
+        }
+        output += escapeText(source.slice(index, next));
+        index = next;
+
+        const rest = source.slice(index);
+
+        // コメント・DOCTYPE・処理命令は削除
+        if (rest.startsWith('<!--')) {
+            const end = source.indexOf('-->', index + 4);
+            index = end === -1 ? source.length : end + 3;
+            continue;
+        }
+        if (/^<[!?]/.test(rest)) {
+            const end = source.indexOf('>', index);
+            index = end === -1 ? source.length : end + 1;
+            continue;
+        }
+
+        const match = TAG_PATTERN.exec(rest);
+        if (!match) {
+            output += '&lt;';
+            index += 1;
+            continue;
+        }
+        index += match[0].length;
+
+        const [, closing, rawName, rawAttributes] = match;
+        const name = rawName.toLowerCase();
+
+        if (DROP_CONTENT_TAGS.has(name)) {
+            if (!closing) {
+                const end = new RegExp(`</${name}\\s*>`, 'i').exec(source.slice(index));
+                index = end ? index + end.index + end[0].length : source.length;
+            }
+            continue;
+        }
+
+        if (!ALLOWED_TAGS[name]) continue;
+
+        if (closing) {
+            const position = stack.lastIndexOf(name);
+            if (position === -1) continue;
+            while (stack.length > position) {
+                output += `</${stack.pop()}>`;
+            }
+            continue;
+        }
+
+        const attributes = sanitizeAttributes(name, rawAttributes, { imageHosts, baseUrl });
+        // src を削除した画像は表示しない
+        if (name === 'img' && !attributes.some(([key]) => key === 'src')) continue;
+
+        if (IMPLICIT_CLOSE_TAGS.has(name) && stack[stack.length - 1] === name) {
+            output += `</${stack.pop()}>`;
+        }
+
+        output += `<${name}${attributes.map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`).join('')}>`;
+        if (!VOID_TAGS.has(name)) {
+            stack.push(name);
+        }
+    }
+
+    while (stack.length > 0) {
+        output += `</${stack.pop()}>`;
+    }
+
+    return output;
+}
+
+/**
+ * リッチテキストをプレーンテキストに変換（概要・検索用）
+ * @param {*} html - リッチテキスト
+ * @param {number} maxLength - 最大文字数（超えた場合は末尾に「…」）
+ * @returns {string} エスケープされていないテキスト
+ */
+export function richTextToPlain(html, maxLength = Infinity) {
+    const text = decodeEntities(
+        sanitizeRichText(html)
+            .replace(/<(br|\/p|\/div|\/h[1-6]|\/li|\/tr|\/blockquote|\/pre|\/figure)>/g, ' ')
+            .replace(/<[^>]*>/g, '')
+    )
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return text.length > maxLength ? `${text.substring(0, maxLength).trimEnd()}…` : text;
+}
+
+/**
+ * 属性の絞り込み
+ * @returns {Array} [属性名, デコード済みの値] の配列
+ */
+function sanitizeAttributes(tag, rawAttributes, { imageHosts, baseUrl }) {
+    const allowed = ALLOWED_TAGS[tag];
+    const attributes = [];
+    let match;
+
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(rawAttributes)) !== null) {
+        const key = match[1].toLowerCase();
+        const value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+
+        if (!allowed.includes(key) || attributes.some(([existing]) => existing === key)) continue;
+
+        if (URL_ATTRIBUTES.has(key)) {
+            const url = key === 'src' ? sanitizeImageUrl(value, imageHosts, baseUrl) : sanitizeLinkUrl(value);
+            const resolved = url !== null && baseUrl ? resolveUrl(url, baseUrl) : url;
+            if (resolved !== null) attributes.push([key, resolved]);
+            continue;
+        }
+
+        if (key === 'target') {
+            // 新しいタブで開くリンクのみ許可（rel は下で付与）
+            if (value === '_blank') attributes.push([key, value]);
+            continue;
+        }
+
+        if (['width', 'height', 'colspan', 'rowspan', 'start'].includes(key)) {
+            if (/^\d{1,4}$/.test(value)) attributes.push([key, value]);
+            continue;
+        }
+
+        attributes.push([key, value]);
+    }
+
+    if (tag === 'a' && attributes.some(([key]) => key === 'target')) {
+        attributes.push(['rel', 'noopener noreferrer']);
+    }
+
+    return attributes;
+}
+
+/**
+ * リンク先のURL（許可されないスキームは null）
+ */
+function sanitizeLinkUrl(value) {
+    const url = normalizeUrl(value);
+    if (url === null) return null;
+
+    const scheme = /^([a-zA-Z][a-zA-Z0-9+.-]*):/.exec(url);
+    if (!scheme) {
+        // 相対URL（"//host" 形式は https と同じ扱い）
+        return url;
+    }
+    return LINK_PROTOCOLS.has(`${scheme[1].toLowerCase()}:`) ? url : null;
+}
+
+/**
+ * 画像のURL（許可されたホストの https、または同一オリジンのパス・baseUrl と同じオリジンの絶対URLのみ）
+ */
+function sanitizeImageUrl(value, imageHosts, baseUrl) {
+    const url = normalizeUrl(value);
+    if (url === null) return null;
+
+    if (url.startsWith('/') && !url.startsWith('//')) {
+        return url;
+    }
+    if (baseUrl && url.startsWith(`${new URL(baseUrl).origin}/`)) {
+        return url;
+    }
+
+    const match = /^https:\/\/([^/?#:@]+)(?:[/?#]|$)/i.exec(url);
+    return match && imageHosts.includes(match[1].toLowerCase()) ? url : null;
+}
+
+/**
+ * 相対URLを baseUrl を基準にした絶対URLにする（スキームのあるURLはそのまま、解決できないURLは null）
+ */
+function resolveUrl(url, baseUrl) {
+    if (/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(url)) {
+        return url;
+    }
+    try {
+        return new URL(url, baseUrl).href;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * URLの前後の空白を除く（スキームを誤判定する恐れのあるURLは null）
+ */
+function normalizeUrl(value) {
+    const url = value.trim();
+    // 空白・制御文字（ブラウザが無視する）、バックスラッシュ（"/\host" は "//host" と解釈される）、
+    // デコードしていない文字参照（&colon; など）を含むURLは拒否
+    if (/[\x00-\x20\x7F\\]/.test(url) || /&[a-zA-Z][a-zA-Z0-9]*;/.test(url)) {
+        return null;
+    }
+    return url;
+}
+
+/**
+ * テキスト中の < > と文字参照でない & をエスケープ
+ */
+function escapeText(text) {
+    return text
+        .replace(/&/g, (amp, offset) => (ENTITY_PATTERN.test(text.slice(offset)) ? amp : '&amp;'))
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 文字参照のデコード（数値参照と NAMED_ENTITIES のみ。それ以外はそのまま残す）
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#\d{1,7}|#x[0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/g, (entity, body) => {
+        if (body[0] === '#') {
+            const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+        }
+        return NAMED_ENTITIES[body] ?? entity;
+    });
+}
@@ -0,0 +1,267 @@
+// js/status-calendar.js - 営業状況の月間カレンダー
+
+import { utils } from './config.js';
+import { StatusResolver } from './status-resolver.js';
+import { getOccurrences } from './override-recurrence.js';
+import { describeCustomHours } from './custom-hours.js';
+
+const DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+const STATUS_LABELS = {
+    closed: '臨時休業',
+    short: '時短営業',
+    special: '特別営業'
+};
+
+/**
+ * 通常の営業スケジュール（曜日別・祝日・休業期間）と営業状況の手動設定を
+ * 日ごとにまとめた月間カレンダー
+ *
+ * 同じ日に複数の設定が重なる場合は、各設定の適用開始時点で
+ * StatusResolver.findActiveOverride() が選ぶ設定を「適用」、選ばれない設定を「優先度で非表示」とする
+ */
+export class StatusCalendar {
+    /**
+     * @param {HTMLElement} container - カレンダーを描画する要素
+     * @param {Object} options
+     * @param {StatusResolver} options.resolver - 営業状況の判定に使う StatusResolver
+     * @param {Function} options.onDayClick - 日付クリック時のコールバック (day, cell) => void
+     */
+    constructor(container, { resolver = new StatusResolver(), onDayClick = null } = {}) {
+        this.container = container;
+        this.resolver = resolver;
+        this.schedule = resolver.schedule;
+        this.onDayClick = onDayClick;
+        this.entries = [];
+        this.cells = new Map();
+
+        const today = this.schedule.toLocalDay(new Date());
+        this.year = today.year;
+        this.month = today.month;
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.closest('[data-date]')) {
+                e.preventDefault();
+                this.handleClick(e);
+            }
+        });
+    }
+
+    /**
+     * 表示する営業状況を設定して再描画
+     * @param {Array} entries - 営業状況の配列
+     */
+    setEntries(entries) {
+        this.entries = entries || [];
+        this.render();
+    }
+
+    /**
+     * 表示月を移動
+     * @param {number} offset - 移動する月数（0 で今月）
+     */
+    shiftMonth(offset) {
+        if (offset === 0) {
+            const today = this.schedule.toLocalDay(new Date());
+            this.year = today.year;
+            this.month = today.month;
+        } else {
+            const shifted = new Date(Date.UTC(this.year, this.month - 1 + offset, 1));
+            this.year = shifted.getUTCFullYear();
+            this.month = shifted.getUTCMonth() + 1;
+        }
+
+        this.render();
+    }
+
+    /**
+     * 1か月分の日ごとの営業状況を作成
+     * @param {number} year - 年
+     * @param {number} month - 月（1〜12）
+     * @returns {Array} buildDay() の結果の配列
+     */
+    buildMonth(year, month) {
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const first = this.schedule.shiftDay({ year, month, day: 1 }, 0);
+
+        return Array.from({ length: daysInMonth }, (_, i) => this.buildDay(this.schedule.shiftDay(first, i)));
+    }
+
+    /**
+     * 1日分の営業状況を作成
+     * @param {Object} day - 暦日オブジェクト { year, month, day, weekday }
+     * @returns {Object} { day, key, type, label, hours, holidayName, schedule, overrides, winner }
+     *   type: 'open' | 'closed' | 'short' | 'special'
+     *   overrides: その日に掛かる設定（優先度順）。wins が true のものが実際に表示される
+     */
+    buildDay(day) {
+        const schedule = this.schedule.getDaySchedule(day);
+        const dayStart = this.schedule.toDateTime(day, 0);
+        const dayEnd = this.schedule.toDateTime(day, 24);
+
+        // その日に掛かる公開済みの設定と、各設定の適用開始時点
+        const candidates = this.entries
+            .filter(entry => entry.publishedAt)
+            .map(entry => ({
+                entry,
+                probes: getOccurrences(entry, dayStart, dayEnd, this.schedule.timeZone)
+                    .filter(({ start, end }) => start < dayEnd && end > dayStart)
+                    .map(({ start }) => (start > dayStart ? start : dayStart))
+            }))
+            .filter(candidate => candidate.probes.length > 0);
+
+        // 適用開始時点ごとに findActiveOverride() と同じ規則で表示される設定を決定
+        const contents = candidates.map(candidate => candidate.entry);
+        const winners = new Set();
+        candidates.forEach(({ probes }) => probes.forEach(at => {
+            const winner = this.resolver.findActiveOverride(contents, at);
+            if (winner) winners.add(winner.id);
+        }));
+
+        const overrides = candidates
+            .map(({ entry, probes }) => ({ entry, from: probes[0], wins: winners.has(entry.id) }))
+            .sort((a, b) => (b.entry.priority || 1) - (a.entry.priority || 1));
+
+        const winner = overrides.find(override => override.wins)?.entry || null;
+
+        return {
+            day,
+            key: this.toKey(day),
+            holidayName: schedule.holidayName || null,
+            schedule,
+            overrides,
+            winner,
+            ...this.describeDay(schedule, winner)
+        };
+    }
+
+    /**
+     * 日ごとの表示内容を決定
+     * @param {Object} schedule - BusinessSchedule.getDaySchedule() の結果
+     * @param {Object|null} winner - 表示される設定
+     * @returns {Object} { type, label, hours }
+     */
+    describeDay(schedule, winner) {
+        const regularHours = schedule.periods
+            .map(period => `${utils.formatTime(period.openTime)}〜${utils.formatTime(period.closeTime)}`)
+            .join(' / ');
+
+        if (winner) {
+            const label = winner.reason || STATUS_LABELS[winner.status] || winner.status;
+
+            if (winner.status === 'short') {
+                return { type: 'short', label, hours: describeCustomHours(winner.customHours) };
+            }
+            if (winner.status === 'special') {
+                return { type: 'special', label, hours: regularHours };
+            }
+            return { type: 'closed', label, hours: '' };
+        }
+
+        return schedule.isOpenDay
+            ? { type: 'open', label: '営業', hours: regularHours }
+            : { type: 'closed', label: schedule.reason, hours: '' };
+    }
+
+    /**
+     * カレンダーを描画
+     */
+    render() {
+        const cells = this.buildMonth(this.year, this.month);
+        const todayKey = this.toKey(this.schedule.toLocalDay(new Date()));
+        this.cells = new Map(cells.map(cell => [cell.key, cell]));
+
+        const blanks = Array.from({ length: cells[0].day.weekday }, () => '<div class="calendar-day blank"></div>');
+
+        this.container.innerHTML = `
+            <div class="status-calendar">
+                <div class="calendar-header">
+                    <button type="button" class="admin-btn secondary" data-nav="-1">‹ 前月</button>
+                    <h3>${this.year}年${this.month}月</h3>
+                    <button type="button" class="admin-btn secondary" data-nav="1">翌月 ›</button>
+                    <button type="button" class="admin-btn secondary" data-nav="0">今月</button>
+                </div>
+                <div class="calendar-grid">
+                    ${DAY_NAMES.map((name, i) => `<div class="calendar-weekday weekday-${i}">${name}</div>`).join('')}
+                    ${blanks.join('')}
+                    ${cells.map(cell => this.createDayHTML(cell, cell.key === todayKey)).join('')}
+                </div>
+                <div class="calendar-legend">
+                    <span class="calendar-legend-item open">営業</span>
+                    <span class="calendar-legend-item short">時短営業</span>
+                    <span class="calendar-legend-item special">特別営業</span>
+                    <span class="calendar-legend-item closed">休業</span>
+                    <span class="calendar-regular">${this.describeWeeklySchedule()}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 1日分のセルのHTML
+     * @param {Object} cell - buildDay() の結果
+     * @param {boolean} isToday - 今日かどうか
+     */
+    createDayHTML(cell, isToday) {
+        const { day, type, label, hours, holidayName, overrides } = cell;
+        const classes = ['calendar-day', type, `weekday-${day.weekday}`];
+        if (isToday) classes.push('today');
+        if (holidayName) classes.push('holiday');
+
+        const overrideItems = overrides.map(({ entry, wins }) => `
+            <li class="${wins ? 'wins' : 'shadowed'}" title="${wins ? '適用' : '優先度で非表示'}">
+                ${utils.sanitizeHtml(entry.reason || STATUS_LABELS[entry.status] || entry.status)}
+                <span class="calendar-priority">優先度${Number(entry.priority) || 1}</span>
+            </li>
+        `).join('');
+
+        return `
+            <div class="${classes.join(' ')}" data-date="${cell.key}" role="button" tabindex="0"
+                 aria-label="${day.month}月${day.day}日 ${utils.sanitizeHtml(label || '')}">
+                <span class="calendar-date">${day.day}</span>
+                ${holidayName ? `<span class="calendar-holiday">${utils.sanitizeHtml(holidayName)}</span>` : ''}
+                <span class="calendar-label">${utils.sanitizeHtml(label || '')}</span>
+                ${hours ? `<span class="calendar-hours">${utils.sanitizeHtml(hours)}</span>` : ''}
+                ${overrideItems ? `<ul class="calendar-overrides">${overrideItems}</ul>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * 曜日別の通常営業時間の要約（例: "月 定休日 / 日 11:00〜20:00"）
+     */
+    describeWeeklySchedule() {
+        return this.schedule.getWeeklySchedule()
+            .map(({ day, status, periods }) => (status === '定休日'
+                ? `${day} 定休日`
+                : `${day} ${periods.map(period => `${period.openTime}〜${period.closeTime}`).join('・')}`))
+            .join(' / ');
+    }
+
+    /**
+     * 前月・翌月ボタンと日付セルのクリック
+     * @param {Event} e - クリック（またはキー入力）イベント
+     */
+    handleClick(e) {
+        const nav = e.target.closest('[data-nav]');
+        if (nav) {
+            this.shiftMonth(Number(nav.dataset.nav));
+            return;
+        }
+
+        const dayElement = e.target.closest('[data-date]');
+        if (dayElement && this.onDayClick) {
+            const cell = this.cells.get(dayElement.dataset.date);
+            if (cell) this.onDayClick(cell.day, cell);
+        }
+    }
+
+    /**
+     * 暦日を "YYYY-MM-DD" に変換
+     * @param {Object} day - 暦日オブジェクト
+     */
+    toKey({ year, month, day }) {
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,68 @@
+// js/status-display.js - 営業状況バーの表示文言
+
+/**
+ * 営業状況オブジェクト（StatusResolver.resolve() の結果）から営業状況バーの文言を作成する
+ * ブラウザ（BusinessHours）とサーバー（営業状況のドライラン）で同じ文言を表示するため DOM に依存しない
+ */
+
+export const STATUS_ICONS = {
+    'open': '🟢',
+    'last-order': '🟡',
+    'closed': '⚫',
+    'intermission': '☕',
+    'holiday': '🔴',
+    'emergency-closed': '❌',
+    'short-hours': '⏰',
+    'special': '✨'
+};
+
+/**
+ * バッジの文言（例: "🟢 営業中"）
+ * @param {Object} status - 営業状況オブジェクト
+ */
+export function formatStatusBadge(status) {
+    return `${STATUS_ICONS[status.type] || '⚫'} ${status.message}`;
+}
+
+/**
+ * 詳細の文言
+ * @param {Object} status - 営業状況オブジェクト
+ */
+export function formatStatusDetail(status) {
+    let detailText = status.detail;
+    // specialタイプの場合はcustomMessageを追加しない
+    if (status.type !== 'special' && status.customMessage) {
+        detailText += ` - ${status.customMessage}`;
+    }
+    if (status.nextMessage) {
+        detailText += ` ${status.nextMessage}`;
+    }
+    return detailText;
+}
+
+/**
+ * カウントダウンの文言
+ * @param {Object} status - 営業状況オブジェクト
+ * @param {Date} now - 基準日時（手動設定の終了までの残り時間に使用）
+ * @returns {string|null} 表示しない場合は null
+ */
+export function formatCountdown(status, now = new Date()) {
+    if (status.remainingMinutes && status.remainingMinutes > 0) {
+        return `ラストオーダーまで ${status.remainingMinutes}分`;
+    }
+    if (status.type === 'intermission' && status.minutesToOpen > 0) {
+        return `${status.nextPeriod.label || '営業再開'}まで ${status.minutesToOpen}分`;
+    }
+    if (status.minutesToOpen && status.minutesToOpen > 0) {
+        return `開店まで ${status.minutesToOpen}分`;
+    }
+    if (status.isManual && status.endTime) {
+        const diffMs = new Date(status.endTime) - now;
+        if (diffMs > 0) {
+            const hours = Math.floor(diffMs / 3600000);
+            const minutes = Math.floor((diffMs % 3600000) / 60000);
+            return `手動設定解除まで ${hours}時間${minutes}分`;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,394 @@
+// js/status-resolver.js - 営業状況の判定ロジック
+
+import { CONFIG, utils } from './config.js';
+import { BusinessSchedule } from './business-schedule.js';
+import { parseRecurrence, findOccurrenceAt, getOccurrences } from './override-recurrence.js';
+import { toSchedulePeriods, parseCustomHours } from './custom-hours.js';
+
+/**
+ * 自動判定（営業スケジュール）と手動設定（MicroCMS）を統合して営業状況を決定する
+ * DOM に依存しないため、ブラウザ（BusinessHours）とサーバー（/api/status/now）の両方で使用する
+ */
+export class StatusResolver {
+    /**
+     * @param {Object} config - CONFIG.business 相当の設定
+     */
+    constructor(config = CONFIG.business) {
+        this.config = config;
+        this.schedule = new BusinessSchedule(config);
+    }
+
+    /**
+     * 指定日時の営業状況を決定
+     * @param {Array} contents - MicroCMSの営業状況コンテンツ配列
+     * @param {Date} at - 基準日時
+     * @returns {Object} 営業状況オブジェクト
+     */
+    resolve(contents, at = new Date()) {
+        const override = this.findActiveOverride(contents, at);
+        return override
+            ? this.createManualStatus(override, at)
+            : this.calculateAutoStatus(at);
+    }
+
+    /**
+     * 営業中かどうか（ラストオーダー・特別営業を含む）
+     * @param {Object} status - 営業状況オブジェクト
+     */
+    isOpenStatus(status) {
+        return status.type === 'open' || status.type === 'last-order' || status.type === 'special';
+    }
+
+    /**
+     * 有効な手動設定を検索
+     * @param {Array} contents - MicroCMSコンテンツ配列
+     * @param {Date} now - 基準日時
+     * @returns {Object|null} 有効な手動設定
+     *   繰り返し設定の場合、startTime / endTime は今回の発生期間に置き換え、
+     *   ルール自体の有効期間は seriesStartTime / seriesEndTime に残す
+     */
+    findActiveOverride(contents, now = new Date()) {
+        if (!contents || contents.length === 0) {
+            return null;
+        }
+
+        // 優先度順にソートして最も優先度の高い有効な設定を取得
+        const validOverrides = contents
+            .filter(item => {
+                // 公開状態チェック
+                if (!item.publishedAt) return false;
+
+                // 開始・終了時刻（繰り返し設定は発生期間）チェック
+                return this.isOverrideActiveAt(item, now);
+            })
+            .sort((a, b) => (b.priority || 1) - (a.priority || 1));
+
+        if (validOverrides.length === 0) {
+            return null;
+        }
+
+        const override = validOverrides[0];
+        if (!parseRecurrence(override.recurrence)) {
+            return override;
+        }
+
+        const occurrence = findOccurrenceAt(override, now, this.schedule.timeZone);
+        return {
+            ...override,
+            seriesStartTime: override.startTime,
+            seriesEndTime: override.endTime,
+            startTime: occurrence.start.toISOString(),
+            endTime: occurrence.end.toISOString()
+        };
+    }
+
+    /**
+     * 手動設定が指定日時に有効か
+     * @param {Object} item - 営業状況
+     * @param {Date} at - 基準日時
+     */
+    isOverrideActiveAt(item, at) {
+        if (parseRecurrence(item.recurrence)) {
+            return findOccurrenceAt(item, at, this.schedule.timeZone) !== null;
+        }
+
+        if (item.startTime && new Date(item.startTime) > at) {
+            return false;
+        }
+        if (item.endTime && new Date(item.endTime) < at) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 手動設定から営業状況を作成
+     * @param {Object} override - 手動設定オブジェクト
+     * @param {Date} now - 現在時刻
+     * @returns {Object} 営業状況オブジェクト
+     */
+    createManualStatus(override, now) {
+        // statusが配列の場合、最初の要素を取得
+        const statusValue = Array.isArray(override.status) ? override.status[0] : override.status;
+
+        const baseStatus = {
+            isManual: true,
+            overrideId: override.id,
+            reason: override.reason || '',
+            customMessage: override.message || '',
+            startTime: override.startTime,
+            endTime: override.endTime
+        };
+
+
+        switch (statusValue) {
+            case 'closed':
+                return {
+                    ...baseStatus,
+                    type: 'emergency-closed',
+                    message: '臨時休業',
+                    detail: override.reason || '都合により臨時休業',
+                    customMessage: override.message || '営業再開時期は改めてお知らせいたします'
+                };
+
+            case 'short': {
+                const periods = toSchedulePeriods(override.customHours);
+
+                // 営業時間の指定がない場合は時短営業の告知のみ
+                if (!periods) {
+                    return {
+                        ...baseStatus,
+                        type: 'short-hours',
+                        message: '時短営業',
+                        detail: override.reason || '本日は時短営業',
+                        customMessage: override.message || '',  // customMessageとして設定
+                        customHours: null
+                    };
+                }
+
+                // 指定された営業時間を1日のスケジュールとして判定
+                const status = this.calculatePeriodStatus(
+                    this.schedule.createDaySchedule(periods),
+                    now,
+                    { ...baseStatus, shortHours: true, customHours: parseCustomHours(override.customHours) }
+                );
+                return {
+                    ...status,
+                    detail: `${override.reason || '本日は時短営業'}・${status.detail}`
+                };
+            }
+
+            case 'special':
+                return {
+                    ...baseStatus,
+                    type: 'special',
+                    message: '特別営業',
+                    detail: override.message || '本日は特別営業',
+                    specialNote: override.reason || ''
+                };
+
+            default:
+                // 不明な設定の場合は自動判定にフォールバック
+                console.warn('Unknown manual status:', statusValue);
+                return this.calculateAutoStatus(now);
+        }
+
+    }
+
+    /**
+     * 自動営業状況を計算（元のロジック）
+     * @param {Date} date - 基準日時
+     * @returns {Object} 営業状況オブジェクト
+     */
+    calculateAutoStatus(date) {
+        // 店舗のタイムゾーンで判定（閲覧者の端末設定に依存しない）
+        const today = this.schedule.getDaySchedule(date);
+
+        const baseStatus = { isManual: false };
+
+        // 定休日・祝日・長期休業チェック
+        if (!today.isOpenDay) {
+            const nextOpen = this.schedule.getNextOpenTime(date);
+            const messages = {
+                '祝日': `${today.holidayName}のため休業`,
+                '休業期間': today.closedPeriod?.reason || '休業期間中',
+                '定休日': '本日定休日'
+            };
+            return {
+                ...baseStatus,
+                type: today.reason === '定休日' ? 'closed' : 'holiday',
+                message: messages[today.reason] || '本日休業',
+                detail: this.schedule.describeNextOpen(nextOpen, date),
+                holidayName: today.holidayName,
+                nextOpen
+            };
+        }
+
+        return this.calculatePeriodStatus(today, date, baseStatus);
+    }
+
+    /**
+     * 営業時間帯に沿って営業状況を計算
+     * 準備中 → 営業中 → ラストオーダー →（休憩中 →）営業終了
+     * @param {Object} today - BusinessSchedule.createDaySchedule() 形式の1日分のスケジュール
+     * @param {Date} date - 基準日時
+     * @param {Object} baseStatus - 営業状況に含める共通項目
+     * @returns {Object} 営業状況オブジェクト
+     */
+    calculatePeriodStatus(today, date, baseStatus) {
+        const local = this.schedule.toLocalDay(date);
+        const time = local.hour + local.minute / 60;
+        const { periods } = today;
+        const currentIndex = periods.findIndex(period =>
+            time >= period.openTime && time < period.closeTime
+        );
+
+        // 営業時間帯内
+        if (currentIndex !== -1) {
+            const period = periods[currentIndex];
+            const nextPeriod = periods[currentIndex + 1];
+
+            if (time < period.lastOrderTime) {
+                const remainingMinutes = Math.round((period.lastOrderTime - time) * 60);
+                return {
+                    ...baseStatus,
+                    type: 'open',
+                    message: '営業中',
+                    detail: `${utils.formatTime(period.closeTime)}まで（L.O. ${utils.formatTime(period.lastOrderTime)}）`,
+                    period,
+                    remainingMinutes
+                };
+            }
+
+            return {
+                ...baseStatus,
+                type: 'last-order',
+                message: 'ラストオーダー',
+                detail: nextPeriod
+                    ? `${period.label || 'この時間帯'}のご注文受付は終了（${this.formatPeriodStart(nextPeriod)}）`
+                    : '本日のご注文受付は終了',
+                period,
+                closingTime: period.closeTime
+            };
+        }
+
+        // 開店前
+        if (time < today.openTime) {
+            const minutesToOpen = Math.round((today.openTime - time) * 60);
+            return {
+                ...baseStatus,
+                type: 'closed',
+                message: '準備中',
+                detail: `本日${utils.formatTime(today.openTime)}より営業`,
+                nextOpen: this.schedule.toDateTime(local, today.openTime),
+                minutesToOpen
+            };
+        }
+
+        // 中休み（次の時間帯が本日中に残っている）
+        const nextPeriod = periods.find(period => period.openTime > time);
+        if (nextPeriod) {
+            const minutesToOpen = Math.round((nextPeriod.openTime - time) * 60);
+            return {
+                ...baseStatus,
+                type: 'intermission',
+                message: '休憩中',
+                detail: this.formatPeriodStart(nextPeriod),
+                nextPeriod,
+                nextOpen: this.schedule.toDateTime(local, nextPeriod.openTime),
+                minutesToOpen
+            };
+        }
+
+        // 営業終了（時短営業の日もあるため、次回開店は翌日以降から探す）
+        const nextOpen = this.schedule.getNextOpenTime(this.schedule.toDateTime(this.schedule.shiftDay(local, 1), 0));
+        return {
+            ...baseStatus,
+            type: 'closed',
+            message: '営業終了',
+            detail: this.schedule.describeNextOpen(nextOpen, date),
+            nextOpen
+        };
+    }
+
+    /**
+     * 営業時間帯の開始表示（例: "夜の部 17:30〜"）
+     * @param {Object} period - 営業時間帯
+     */
+    formatPeriodStart(period) {
+        const start = `${utils.formatTime(period.openTime)}〜`;
+        return period.label ? `${period.label} ${start}` : start;
+    }
+
+    /**
+     * 自動判定で次に状況が切り替わる時刻を取得
+     * @param {Date} date - 基準日時
+     * @param {Array|null} periods - 営業時間帯（時短営業中の場合。省略時は営業スケジュール）
+     * @returns {Date|null} 開店・ラストオーダー・閉店のうち最も近い時刻
+     */
+    getNextAutoBoundary(date, periods = null) {
+        const local = this.schedule.toLocalDay(date);
+        const dayPeriods = periods || this.schedule.getDaySchedule(local).periods;
+
+        const boundaries = dayPeriods
+            .flatMap(period => [period.openTime, period.lastOrderTime, period.closeTime])
+            .map(time => this.schedule.toDateTime(local, time))
+            .filter(boundary => boundary > date)
+            .sort((a, b) => a - b);
+
+        return boundaries[0] || this.schedule.getNextOpenTime(date);
+    }
+
+    /**
+     * 次に営業状況が切り替わる時刻と、切り替わり後の状況を取得
+     * @param {Array} contents - MicroCMSの営業状況コンテンツ配列
+     * @param {Date} at - 基準日時
+     * @param {number} maxSteps - 確認する候補時刻の上限
+     * @returns {Object|null} { at, status }
+     */
+    getNextTransition(contents, at = new Date(), maxSteps = 20) {
+        const current = this.resolve(contents, at);
+        let cursor = at;
+
+        for (let i = 0; i < maxSteps; i++) {
+            // 自動判定（時短営業中はその営業時間）の境界と、
+            // 手動設定の開始・終了時刻（繰り返しは直近の発生期間）を候補にする
+            const active = this.findActiveOverride(contents, cursor);
+            const customPeriods = active && toSchedulePeriods(active.customHours);
+            const candidates = [this.getNextAutoBoundary(cursor, customPeriods)];
+            const horizon = new Date(cursor.getTime() + 31 * 86400000);
+            (contents || []).forEach(item => {
+                if (parseRecurrence(item.recurrence)) {
+                    getOccurrences(item, cursor, horizon, this.schedule.timeZone).forEach(({ start, end }) => {
+                        candidates.push(start, end);
+                    });
+                    return;
+                }
+                [item.startTime, item.endTime].forEach(time => {
+                    if (time) candidates.push(new Date(time));
+                });
+            });
+
+            const next = candidates
+                .filter(time => time && !isNaN(time) && time > cursor)
+                .sort((a, b) => a - b)[0];
+
+            if (!next) return null;
+
+            // 終了時刻ちょうどはまだ有効なため、1秒後の状況で判定
+            const probe = new Date(next.getTime() + 1000);
+            const status = this.resolve(contents, probe);
+            if (status.type !== current.type || status.message !== current.message) {
+                return { at: next, status };
+            }
+
+            cursor = probe;
+        }
+
+        return null;
+    }
+
+    /**
+     * 期間内の営業状況の切り替わりを順に取得
+     * @param {Array} contents - MicroCMSの営業状況コンテンツ配列
+     * @param {Date} from - 開始日時
+     * @param {Date} to - 終了日時
+     * @param {number} maxEntries - 取得する切り替わりの上限
+     * @returns {Array} { at, status } の配列（開始日時の状況は含まない）
+     */
+    getTimeline(contents, from, to, maxEntries = 200) {
+        const timeline = [];
+        let cursor = from;
+
+        while (timeline.length < maxEntries) {
+            const transition = this.getNextTransition(contents, cursor);
+            if (!transition || transition.at > to) break;
+
+            timeline.push(transition);
+            // 切り替わり時刻ちょうどは切り替わり前の状況のため、1秒後から次を探す
+            cursor = new Date(transition.at.getTime() + 1000);
+        }
+
+        return timeline;
+    }
+}
@@ -0,0 +1,209 @@
+// js/status-validation.js - 営業状況の入力検証と期間の重複チェック
+
+import { CONFIG, utils } from './config.js';
+import { parseRecurrence, validateRecurrence, getOccurrences } from './override-recurrence.js';
+import { parseCustomHours, validateCustomHours } from './custom-hours.js';
+
+/**
+ * サーバー（api/business-status.js）と管理画面の両方で使用する検証ルール
+ * エラーは { field, message } の配列で返し、項目ごとに表示できるようにする
+ */
+
+export const STATUS_VALUES = ['closed', 'short', 'special'];
+
+export const PRIORITY_MIN = 1;
+export const PRIORITY_MAX = 100;
+
+const TEXT_MAX_LENGTH = 1000;
+
+// タイムゾーン指定のない日時はサーバーと端末で解釈が変わるため受け付けない
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// 重複チェックで先読みする期間（無期限・繰り返し設定の打ち切り）
+const CONFLICT_WINDOW_DAYS = 366;
+
+/**
+ * 営業状況の入力を検証
+ * @param {Object} data - リクエストボディ
+ * @param {Object} options
+ * @param {boolean} options.partial - 部分更新（PATCH）の場合 true。含まれない項目は検証しない
+ * @param {Object} options.current - 部分更新時の更新前の内容（日時の前後関係などの確認に使用）
+ * @param {Date} options.now - 基準日時（新規作成で startTime 省略時の開始日時）
+ * @returns {Array} { field, message } の配列（正常なら空配列）
+ */
+export function validateStatusEntry(data, { partial = false, current = {}, now = new Date() } = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return [{ field: null, message: 'リクエストボディはオブジェクトで指定してください' }];
+    }
+
+    const errors = [];
+    const has = (field) => data[field] !== undefined;
+    const isEmpty = (value) => value === undefined || value === null || value === '';
+    const add = (field, message) => errors.push({ field, message });
+
+    if (!partial || has('status')) {
+        if (isEmpty(data.status)) {
+            add('status', 'statusは必須項目です');
+        } else if (!STATUS_VALUES.includes(data.status)) {
+            add('status', `statusは${STATUS_VALUES.join(', ')}のいずれかを指定してください`);
+        }
+    }
+
+    for (const field of ['reason', 'message']) {
+        if (isEmpty(data[field])) continue;
+
+        if (typeof data[field] !== 'string') {
+            add(field, `${field}は文字列で指定してください`);
+        } else if (data[field].length > TEXT_MAX_LENGTH) {
+            add(field, `${field}は${TEXT_MAX_LENGTH}文字以内で指定してください`);
+        }
+    }
+
+    if (!isEmpty(data.priority)) {
+        const priority = Number(data.priority);
+        if (!Number.isInteger(priority) || priority < PRIORITY_MIN || priority > PRIORITY_MAX) {
+            add('priority', `priorityは${PRIORITY_MIN}〜${PRIORITY_MAX}の整数で指定してください`);
+        }
+    }
+
+    const dates = {};
+    for (const field of ['startTime', 'endTime']) {
+        if (isEmpty(data[field])) continue;
+
+        if (typeof data[field] !== 'string' || !ISO_DATETIME_PATTERN.test(data[field]) || isNaN(Date.parse(data[field]))) {
+            add(field, `${field}はタイムゾーン付きのISO 8601形式（例: 2025-01-01T09:00:00+09:00）で指定してください`);
+        } else {
+            dates[field] = new Date(data[field]);
+        }
+    }
+
+    // 日時の前後関係（部分更新では指定されなかった側に更新前の値を使う）
+    if (!errors.some(error => error.field === 'startTime' || error.field === 'endTime')) {
+        const resolve = (field) => (has(field) ? dates[field] || null : (current[field] ? new Date(current[field]) : null));
+        const start = resolve('startTime') || (partial ? null : now);
+        const end = resolve('endTime');
+
+        if (start && end && end <= start) {
+            add('endTime', has('startTime') || !partial
+                ? 'endTimeはstartTimeより後の日時を指定してください'
+                : `endTimeは開始日時（${utils.formatDateTime(start)}）より後の日時を指定してください`);
+        }
+    }
+
+    if (!isEmpty(data.customHours)) {
+        const status = has('status') ? data.status : current.status;
+        const error = typeof data.customHours === 'string'
+            ? (parseCustomHours(data.customHours) ? null : 'customHoursは { openTime, closeTime, lastOrderTime } 形式（HH:MM）で指定してください')
+            : (typeof data.customHours === 'object' ? validateCustomHours(data.customHours) : 'customHoursはオブジェクトまたは配列で指定してください');
+
+        if (error) {
+            add('customHours', error);
+        } else if (status && status !== 'short') {
+            add('customHours', 'customHoursはstatusがshortの場合のみ指定できます');
+        }
+    }
+
+    if (!isEmpty(data.recurrence)) {
+        let rule = data.recurrence;
+        if (typeof rule === 'string') {
+            try {
+                rule = JSON.parse(rule);
+            } catch {
+                rule = undefined;
+            }
+        }
+
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            add('recurrence', 'recurrenceは有効なJSONオブジェクトで指定してください');
+        } else {
+            const error = validateRecurrence(rule);
+            if (error) add('recurrence', error);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * 他の営業状況との期間の重複を検出（現在時刻以降のみ）
+ * @param {Object} entry - 検査する営業状況（作成・更新後の内容。更新時は id を含める）
+ * @param {Array} others - 既存の営業状況（entry と同じIDのものは除外）
+ * @param {Object} options - { now, timeZone }
+ * @returns {Array} 重複の配列 { id, status, reason, priority, start, end, severity, message }
+ *   severity: 'error'   同じ優先度のため、重複期間にどちらが表示されるか決まらない
+ *             'warning' 優先度の高い方が表示される
+ */
+export function findConflicts(entry, others, { now = new Date(), timeZone = CONFIG.business.timezone } = {}) {
+    const from = entry.startTime && new Date(entry.startTime) > now ? new Date(entry.startTime) : now;
+    const limit = new Date(from.getTime() + CONFLICT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const to = entry.endTime && new Date(entry.endTime) < limit ? new Date(entry.endTime) : limit;
+    if (to <= from) return [];
+
+    const own = getOccurrences(entry, from, to, timeZone);
+    if (own.length === 0) return [];
+
+    const priority = Number(entry.priority) || 1;
+    const label = (item) => item.reason || item.status;
+
+    return (others || [])
+        .filter(other => other.id !== entry.id)
+        .map(other => {
+            const overlap = findFirstOverlap(own, getOccurrences(other, from, to, timeZone));
+            if (!overlap) return null;
+
+            const otherPriority = Number(other.priority) || 1;
+            const start = overlap.start < from ? from : overlap.start;
+            const period = `${utils.formatDateTime(start)}〜${utils.formatDateTime(overlap.end)}`;
+
+            let severity = 'warning';
+            let message;
+            if (otherPriority === priority) {
+                severity = 'error';
+                message = `「${label(other)}」と期間が重複し（${period}）、優先度（${priority}）が同じためどちらが表示されるか決まりません`;
+            } else if (otherPriority > priority) {
+                message = `「${label(other)}」と期間が重複しています（${period}）。重複期間は優先度の高い「${label(other)}」が表示されます`;
+            } else {
+                message = `「${label(other)}」と期間が重複しています（${period}）。重複期間はこの設定が表示されます`;
+            }
+
+            return {
+                id: other.id,
+                status: other.status,
+                reason: other.reason || '',
+                priority: otherPriority,
+                recurring: Boolean(parseRecurrence(other.recurrence)),
+                start: start.toISOString(),
+                end: overlap.end.toISOString(),
+                severity,
+                message
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => (a.severity === b.severity ? new Date(a.start) - new Date(b.start) : a.severity === 'error' ? -1 : 1));
+}
+
+/**
+ * 2つの発生期間リスト（開始日時順）から最初の重複期間を取得
+ * @returns {Object|null} { start, end }
+ */
+function findFirstOverlap(a, b) {
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+        const start = a[i].start > b[j].start ? a[i].start : b[j].start;
+        const end = a[i].end < b[j].end ? a[i].end : b[j].end;
+        if (start < end) {
+            return { start, end };
+        }
+
+        // 先に終わる方を進める
+        if (a[i].end < b[j].end) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,178 @@
+// js/text-search.js - 日本語の表記ゆれを吸収した文字列検索
+
+/**
+ * 検索語と本文を同じ規則で正規化して部分一致を判定する
+ * サーバー（/api/news の絞り込み）とブラウザ（検索語のハイライト）で同じ結果になるよう DOM に依存しない
+ *
+ * 正規化の規則
+ * - NFKC（全角英数字・記号 → 半角、半角カタカナ → 全角、「ｶﾞ」「か + 濁点」→「が」）
+ * - 英字の大文字・小文字を区別しない
+ * - カタカナ → ひらがな（「ランチ」と「らんち」を同一視）
+ * - 連続する空白は1つにまとめる
+ *
+ * 検索語は空白で区切り、すべての語を含むものを一致とする（AND検索）
+ */
+
+// 1文字として扱う結合文字（濁点・半濁点・結合用の記号）
+const COMBINING_PATTERN = /^[゙゚ﾞﾟ\p{M}]$/u;
+
+// 検索語の最大数
+const MAX_TERMS = 10;
+
+/**
+ * 文字列の正規化
+ * @param {*} text - 対象（文字列以外は空文字）
+ * @returns {string} 正規化した文字列
+ */
+export function normalizeSearchText(text) {
+    return mapNormalized(text).text;
+}
+
+/**
+ * 検索語を正規化して語ごとに分割
+ * @param {*} query - 検索語
+ * @returns {string[]} 正規化した検索語（重複なし）
+ */
+export function parseSearchQuery(query) {
+    const terms = normalizeSearchText(query).split(' ').filter(Boolean);
+    return [...new Set(terms)].slice(0, MAX_TERMS);
+}
+
+/**
+ * いずれかの文字列にすべての検索語が含まれるか
+ * （語ごとに別の項目で一致してもよい。例: タイトルに「ランチ」、本文に「限定」）
+ * @param {Array<string>} texts - 検索対象の文字列
+ * @param {string[]} terms - parseSearchQuery() の結果
+ */
+export function matchesSearch(texts, terms) {
+    if (terms.length === 0) return true;
+
+    const normalized = texts.map(normalizeSearchText);
+    return terms.every(term => normalized.some(text => text.includes(term)));
+}
+
+/**
+ * 検索語に一致する範囲（元の文字列での位置）
+ * @param {string} text - 対象
+ * @param {string[]} terms - parseSearchQuery() の結果
+ * @returns {Array<[number, number]>} [開始, 終了] の配列（重なる範囲はまとめる）
+ */
+export function findSearchMatches(text, terms) {
+    const { text: normalized, starts, ends } = mapNormalized(text);
+    const ranges = [];
+
+    terms.forEach(term => {
+        let index = normalized.indexOf(term);
+        while (index !== -1) {
+            ranges.push([starts[index], ends[index + term.length - 1]]);
+            index = normalized.indexOf(term, index + term.length);
+        }
+    });
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+        return merged;
+    }, []);
+}
+
+/**
+ * 検索語の周辺を切り出した抜粋
+ * 一致しない場合は先頭から切り出す
+ * @param {string} text - 対象（プレーンテキスト）
+ * @param {string[]} terms - parseSearchQuery() の結果
+ * @param {number} maxLength - 最大文字数
+ */
+export function createSearchExcerpt(text, terms, maxLength) {
+    if (typeof text !== 'string') return '';
+    if (text.length <= maxLength) return text;
+
+    const [first] = findSearchMatches(text, terms);
+    // 一致箇所の前に少し文脈を残す
+    const start = first ? Math.max(0, Math.min(first[0] - Math.floor(maxLength / 4), text.length - maxLength)) : 0;
+    const end = start + maxLength;
+
+    return `${start > 0 ? '…' : ''}${text.substring(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * 検索語を <mark> で囲んだHTML（テキストはエスケープする）
+ * @param {string} text - 対象（エスケープされていないテキスト）
+ * @param {string[]} terms - parseSearchQuery() の結果
+ */
+export function highlightSearchMatches(text, terms) {
+    if (typeof text !== 'string') return '';
+
+    let html = '';
+    let position = 0;
+    findSearchMatches(text, terms).forEach(([start, end]) => {
+        html += `${escapeHtml(text.slice(position, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * 正規化した文字列と、その各文字に対応する元の文字列の範囲
+ * @returns {Object} { text, starts, ends }
+ */
+function mapNormalized(value) {
+    const source = typeof value === 'string' ? value : '';
+    const starts = [];
+    const ends = [];
+    let text = '';
+    let index = 0;
+
+    while (index < source.length) {
+        // 基底の文字と後続の結合文字をまとめて正規化する
+        let end = index + String.fromCodePoint(source.codePointAt(index)).length;
+        while (end < source.length) {
+            const next = String.fromCodePoint(source.codePointAt(end));
+            if (!COMBINING_PATTERN.test(next)) break;
+            end += next.length;
+        }
+
+        let normalized = toHiragana(source.slice(index, end).normalize('NFKC').toLowerCase()).replace(/\s+/g, ' ');
+        // 連続する空白は1つにまとめる
+        if (normalized === ' ' && (text.length === 0 || text.endsWith(' '))) {
+            normalized = '';
+        }
+
+        for (let i = 0; i < normalized.length; i++) {
+            starts.push(index);
+            ends.push(end);
+        }
+        text += normalized;
+        index = end;
+    }
+
+    // 末尾の空白は除く（先頭の空白は上でまとめて除いている）
+    if (text.endsWith(' ')) {
+        text = text.slice(0, -1);
+        starts.pop();
+        ends.pop();
+    }
+
+    return { text, starts, ends };
+}
+
+/**
+ * カタカナをひらがなに変換（ヴ・ヵ・ヶ など対応するひらがながある文字のみ）
+ */
+function toHiragana(text) {
+    return text.replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
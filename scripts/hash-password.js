@@ -0,0 +1,62 @@
+// scripts/hash-password.js - 管理者アカウント用パスワードハッシュ作成スクリプト
+
+import readline from 'readline';
+import { hashPassword } from '../api/_lib/auth.js';
+
+/**
+ * ADMIN_USERS 環境変数に設定する passwordHash を作成する
+ *
+ *   npm run hash-password                 対話入力（入力内容は表示しない）
+ *   npm run hash-password -- <username> <role>   ADMIN_USERS の1要素として出力
+ */
+async function main() {
+    const [username, role = 'staff'] = process.argv.slice(2);
+
+    const password = await promptHidden('パスワード: ');
+    const confirm = await promptHidden('パスワード（確認）: ');
+
+    if (password !== confirm) {
+        console.error('❌ パスワードが一致しません');
+        process.exit(1);
+    }
+
+    if (password.length < 12) {
+        console.error('❌ パスワードは12文字以上にしてください');
+        process.exit(1);
+    }
+
+    const passwordHash = hashPassword(password);
+
+    if (username) {
+        console.log(JSON.stringify({ username, displayName: username, role, passwordHash }));
+    } else {
+        console.log(passwordHash);
+    }
+}
+
+/**
+ * 入力内容を画面に表示せずに1行読み込む
+ */
+function promptHidden(question) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+        // 入力中の文字をエコーしない
+        rl._writeToOutput = (text) => {
+            if (text.includes(question)) {
+                rl.output.write(text);
+            }
+        };
+
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+main().catch(error => {
+    console.error('❌ ハッシュの作成に失敗しました:', error.message);
+    process.exit(1);
+});
@@ -3,6 +3,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { parseRecurrence, getOccurrences } from '../public/js/override-recurrence.js';
 
 // .envファイルの読み込み（開発環境用）
 dotenv.config();
@@ -10,6 +11,9 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// 繰り返し設定を展開する期間（日）
+const EXPAND_DAYS = 14;
+
 async function fetchBusinessStatus() {
   const apiKey = process.env.MICROCMS_API_KEY || process.env.MICROCMS_BUSINESS_STATUS_API_KEY;
   const domain = process.env.MICROCMS_SERVICE_DOMAIN;
@@ -41,6 +45,30 @@ async function fetchBusinessStatus() {
   }
 }
 
+/**
+ * 繰り返し設定の営業状況を、直近の発生期間ごとの単発エントリーに展開
+ * （ブラウザ側はキャッシュをそのまま findActiveOverride に渡せる）
+ */
+function expandRecurringEntries(contents) {
+  const from = new Date();
+  const to = new Date(from.getTime() + EXPAND_DAYS * 24 * 60 * 60 * 1000);
+
+  return contents.flatMap(item => {
+    if (!parseRecurrence(item.recurrence)) {
+      return [item];
+    }
+
+    return getOccurrences(item, from, to).map(({ start, end }) => ({
+      ...item,
+      id: `${item.id}:${start.toISOString()}`,
+      sourceId: item.id,
+      startTime: start.toISOString(),
+      endTime: end.toISOString(),
+      recurrence: null
+    }));
+  });
+}
+
 async function main() {
   console.log('📦 営業状況をプリフェッチ中...');
   
@@ -57,7 +85,7 @@ async function main() {
   
   // タイムスタンプとデータを保存
   const output = {
-    contents: data.contents || [],
+    contents: expandRecurringEntries(data.contents || []),
     totalCount: data.totalCount || 0,
     fetchedAt: new Date().toISOString(),
     cached: true
@@ -72,6 +100,11 @@ async function main() {
   console.log(`✅ 営業状況をキャッシュしました: ${outputPath}`);
   console.log(`   - ${output.contents.length}件のデータ`);
   
+  const recurringCount = (data.contents || []).filter(item => parseRecurrence(item.recurrence)).length;
+  if (recurringCount > 0) {
+    console.log(`   - 繰り返し設定${recurringCount}件を${EXPAND_DAYS}日分展開`);
+  }
+  
   if (output.contents.length > 0) {
     const status = output.contents[0];
     console.log(`   - 状態: ${status.status}`);
@@ -0,0 +1,201 @@
+// test/auth.test.js - 管理者アカウントとセッショントークン
+
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+    hashPassword, verifyPassword, findUserByCredentials, issueSessionToken, verifySessionToken,
+    revokeSession, revokeUserSessions, authenticate, hasPermission, SESSION_TTL
+} from '../api/_lib/auth.js';
+import { MemoryStore, setStore } from '../api/_lib/rate-limit.js';
+import { createSharedStore } from './helpers/store.js';
+
+process.env.SESSION_SECRET = 'test-session-secret-0123456789abcdef';
+
+const PASSWORD_HASH = hashPassword('correct horse');
+const USERS = [
+    { username: 'tanaka', displayName: '田中', role: 'owner', passwordHash: PASSWORD_HASH },
+    { username: 'suzuki', role: 'staff', passwordHash: PASSWORD_HASH }
+];
+
+beforeEach(() => {
+    process.env.ADMIN_USERS = JSON.stringify(USERS);
+    delete process.env.ADMIN_TOKEN;
+    setStore(createSharedStore());
+});
+
+// 発行時刻と失効時刻が同じミリ秒にならないよう待つ
+function tick() {
+    return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+function bearer(token) {
+    return { headers: { authorization: `Bearer ${token}` } };
+}
+
+test('パスワードのハッシュを照合する', () => {
+    assert.match(PASSWORD_HASH, /^scrypt\$/);
+    assert.notEqual(hashPassword('correct horse'), PASSWORD_HASH);
+    assert.equal(verifyPassword('correct horse', PASSWORD_HASH), true);
+    assert.equal(verifyPassword('wrong', PASSWORD_HASH), false);
+    assert.equal(verifyPassword('correct horse', 'plain-text'), false);
+});
+
+test('ユーザー名とパスワードでログインする', () => {
+    assert.equal(findUserByCredentials('tanaka', 'correct horse').username, 'tanaka');
+    assert.equal(findUserByCredentials('tanaka', 'wrong'), null);
+    assert.equal(findUserByCredentials('nobody', 'correct horse'), null);
+});
+
+test('発行したトークンを検証する', async () => {
+    const { token, payload } = issueSessionToken(USERS[0]);
+    assert.equal(payload.exp - payload.iat, SESSION_TTL);
+
+    const result = await verifySessionToken(token);
+    assert.equal(result.valid, true);
+    assert.equal(result.payload.sub, 'tanaka');
+    assert.equal(result.user.role, 'owner');
+});
+
+test('改ざん・別の鍵で署名したトークンは無効', async () => {
+    const { token } = issueSessionToken(USERS[1]);
+    const [body, signature] = token.split('.');
+
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...payload, role: 'owner' })).toString('base64url');
+    assert.equal((await verifySessionToken(`${forged}.${signature}`)).valid, false);
+    assert.equal((await verifySessionToken(body)).valid, false);
+    assert.equal((await verifySessionToken('')).valid, false);
+
+    process.env.SESSION_SECRET = 'another-session-secret-0123456789abcdef';
+    try {
+        assert.equal((await verifySessionToken(token)).valid, false);
+    } finally {
+        process.env.SESSION_SECRET = 'test-session-secret-0123456789abcdef';
+    }
+});
+
+test('有効期限が切れたトークンは無効', async () => {
+    const { token } = issueSessionToken(USERS[0]);
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + (SESSION_TTL + 1) * 1000);
+    try {
+        const result = await verifySessionToken(token);
+        assert.equal(result.valid, false);
+        assert.equal(result.expired, true);
+    } finally {
+        mock.restoreAll();
+    }
+});
+
+test('削除されたアカウントのトークンは無効', async () => {
+    const { token } = issueSessionToken(USERS[1]);
+    process.env.ADMIN_USERS = JSON.stringify([USERS[0]]);
+    assert.equal((await verifySessionToken(token)).valid, false);
+});
+
+test('ログアウトしたトークンのみ無効になる', async () => {
+    const first = issueSessionToken(USERS[0]);
+    const second = issueSessionToken(USERS[0]);
+
+    await revokeSession(first.payload);
+    assert.equal((await verifySessionToken(first.token)).valid, false);
+    assert.equal((await verifySessionToken(second.token)).valid, true);
+});
+
+test('ユーザー単位の失効で、それまでに発行したトークンが無効になる', async () => {
+    const tanaka = issueSessionToken(USERS[0]);
+    const suzuki = issueSessionToken(USERS[1]);
+
+    await tick();
+    await revokeUserSessions('tanaka');
+    assert.equal((await verifySessionToken(tanaka.token)).valid, false);
+    assert.equal((await verifySessionToken(suzuki.token)).valid, true);
+});
+
+test('失効の確認に失敗した場合は拒否する', async () => {
+    const { token } = issueSessionToken(USERS[0]);
+    setStore({ get: async () => { throw new Error('down'); } });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.equal((await verifySessionToken(token)).valid, false);
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('ロールごとの権限', () => {
+    assert.equal(hasPermission('owner', 'sessions:revoke'), true);
+    assert.equal(hasPermission('staff', 'status:write'), true);
+    assert.equal(hasPermission('staff', 'sessions:revoke'), false);
+    assert.equal(hasPermission('read-only', 'status:write'), false);
+    assert.equal(hasPermission('unknown', 'status:read'), false);
+});
+
+test('Authorization ヘッダーのトークンで認証する', async () => {
+    const { token } = issueSessionToken(USERS[0]);
+
+    const result = await authenticate(bearer(token));
+    assert.equal(result.authorized, true);
+    assert.deepEqual(result.user, { username: 'tanaka', displayName: '田中', role: 'owner' });
+    assert.equal((await authenticate({ headers: {} })).authorized, false);
+    assert.equal((await authenticate(bearer('invalid'))).authorized, false);
+});
+
+test('ADMIN_USERS が未設定の場合のみ共有トークンを受け付ける', async () => {
+    process.env.ADMIN_TOKEN = 'legacy-token';
+    assert.equal((await authenticate(bearer('legacy-token'))).authorized, false);
+
+    delete process.env.ADMIN_USERS;
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal((await authenticate(bearer('legacy-token'))).user.role, 'owner');
+        assert.equal((await authenticate(bearer('wrong-token'))).authorized, false);
+    } finally {
+        console.warn = originalWarn;
+    }
+});
+
+test('ユーザー単位の失効と同じミリ秒以降に発行したトークンは有効', async () => {
+    const now = Date.now();
+    const clock = mock.method(Date, 'now', () => now - 1);
+    try {
+        const before = issueSessionToken(USERS[0]);
+
+        clock.mock.mockImplementation(() => now);
+        await revokeUserSessions('tanaka');
+        const after = issueSessionToken(USERS[0]);
+
+        assert.equal(after.payload.iatMs, now);
+        assert.equal((await verifySessionToken(before.token)).valid, false);
+        assert.equal((await verifySessionToken(after.token)).valid, true);
+    } finally {
+        mock.restoreAll();
+    }
+});
+
+test('ユーザー単位の失効後は、ミリ秒の発行時刻を持たないトークンを無効とする', async () => {
+    const { payload } = issueSessionToken(USERS[0]);
+    const { iatMs, ...withoutMs } = payload;
+    const body = Buffer.from(JSON.stringify({ ...withoutMs, iat: Math.floor(iatMs / 1000) + 60 })).toString('base64url');
+    const token = `${body}.${crypto.createHmac('sha256', process.env.SESSION_SECRET).update(body).digest('base64url')}`;
+
+    assert.equal((await verifySessionToken(token)).valid, true);
+    await revokeUserSessions('tanaka');
+    assert.equal((await verifySessionToken(token)).valid, false);
+});
+
+test('共有ストアがなければトークンの発行・失効を 503 で拒否する', async () => {
+    setStore(new MemoryStore());
+    mock.method(console, 'error', () => {});
+    try {
+        const rejected = { name: 'ApiError', status: 503, error: 'Session store not configured' };
+        assert.throws(() => issueSessionToken(USERS[0]), rejected);
+        await assert.rejects(revokeUserSessions('tanaka'), rejected);
+        await assert.rejects(revokeSession({ jti: 'x', exp: Math.floor(Date.now() / 1000) + 60 }), rejected);
+    } finally {
+        mock.restoreAll();
+    }
+});
@@ -0,0 +1,210 @@
+// test/business-schedule.test.js - 曜日別の営業スケジュール
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BusinessSchedule } from '../public/js/business-schedule.js';
+
+// 日時は店舗と同じ日本時間で扱う
+process.env.TZ = 'Asia/Tokyo';
+
+const CONFIG = {
+    defaultHours: { openTime: 11, closeTime: 21, lastOrderTime: 20.5 },
+    weeklySchedule: {
+        0: { openTime: 11, closeTime: 20, lastOrderTime: 19.5 },
+        6: { openTime: 11, closeTime: 22, lastOrderTime: 21.5 }
+    },
+    holidayEveHours: { openTime: 11, closeTime: 22, lastOrderTime: 21.5 },
+    closedDays: [1]
+};
+
+const schedule = new BusinessSchedule(CONFIG);
+
+function jst(value) {
+    return new Date(`${value}+09:00`);
+}
+
+test('曜日別の営業時間を使い、設定のない曜日は基本の営業時間', () => {
+    assert.deepEqual(schedule.getHoursForDay(0), [{ label: '', ...CONFIG.weeklySchedule[0] }]);
+    assert.deepEqual(schedule.getHoursForDay(6), [{ label: '', ...CONFIG.weeklySchedule[6] }]);
+    assert.deepEqual(schedule.getHoursForDay(2), [{ label: '', ...CONFIG.defaultHours }]);
+    assert.equal(schedule.getHoursForDay(1), null);
+});
+
+test('定休日は複数指定できる', () => {
+    const closedTwice = new BusinessSchedule({ ...CONFIG, closedDays: [1, 2] });
+
+    for (const date of ['2025-06-02T12:00:00', '2025-06-03T12:00:00']) {
+        const day = closedTwice.getDaySchedule(jst(date));
+        assert.equal(day.isOpenDay, false);
+        assert.equal(day.reason, '定休日');
+    }
+    assert.equal(closedTwice.getDaySchedule(jst('2025-06-04T12:00:00')).isOpenDay, true);
+});
+
+test('祝前日は曜日別の設定より祝前日の営業時間を優先する', () => {
+    // 2025-11-02（日）は文化の日の前日
+    const eve = schedule.getDaySchedule(jst('2025-11-02T12:00:00'));
+    assert.equal(eve.isOpenDay, true);
+    assert.equal(eve.isHolidayEve, true);
+    assert.equal(eve.closeTime, 22);
+
+    const sunday = schedule.getDaySchedule(jst('2025-06-08T12:00:00'));
+    assert.equal(sunday.isHolidayEve, false);
+    assert.equal(sunday.closeTime, 20);
+});
+
+test('祝日は営業方針に従い、既定では曜日どおりに営業する', () => {
+    // 2025-05-05（月）こどもの日は定休日、2025-05-06（火）振替休日は通常営業
+    const childrensDay = schedule.getDaySchedule(jst('2025-05-05T12:00:00'));
+    assert.equal(childrensDay.isOpenDay, false);
+    assert.equal(childrensDay.reason, '定休日');
+    assert.equal(childrensDay.holidayName, 'こどもの日');
+
+    const substitute = schedule.getDaySchedule(jst('2025-05-06T12:00:00'));
+    assert.equal(substitute.isOpenDay, true);
+    assert.equal(substitute.holidayName, '振替休日');
+    assert.equal(substitute.closeTime, 21);
+
+    const withPolicies = new BusinessSchedule({
+        ...CONFIG,
+        holidays: {
+            defaultPolicy: 'closed',
+            policies: {
+                '文化の日': 'open',
+                '元日': { policy: 'special', hours: [{ openTime: 12, closeTime: 15 }] }
+            }
+        }
+    });
+
+    const respectForAged = withPolicies.getDaySchedule(jst('2025-09-15T12:00:00'));
+    assert.equal(respectForAged.isOpenDay, false);
+    assert.equal(respectForAged.reason, '祝日');
+
+    // 'open' は定休日の曜日でも営業する
+    const cultureDay = withPolicies.getDaySchedule(jst('2025-11-03T12:00:00'));
+    assert.equal(cultureDay.isOpenDay, true);
+    assert.equal(cultureDay.holidayName, '文化の日');
+    assert.equal(cultureDay.closeTime, 21);
+
+    const newYear = withPolicies.getDaySchedule(jst('2026-01-01T12:00:00'));
+    assert.equal(newYear.openTime, 12);
+    assert.equal(newYear.closeTime, 15);
+});
+
+test('年をまたぐ長期休業期間は祝日・曜日より優先する', () => {
+    const withBreak = new BusinessSchedule({
+        ...CONFIG,
+        holidays: { defaultPolicy: 'open' },
+        closedPeriods: [{ start: '12-29', end: '01-03', label: '年末年始' }]
+    });
+
+    for (const date of ['2025-12-29', '2025-12-31', '2026-01-01', '2026-01-03']) {
+        const day = withBreak.getDaySchedule(jst(`${date}T12:00:00`));
+        assert.equal(day.reason, '休業期間', date);
+        assert.equal(day.closedPeriod.label, '年末年始');
+    }
+    assert.equal(withBreak.getDaySchedule(jst('2025-12-28T12:00:00')).isOpenDay, true);
+    assert.deepEqual(withBreak.getNextOpenTime(jst('2025-12-28T21:00:00')), jst('2026-01-04T11:00:00'));
+});
+test('次の開店時刻は定休日を飛ばして探す', () => {
+    assert.deepEqual(schedule.getNextOpenTime(jst('2025-06-03T09:00:00')), jst('2025-06-03T11:00:00'));
+    assert.deepEqual(schedule.getNextOpenTime(jst('2025-06-03T21:30:00')), jst('2025-06-04T11:00:00'));
+    // 日曜の閉店後は月曜（定休日）を飛ばして火曜
+    assert.deepEqual(schedule.getNextOpenTime(jst('2025-06-08T20:30:00')), jst('2025-06-10T11:00:00'));
+
+    const alwaysClosed = new BusinessSchedule({ ...CONFIG, closedDays: [0, 1, 2, 3, 4, 5, 6] });
+    assert.equal(alwaysClosed.getNextOpenTime(jst('2025-06-03T09:00:00')), null);
+});
+
+test('次の開店時刻を本日・明日・日付で表示する', () => {
+    const describe = (from) => schedule.describeNextOpen(schedule.getNextOpenTime(jst(from)), jst(from));
+
+    assert.equal(describe('2025-06-03T09:00:00'), '本日11:00より営業');
+    assert.equal(describe('2025-06-03T21:30:00'), '明日11:00より営業');
+    assert.equal(describe('2025-06-08T20:30:00'), '6/10(火)11:00より営業');
+    assert.equal(schedule.describeNextOpen(null, jst('2025-06-03T09:00:00')), '営業再開日は改めてお知らせいたします');
+});
+
+// 昼の部と夜の部の間に中休みを挟む設定
+const SPLIT = {
+    ...CONFIG,
+    defaultHours: [
+        { label: '夜の部', openTime: 17.5, closeTime: 21 },
+        { label: '昼の部', openTime: 11, closeTime: 14.5, lastOrderTime: 14 }
+    ]
+};
+
+test('営業時間帯は開店時刻順に並べ、ラストオーダーがなければ閉店時刻', () => {
+    const split = new BusinessSchedule(SPLIT);
+
+    assert.deepEqual(split.getHoursForDay(2), [
+        { label: '昼の部', openTime: 11, closeTime: 14.5, lastOrderTime: 14 },
+        { label: '夜の部', openTime: 17.5, closeTime: 21, lastOrderTime: 21 }
+    ]);
+
+    // 1日全体は最初の開店から最後の閉店まで
+    const day = split.getDaySchedule(jst('2025-06-03T12:00:00'));
+    assert.equal(day.periods.length, 2);
+    assert.equal(day.openTime, 11);
+    assert.equal(day.closeTime, 21);
+    assert.equal(day.lastOrderTime, 21);
+});
+
+test('中休み中の次の開店時刻は夜の部の開始', () => {
+    const split = new BusinessSchedule(SPLIT);
+
+    assert.deepEqual(split.getNextOpenTime(jst('2025-06-03T12:00:00')), jst('2025-06-03T17:30:00'));
+    assert.deepEqual(split.getNextOpenTime(jst('2025-06-03T15:00:00')), jst('2025-06-03T17:30:00'));
+    assert.deepEqual(split.getNextOpenTime(jst('2025-06-03T18:00:00')), jst('2025-06-04T11:00:00'));
+    assert.equal(split.describeNextOpen(jst('2025-06-03T17:30:00'), jst('2025-06-03T15:00:00')), '本日17:30より営業');
+});
+
+test('時間帯がない日は休業として扱う', () => {
+    const empty = new BusinessSchedule({ ...CONFIG, weeklySchedule: { 2: [] } });
+    const day = empty.getDaySchedule(jst('2025-06-03T12:00:00'));
+
+    assert.equal(day.isOpenDay, false);
+    assert.deepEqual(day.periods, []);
+    assert.deepEqual(empty.getNextOpenTime(jst('2025-06-03T09:00:00')), jst('2025-06-04T11:00:00'));
+});
+
+test('1週間分の営業時間を曜日順に返す', () => {
+    const weekly = schedule.getWeeklySchedule();
+
+    assert.equal(weekly.length, 7);
+    assert.deepEqual(weekly.map(day => day.day), ['日', '月', '火', '水', '木', '金', '土']);
+    assert.equal(weekly[1].status, '定休日');
+    assert.equal(weekly[1].openTime, null);
+    assert.equal(weekly[0].closeTime, '20:00');
+    assert.equal(weekly[2].closeTime, '21:00');
+    assert.equal(weekly[6].closeTime, '22:00');
+    assert.equal(weekly[6].lastOrderTime, '21:30');
+    assert.deepEqual(weekly[1].periods, []);
+
+    const split = new BusinessSchedule(SPLIT).getWeeklySchedule();
+    assert.equal(split[2].openTime, '11:00');
+    assert.equal(split[2].closeTime, '21:00');
+    assert.deepEqual(split[2].periods.map(period => `${period.label} ${period.openTime}-${period.closeTime}`), [
+        '昼の部 11:00-14:30',
+        '夜の部 17:30-21:00'
+    ]);
+});
+
+test('暦日は実行環境ではなく店舗のタイムゾーンで判定する', () => {
+    process.env.TZ = 'UTC';
+    try {
+        // 2025-06-08 15:30 UTC は日本時間で 6/9（月）0:30
+        const now = new Date('2025-06-08T15:30:00Z');
+        assert.deepEqual(
+            { ...schedule.toLocalDay(now) },
+            { year: 2025, month: 6, day: 9, weekday: 1, hour: 0, minute: 30, second: 0 }
+        );
+        assert.equal(schedule.getDaySchedule(now).reason, '定休日');
+
+        const nextOpen = schedule.getNextOpenTime(now);
+        assert.deepEqual(nextOpen, new Date('2025-06-10T02:00:00Z'));
+        assert.equal(schedule.describeNextOpen(nextOpen, now), '明日11:00より営業');
+    } finally {
+        process.env.TZ = 'Asia/Tokyo';
+    }
+});
@@ -0,0 +1,225 @@
+// test/feed.test.js - ニュースのフィード（RSS 2.0 / Atom / JSON Feed）
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeMicroCMS } from './helpers/microcms.js';
+import { invoke } from './helpers/http.js';
+import rssHandler from '../api/news/feed.xml.js';
+import atomHandler from '../api/news/atom.xml.js';
+import jsonHandler from '../api/news/feed.json.js';
+
+process.env.ALLOWED_ORIGIN = 'https://shop.example';
+process.env.MICROCMS_SERVICE_DOMAIN = 'test';
+process.env.MICROCMS_API_KEY = 'test-api-key';
+
+let fake;
+
+beforeEach(() => {
+    process.env.SITE_URL = 'https://shop.example';
+    fake = installFakeMicroCMS();
+    fake.add('news', {
+        id: 'lunch',
+        title: 'ランチ & <ディナー> "限定"',
+        content: '<p>新メニューのお知らせ</p>',
+        category: ['event'],
+        image: { url: 'https://images.microcms-assets.io/assets/lunch.png?w=800' },
+        publishedAt: '2025-06-01T00:00:00.000Z',
+        updatedAt: '2025-06-02T03:00:00.000Z'
+    });
+});
+
+afterEach(() => {
+    fake.restore();
+});
+
+// 要素のテキスト（最初の1件）
+function elementText(xml, name) {
+    const match = new RegExp(`<${name}[^>]*>([\\s\\S]*?)</${name}>`).exec(xml);
+    return match ? match[1] : null;
+}
+
+test('RSS 2.0 の記事は SITE_URL を基準にしたURLとエスケープしたタイトルを持つ', async () => {
+    const res = await invoke(rssHandler, { url: '/api/news/feed.xml' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'application/rss+xml; charset=utf-8');
+    assert.match(res.body, /<atom:link href="https:\/\/shop\.example\/api\/news\/feed\.xml" rel="self"/);
+
+    const item = elementText(res.body, 'item');
+    assert.equal(elementText(item, 'title'), 'ランチ &amp; &lt;ディナー&gt; &quot;限定&quot;');
+    assert.equal(elementText(item, 'link'), 'https://shop.example/news/lunch');
+    assert.equal(elementText(item, 'guid'), 'https://shop.example/news/lunch');
+    assert.equal(elementText(item, 'pubDate'), 'Sun, 01 Jun 2025 00:00:00 GMT');
+    assert.equal(elementText(item, 'category'), 'イベント');
+    assert.match(item, /<enclosure url="https:\/\/images\.microcms-assets\.io\/assets\/lunch\.png\?w=800" length="0" type="image\/png"\/>/);
+    assert.equal(elementText(res.body, 'lastBuildDate'), 'Mon, 02 Jun 2025 03:00:00 GMT');
+});
+
+test('本文のHTMLはエスケープして埋め込む', async () => {
+    const res = await invoke(rssHandler, { url: '/api/news/feed.xml' });
+    const encoded = elementText(res.body, 'content:encoded');
+
+    assert.ok(!encoded.includes('<'));
+    assert.match(encoded, /^&lt;p&gt;新メニューのお知らせ&lt;\/p&gt;$/);
+});
+
+test('記事のIDはURLエンコードする', async () => {
+    fake.add('news', { id: 'a b/c', title: 'ID', content: '', publishedAt: '2025-07-01T00:00:00.000Z' });
+
+    const res = await invoke(rssHandler, { url: '/api/news/feed.xml' });
+    assert.equal(elementText(elementText(res.body, 'item'), 'link'), 'https://shop.example/news/a%20b%2Fc');
+});
+
+test('新しい順に最大20件を取得する', async () => {
+    await invoke(rssHandler, { url: '/api/news/feed.xml' });
+
+    const request = fake.requests.find(({ url }) => url.pathname === '/api/v1/news');
+    assert.equal(request.url.searchParams.get('limit'), '20');
+    assert.equal(request.url.searchParams.get('orders'), '-publishedAt');
+});
+
+test('Atom のエントリーはカテゴリーと画像のリンクを持つ', async () => {
+    const res = await invoke(atomHandler, { url: '/api/news/atom.xml' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'application/atom+xml; charset=utf-8');
+
+    const entry = elementText(res.body, 'entry');
+    assert.equal(elementText(entry, 'id'), 'https://shop.example/news/lunch');
+    assert.equal(elementText(entry, 'updated'), '2025-06-02T03:00:00.000Z');
+    assert.match(entry, /<category term="event" label="イベント"\/>/);
+    assert.match(entry, /<link rel="enclosure" type="image\/png" href="https:\/\/images\.microcms-assets\.io\/assets\/lunch\.png\?w=800"\/>/);
+});
+
+test('JSON Feed はエスケープせずに値を持つ', async () => {
+    const res = await invoke(jsonHandler, { url: '/api/news/feed.json' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'application/feed+json; charset=utf-8');
+
+    const feed = JSON.parse(res.body);
+    assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+    assert.equal(feed.feed_url, 'https://shop.example/api/news/feed.json');
+    assert.equal(feed.items.length, 1);
+    assert.equal(feed.items[0].title, 'ランチ & <ディナー> "限定"');
+    assert.equal(feed.items[0].url, 'https://shop.example/news/lunch');
+    assert.deepEqual(feed.items[0].tags, ['イベント']);
+    assert.deepEqual(feed.items[0].attachments, [{ url: 'https://images.microcms-assets.io/assets/lunch.png?w=800', mime_type: 'image/png' }]);
+});
+
+test('記事がなくても空のフィードを返す', async () => {
+    fake.items('news').splice(0);
+
+    const res = await invoke(jsonHandler, { url: '/api/news/feed.json' });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(JSON.parse(res.body).items, []);
+});
+
+test('ETag / Last-Modified が一致すれば 304 を返す', async () => {
+    const first = await invoke(rssHandler, { url: '/api/news/feed.xml' });
+    const { etag } = first.headers;
+    assert.match(etag, /^"[0-9a-f]{40}"$/);
+    assert.equal(first.headers['last-modified'], 'Mon, 02 Jun 2025 03:00:00 GMT');
+
+    const byEtag = await invoke(rssHandler, { url: '/api/news/feed.xml', headers: { 'if-none-match': `"other", W/${etag}` } });
+    assert.equal(byEtag.statusCode, 304);
+    assert.equal(byEtag.body, undefined);
+
+    const byDate = await invoke(rssHandler, { url: '/api/news/feed.xml', headers: { 'if-modified-since': 'Mon, 02 Jun 2025 03:00:00 GMT' } });
+    assert.equal(byDate.statusCode, 304);
+
+    const stale = await invoke(rssHandler, { url: '/api/news/feed.xml', headers: { 'if-modified-since': 'Mon, 02 Jun 2025 02:59:59 GMT' } });
+    assert.equal(stale.statusCode, 200);
+
+    // If-None-Match が一致しなければ If-Modified-Since は見ない
+    const changed = await invoke(rssHandler, {
+        url: '/api/news/feed.xml',
+        headers: { 'if-none-match': '"other"', 'if-modified-since': 'Mon, 02 Jun 2025 03:00:00 GMT' }
+    });
+    assert.equal(changed.statusCode, 200);
+});
+
+test('本文は許可したタグ・属性だけに整えてから埋め込む', async () => {
+    fake.add('news', {
+        id: 'unsafe',
+        title: '本文',
+        content: '<p onclick="alert(1)">本文<script>alert(1)</script><a href="javascript:alert(1)">リンク</a></p>',
+        publishedAt: '2025-07-01T00:00:00.000Z'
+    });
+
+    const res = await invoke(jsonHandler, { url: '/api/news/feed.json' });
+    const [item] = JSON.parse(res.body).items;
+
+    assert.doesNotMatch(item.content_html, /script|onclick|javascript:/i);
+    assert.match(item.content_html, /本文/);
+    assert.match(item.content_html, /リンク/);
+    assert.equal(item.summary, '本文リンク');
+});
+
+test('カテゴリーの表示名は categories API から取得する', async () => {
+    fake.add('categories', { id: 'event', label: '催し', order: 1 });
+    fake.add('news', { id: 'other', title: '不明なカテゴリー', content: '', category: ['seasonal'], publishedAt: '2025-07-01T00:00:00.000Z' });
+
+    const res = await invoke(jsonHandler, { url: '/api/news/feed.json' });
+    const items = JSON.parse(res.body).items;
+
+    // 一覧にないカテゴリーはキーをそのまま使う
+    assert.deepEqual(items.map(item => item.tags), [['seasonal'], ['催し']]);
+});
+
+test('SITE_URL が未設定・不正ならリクエストのホストを使わずにエラーを返す', async () => {
+    for (const value of [undefined, 'shop.example', 'https://shop.example/path', 'https://evil.example?x=']) {
+        if (value === undefined) delete process.env.SITE_URL;
+        else process.env.SITE_URL = value;
+
+        const res = await invoke(rssHandler, {
+            url: '/api/news/feed.xml',
+            headers: { host: 'evil.example', 'x-forwarded-host': 'evil.example' }
+        });
+        assert.equal(res.statusCode, 500, String(value));
+        assert.doesNotMatch(JSON.stringify(res.body), /evil\.example/);
+    }
+
+    // 末尾のスラッシュは除く
+    process.env.SITE_URL = 'https://shop.example/';
+    const res = await invoke(rssHandler, { url: '/api/news/feed.xml' });
+    assert.equal(elementText(elementText(res.body, 'item'), 'link'), 'https://shop.example/news/lunch');
+});
+
+test('XMLで使えない制御文字は取り除く', async () => {
+    fake.add('news', { id: 'control', title: 'ベル\x07と改行\nとタブ\t', content: '<p>本文&#1;です</p>', publishedAt: '2025-07-01T00:00:00.000Z' });
+
+    const res = await invoke(rssHandler, { url: '/api/news/feed.xml' });
+    const item = elementText(res.body, 'item');
+
+    assert.doesNotMatch(res.body, /[\x00-\x08\x0B\x0C\x0E-\x1F]/);
+    assert.match(elementText(item, 'title'), /^ベルと改行\s*とタブ\s*$/);
+});
+
+test('本文の相対URLは記事のURLを基準にした絶対URLにする', async () => {
+    fake.add('news', {
+        id: 'links',
+        title: 'リンク',
+        content: [
+            '<p><a href="/menu">メニュー</a> <a href="access">アクセス</a> <a href="#map">地図</a>',
+            '<a href="https://example.com/">外部</a> <a href="mailto:info@example.com">メール</a></p>',
+            '<img src="/images/lunch.jpg" alt="ランチ">',
+            '<img src="https://images.microcms-assets.io/assets/a.png">'
+        ].join(''),
+        publishedAt: '2025-07-01T00:00:00.000Z'
+    });
+
+    const res = await invoke(jsonHandler, { url: '/api/news/feed.json' });
+    const [item] = JSON.parse(res.body).items;
+    const urls = [...item.content_html.matchAll(/(?:href|src)="([^"]*)"/g)].map(match => match[1]);
+
+    assert.deepEqual(urls, [
+        'https://shop.example/menu',
+        'https://shop.example/news/access',
+        'https://shop.example/news/links#map',
+        'https://example.com/',
+        'mailto:info@example.com',
+        'https://shop.example/images/lunch.jpg',
+        'https://images.microcms-assets.io/assets/a.png'
+    ]);
+});
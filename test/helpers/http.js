@@ -0,0 +1,58 @@
+// test/helpers/http.js - テスト用のリクエスト・レスポンス（Vercel の Node.js ランタイム相当）
+
+import { Readable } from 'stream';
+
+/**
+ * リクエストを作成（body はストリームとして読める）
+ * @param {Object} options - { method, url, headers, body, query }
+ */
+export function createRequest({ method = 'GET', url = '/', headers = {}, body, query } = {}) {
+    const req = Readable.from(body === undefined ? [] : [Buffer.from(body)]);
+    const searchParams = new URL(url, 'http://localhost').searchParams;
+
+    return Object.assign(req, {
+        method,
+        url,
+        headers: { 'x-real-ip': '192.0.2.1', ...headers },
+        query: query || Object.fromEntries(searchParams),
+        socket: {}
+    });
+}
+
+/**
+ * レスポンスを作成（json() / end() の内容を body に保存）
+ */
+export function createResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        setHeader(key, value) {
+            this.headers[key.toLowerCase()] = value;
+        },
+        getHeader(key) {
+            return this.headers[key.toLowerCase()];
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        end(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+/**
+ * リクエストを処理してレスポンスを返す
+ */
+export async function invoke(handler, options) {
+    const res = createResponse();
+    await handler(createRequest(options), res);
+    return res;
+}
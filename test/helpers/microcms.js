@@ -0,0 +1,131 @@
+// test/helpers/microcms.js - テスト用の MicroCMS（fetch を置き換える）
+
+/**
+ * MicroCMS のリスト形式APIを模した fetch に置き換える
+ * limit / offset / orders / filters（[equals] と [and] のみ）に対応し、作成日時は1秒ずつ進める
+ * MicroCMS 以外のURLは route() で登録した処理に渡す
+ * @param {Object} options - { serviceDomain }
+ */
+export function installFakeMicroCMS({ serviceDomain = 'test' } = {}) {
+    const apis = new Map();
+    const routes = [];
+    const requests = [];
+    const originalFetch = globalThis.fetch;
+    let sequence = 0;
+
+    const nextTimestamp = () => new Date(Date.UTC(2025, 0, 1) + (++sequence) * 1000).toISOString();
+
+    globalThis.fetch = async (input, init = {}) => {
+        const url = new URL(String(input));
+        const method = (init.method || 'GET').toUpperCase();
+        const body = typeof init.body === 'string' ? parseBody(init.body) : init.body;
+        requests.push({ method, url, headers: init.headers || {}, body });
+
+        const route = routes.find(({ prefix }) => url.href.startsWith(prefix));
+        if (route) {
+            return route.handler({ method, url, headers: init.headers || {}, body });
+        }
+        if (url.hostname !== `${serviceDomain}.microcms.io`) {
+            throw new Error(`Unexpected fetch: ${url.href}`);
+        }
+
+        const [endpoint, id] = url.pathname.replace(/^\/api\/v1\//, '').split('/').map(decodeURIComponent);
+        const items = apis.get(endpoint);
+
+        if (method === 'POST') {
+            const timestamp = nextTimestamp();
+            const item = { id: `${endpoint}-${sequence}`, ...body, createdAt: timestamp, updatedAt: timestamp, publishedAt: timestamp };
+            apis.set(endpoint, [...(items || []), item]);
+            return jsonResponse(201, { id: item.id });
+        }
+        if (!items) {
+            return jsonResponse(404, { message: 'Not found' });
+        }
+
+        if (id) {
+            const index = items.findIndex(item => item.id === id);
+            if (index === -1) return jsonResponse(404, { message: 'Not found' });
+
+            if (method === 'PATCH') {
+                items[index] = { ...items[index], ...body, updatedAt: nextTimestamp() };
+                return jsonResponse(200, { id });
+            }
+            if (method === 'DELETE') {
+                items.splice(index, 1);
+                return new Response(null, { status: 202 });
+            }
+            return jsonResponse(200, items[index]);
+        }
+
+        const matched = filterItems(items, url.searchParams.get('filters'));
+        sortItems(matched, url.searchParams.get('orders'));
+        const offset = Number(url.searchParams.get('offset') || 0);
+        const limit = Number(url.searchParams.get('limit') ?? 10);
+
+        return jsonResponse(200, {
+            contents: matched.slice(offset, offset + limit),
+            totalCount: matched.length,
+            offset,
+            limit
+        });
+    };
+
+    return {
+        requests,
+        /**
+         * コンテンツを追加（作成日時などは未指定の場合に設定）
+         */
+        add(endpoint, item) {
+            const timestamp = nextTimestamp();
+            const content = { createdAt: timestamp, updatedAt: timestamp, publishedAt: timestamp, ...item };
+            apis.set(endpoint, [...(apis.get(endpoint) || []), content]);
+            return content;
+        },
+        items(endpoint) {
+            return apis.get(endpoint) || [];
+        },
+        /**
+         * MicroCMS 以外のURLへのリクエストの処理を登録
+         * @param {string} prefix - URLの先頭
+         * @param {Function} handler - ({ method, url, headers, body }) => Response
+         */
+        route(prefix, handler) {
+            routes.push({ prefix, handler });
+        },
+        restore() {
+            globalThis.fetch = originalFetch;
+        }
+    };
+}
+
+export function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function parseBody(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+function filterItems(items, filters) {
+    const conditions = (filters || '').split('[and]').filter(Boolean).map(condition => {
+        const match = /^(\w+)\[equals\](.*)$/.exec(condition);
+        if (!match) throw new Error(`Unsupported filter: ${condition}`);
+        return match;
+    });
+    return items.filter(item => conditions.every(([, field, value]) => String(item[field]) === value));
+}
+
+function sortItems(items, orders) {
+    if (!orders) return;
+
+    const descending = orders.startsWith('-');
+    const field = orders.replace(/^-/, '');
+    items.sort((a, b) => {
+        const order = a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0;
+        return descending ? -order : order;
+    });
+}
@@ -0,0 +1,17 @@
+// test/helpers/store.js - テスト用の共有ストア
+
+import { MemoryStore } from '../../api/_lib/rate-limit.js';
+
+/**
+ * KV（KvRestStore）の代わりに使う共有ストア
+ * MemoryStore のインスタンスではないため、複数インスタンスで共有されるストアとして扱われる
+ */
+export function createSharedStore() {
+    const memory = new MemoryStore();
+    return {
+        increment: (key, windowMs) => memory.increment(key, windowMs),
+        get: key => memory.get(key),
+        set: (key, value, ttlMs) => memory.set(key, value, ttlMs),
+        delete: key => memory.delete(key)
+    };
+}
@@ -0,0 +1,64 @@
+// test/japanese-holidays.test.js - 祝日計算（2019〜2033年）
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getJapaneseHolidays, getJapaneseHolidayName } from '../public/js/japanese-holidays.js';
+
+// 年 => 祝日（MM-DD）。2027年までは内閣府の公表、以降は春分・秋分の予測値による
+const HOLIDAYS = {
+    2019: '01-01 01-14 02-11 03-21 04-29 04-30 05-01 05-02 05-03 05-04 05-05 05-06 07-15 08-11 08-12 09-16 09-23 10-14 10-22 11-03 11-04 11-23',
+    2020: '01-01 01-13 02-11 02-23 02-24 03-20 04-29 05-03 05-04 05-05 05-06 07-23 07-24 08-10 09-21 09-22 11-03 11-23',
+    2021: '01-01 01-11 02-11 02-23 03-20 04-29 05-03 05-04 05-05 07-22 07-23 08-08 08-09 09-20 09-23 11-03 11-23',
+    2022: '01-01 01-10 02-11 02-23 03-21 04-29 05-03 05-04 05-05 07-18 08-11 09-19 09-23 10-10 11-03 11-23',
+    2023: '01-01 01-02 01-09 02-11 02-23 03-21 04-29 05-03 05-04 05-05 07-17 08-11 09-18 09-23 10-09 11-03 11-23',
+    2024: '01-01 01-08 02-11 02-12 02-23 03-20 04-29 05-03 05-04 05-05 05-06 07-15 08-11 08-12 09-16 09-22 09-23 10-14 11-03 11-04 11-23',
+    2025: '01-01 01-13 02-11 02-23 02-24 03-20 04-29 05-03 05-04 05-05 05-06 07-21 08-11 09-15 09-23 10-13 11-03 11-23 11-24',
+    2026: '01-01 01-12 02-11 02-23 03-20 04-29 05-03 05-04 05-05 05-06 07-20 08-11 09-21 09-22 09-23 10-12 11-03 11-23',
+    2027: '01-01 01-11 02-11 02-23 03-21 03-22 04-29 05-03 05-04 05-05 07-19 08-11 09-20 09-23 10-11 11-03 11-23',
+    2028: '01-01 01-10 02-11 02-23 03-20 04-29 05-03 05-04 05-05 07-17 08-11 09-18 09-22 10-09 11-03 11-23',
+    2029: '01-01 01-08 02-11 02-12 02-23 03-20 04-29 04-30 05-03 05-04 05-05 07-16 08-11 09-17 09-23 09-24 10-08 11-03 11-23',
+    2030: '01-01 01-14 02-11 02-23 03-20 04-29 05-03 05-04 05-05 05-06 07-15 08-11 08-12 09-16 09-23 10-14 11-03 11-04 11-23',
+    2031: '01-01 01-13 02-11 02-23 02-24 03-21 04-29 05-03 05-04 05-05 05-06 07-21 08-11 09-15 09-23 10-13 11-03 11-23 11-24',
+    2032: '01-01 01-12 02-11 02-23 03-20 04-29 05-03 05-04 05-05 07-19 08-11 09-20 09-21 09-22 10-11 11-03 11-23',
+    2033: '01-01 01-10 02-11 02-23 03-20 03-21 04-29 05-03 05-04 05-05 07-18 08-11 09-19 09-23 10-10 11-03 11-23'
+};
+
+for (const [year, dates] of Object.entries(HOLIDAYS)) {
+    test(`${year}年の祝日`, () => {
+        const actual = [...getJapaneseHolidays(Number(year)).keys()].sort();
+        assert.deepEqual(actual, dates.split(' ').map(date => `${year}-${date}`));
+    });
+}
+
+test('即位関連の祝日と、それに挟まれた国民の休日', () => {
+    assert.equal(getJapaneseHolidayName(2019, 5, 1), '天皇の即位の日');
+    assert.equal(getJapaneseHolidayName(2019, 10, 22), '即位礼正殿の儀の行われる日');
+    assert.equal(getJapaneseHolidayName(2019, 4, 30), '国民の休日');
+    assert.equal(getJapaneseHolidayName(2019, 5, 2), '国民の休日');
+});
+
+test('天皇誕生日は2019年は祝日なし、2020年から2月23日', () => {
+    assert.equal(getJapaneseHolidayName(2019, 12, 23), null);
+    assert.equal(getJapaneseHolidayName(2019, 2, 23), null);
+    assert.equal(getJapaneseHolidayName(2020, 2, 23), '天皇誕生日');
+});
+
+test('オリンピック特措法による移動', () => {
+    assert.equal(getJapaneseHolidayName(2020, 7, 24), 'スポーツの日');
+    assert.equal(getJapaneseHolidayName(2020, 10, 12), null);
+    assert.equal(getJapaneseHolidayName(2021, 8, 8), '山の日');
+    assert.equal(getJapaneseHolidayName(2021, 8, 9), '振替休日');
+    assert.equal(getJapaneseHolidayName(2021, 8, 11), null);
+});
+
+test('振替休日は連続する祝日の翌日にずれる', () => {
+    // 5/3（日）→ 5/4・5/5 が祝日のため 5/6
+    assert.equal(getJapaneseHolidayName(2026, 5, 6), '振替休日');
+    // 秋分の日 9/22（日）→ 9/23
+    assert.equal(getJapaneseHolidayName(2024, 9, 23), '振替休日');
+});
+
+test('敬老の日と秋分の日に挟まれた国民の休日', () => {
+    assert.equal(getJapaneseHolidayName(2026, 9, 22), '国民の休日');
+    assert.equal(getJapaneseHolidayName(2032, 9, 21), '国民の休日');
+});
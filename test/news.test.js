@@ -0,0 +1,53 @@
+// test/news.test.js - ニュース一覧API（検索）
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeMicroCMS } from './helpers/microcms.js';
+import { invoke } from './helpers/http.js';
+import { MemoryStore, setStore } from '../api/_lib/rate-limit.js';
+import handler from '../api/news.js';
+
+process.env.MICROCMS_SERVICE_DOMAIN = 'test';
+process.env.MICROCMS_API_KEY = 'test-api-key';
+
+let fake;
+
+beforeEach(() => {
+    // アクセスログは出力しない
+    mock.method(console, 'log', () => {});
+    setStore(new MemoryStore());
+    fake = installFakeMicroCMS();
+    for (let i = 1; i <= 500; i++) {
+        fake.add('news', { id: `news-${i}`, title: i === 1 ? '限定ランチのお知らせ' : `お知らせ ${i}`, content: '<p>本文</p>' });
+    }
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    fake.restore();
+});
+
+function newsRequests() {
+    return fake.requests.filter(({ url }) => url.pathname === '/api/v1/news');
+}
+
+test('検索で MicroCMS から読み出すのは新しい順に最大300件', async () => {
+    const res = await invoke(handler, { url: '/api/news?q=お知らせ 400' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(newsRequests().length, 3);
+    assert.equal(res.body.totalCount, 1);
+
+    // 301件目より古い記事は検索対象外
+    const old = await invoke(handler, { url: '/api/news?q=限定ランチ' });
+    assert.equal(old.body.totalCount, 0);
+});
+
+test('検索は参照より厳しいレート制限で数える', async () => {
+    const search = await invoke(handler, { url: '/api/news?q=ランチ' });
+    const list = await invoke(handler, { url: '/api/news' });
+
+    assert.equal(search.headers['ratelimit-limit'], '20');
+    assert.equal(list.headers['ratelimit-limit'], '120');
+    assert.equal(list.headers['ratelimit-remaining'], '119');
+});
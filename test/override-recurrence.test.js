@@ -0,0 +1,99 @@
+// test/override-recurrence.test.js - 手動設定の繰り返しルール
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseRecurrence, validateRecurrence, getOccurrences, findOccurrenceAt, describeRecurrence
+} from '../public/js/override-recurrence.js';
+
+const TIME_ZONE = 'Asia/Tokyo';
+
+function occurrences(recurrence, from, to, series = {}) {
+    return getOccurrences({ recurrence, ...series }, new Date(from), new Date(to), TIME_ZONE)
+        .map(({ start, end }) => [start.toISOString(), end.toISOString()]);
+}
+
+test('JSON文字列・オブジェクトのルールを正規化する', () => {
+    assert.deepEqual(parseRecurrence('{"type":"weekly","weekdays":[3,"0",3]}'), { type: 'weekly', weekdays: [0, 3] });
+    assert.deepEqual(
+        parseRecurrence({ type: 'monthly', nth: '3', weekday: '0', fromTime: '15:00', toTime: '18:00' }),
+        { type: 'monthly', nth: 3, weekday: 0, fromTime: '15:00', toTime: '18:00' }
+    );
+    assert.equal(parseRecurrence(''), null);
+    assert.equal(parseRecurrence('{broken'), null);
+    assert.equal(parseRecurrence({ type: 'daily' }), null);
+});
+
+test('ルールの種類ごとに値を検証する', () => {
+    assert.equal(validateRecurrence({ type: 'weekly', weekdays: [0, 6] }), null);
+    assert.match(validateRecurrence({ type: 'weekly', weekdays: [] }), /weekdays/);
+    assert.match(validateRecurrence({ type: 'weekly', weekdays: [7] }), /weekdays/);
+    assert.equal(validateRecurrence({ type: 'monthly', nth: -1, weekday: 5 }), null);
+    assert.match(validateRecurrence({ type: 'monthly', nth: 6, weekday: 0 }), /nth/);
+    assert.match(validateRecurrence({ type: 'yearly', month: 13, day: 1 }), /month/);
+    assert.match(validateRecurrence({ type: 'yearly', month: 12, day: 31, fromTime: '25:00' }), /fromTime/);
+    assert.match(validateRecurrence({ type: 'hourly' }), /type/);
+});
+
+test('オブジェクト以外のルールはエラー', () => {
+    assert.match(validateRecurrence(null), /オブジェクト/);
+    assert.match(validateRecurrence([{ type: 'weekly', weekdays: [0] }]), /オブジェクト/);
+    assert.match(validateRecurrence('weekly'), /オブジェクト/);
+});
+
+test('毎週: 指定した曜日の終日（店舗のタイムゾーン）', () => {
+    // 2025-06-01 は日曜
+    assert.deepEqual(occurrences({ type: 'weekly', weekdays: [0, 3] }, '2025-06-01T00:00:00+09:00', '2025-06-07T23:59:59+09:00'), [
+        ['2025-05-31T15:00:00.000Z', '2025-06-01T15:00:00.000Z'],
+        ['2025-06-03T15:00:00.000Z', '2025-06-04T15:00:00.000Z']
+    ]);
+});
+
+test('毎月: 第n曜日と最終週', () => {
+    const thirdSunday = occurrences(
+        { type: 'monthly', nth: 3, weekday: 0, fromTime: '15:00', toTime: '18:00' },
+        '2025-06-01T00:00:00+09:00', '2025-07-31T00:00:00+09:00'
+    );
+    assert.deepEqual(thirdSunday, [
+        ['2025-06-15T06:00:00.000Z', '2025-06-15T09:00:00.000Z'],
+        ['2025-07-20T06:00:00.000Z', '2025-07-20T09:00:00.000Z']
+    ]);
+
+    const lastFriday = occurrences({ type: 'monthly', nth: -1, weekday: 5 }, '2025-05-01T00:00:00+09:00', '2025-06-30T00:00:00+09:00');
+    assert.deepEqual(lastFriday.map(([start]) => start), ['2025-05-29T15:00:00.000Z', '2025-06-26T15:00:00.000Z']);
+});
+
+test('毎年: 日をまたぐ時間帯は翌日まで', () => {
+    const result = occurrences(
+        { type: 'yearly', month: 12, day: 31, fromTime: '22:00', toTime: '02:00' },
+        '2025-12-01T00:00:00+09:00', '2026-01-31T00:00:00+09:00'
+    );
+    assert.deepEqual(result, [['2025-12-31T13:00:00.000Z', '2025-12-31T17:00:00.000Z']]);
+});
+
+test('有効期間の外は発生せず、境界では切り詰める', () => {
+    const series = { startTime: '2025-06-04T12:00:00+09:00', endTime: '2025-06-11T12:00:00+09:00' };
+    assert.deepEqual(occurrences({ type: 'weekly', weekdays: [3] }, '2025-06-01T00:00:00+09:00', '2025-06-30T00:00:00+09:00', series), [
+        ['2025-06-04T03:00:00.000Z', '2025-06-04T15:00:00.000Z'],
+        ['2025-06-10T15:00:00.000Z', '2025-06-11T03:00:00.000Z']
+    ]);
+});
+
+test('繰り返しのない設定は開始〜終了が1回の発生期間', () => {
+    const entry = { startTime: '2025-06-01T00:00:00Z', endTime: '2025-06-02T00:00:00Z' };
+    assert.equal(getOccurrences(entry, new Date('2025-06-03T00:00:00Z'), new Date('2025-06-04T00:00:00Z'), TIME_ZONE).length, 0);
+    assert.equal(findOccurrenceAt(entry, new Date('2025-06-01T12:00:00Z'), TIME_ZONE).end.toISOString(), '2025-06-02T00:00:00.000Z');
+});
+
+test('指定日時を含む発生期間', () => {
+    const entry = { recurrence: '{"type":"weekly","weekdays":[0],"fromTime":"12:00","toTime":"14:00"}' };
+    assert.equal(findOccurrenceAt(entry, new Date('2025-06-01T13:00:00+09:00'), TIME_ZONE).start.toISOString(), '2025-06-01T03:00:00.000Z');
+    assert.equal(findOccurrenceAt(entry, new Date('2025-06-01T14:00:01+09:00'), TIME_ZONE), null);
+});
+
+test('表示文言', () => {
+    assert.equal(describeRecurrence({ type: 'monthly', nth: 3, weekday: 0, fromTime: '15:00', toTime: '18:00' }), '毎月第3日曜 15:00〜18:00');
+    assert.equal(describeRecurrence({ type: 'monthly', nth: -1, weekday: 5 }), '毎月最終金曜');
+    assert.equal(describeRecurrence({ type: 'weekly', weekdays: [0, 6] }), '毎週日・土曜');
+    assert.equal(describeRecurrence('invalid'), '');
+});
@@ -0,0 +1,152 @@
+// test/rate-limit.test.js - レート制限と認証失敗のロックアウト
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, getClientIp, MemoryStore, sendRateLimitError } from '../api/_lib/rate-limit.js';
+
+const LIMITS = {
+    read: { limit: 3, windowMs: 60 * 1000 },
+    write: { limit: 2, windowMs: 60 * 1000 },
+    lockout: { maxFailures: 3, windowMs: 60 * 1000, durationMs: 10 * 60 * 1000 }
+};
+
+function createRequest(ip, token) {
+    return {
+        headers: {
+            'x-real-ip': ip,
+            ...(token && { authorization: `Bearer ${token}` })
+        }
+    };
+}
+
+function createResponse() {
+    return {
+        headers: {},
+        setHeader(key, value) { this.headers[key] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+function createLimiter() {
+    return createRateLimiter({ store: new MemoryStore(), limits: LIMITS });
+}
+
+test('上限までは許可し、超えたら Retry-After 付きで拒否する', async () => {
+    const limiter = createLimiter();
+    const req = createRequest('192.0.2.1');
+
+    for (let i = 0; i < 3; i++) {
+        const res = createResponse();
+        const result = await limiter.check(req, res, 'read');
+        assert.equal(result.allowed, true);
+        assert.equal(res.headers['RateLimit-Limit'], '3');
+        assert.equal(res.headers['RateLimit-Remaining'], String(2 - i));
+    }
+
+    const res = createResponse();
+    const result = await limiter.check(req, res, 'read');
+    assert.equal(result.allowed, false);
+    assert.equal(result.reason, 'limit');
+    assert.equal(res.headers['RateLimit-Remaining'], '0');
+    assert.ok(Number(res.headers['Retry-After']) > 0);
+});
+
+test('IPアドレスと参照・書き込みは別々にカウントする', async () => {
+    const limiter = createLimiter();
+
+    for (let i = 0; i < 2; i++) {
+        await limiter.check(createRequest('192.0.2.1'), createResponse(), 'write');
+    }
+    assert.equal((await limiter.check(createRequest('192.0.2.1'), createResponse(), 'write')).allowed, false);
+    assert.equal((await limiter.check(createRequest('192.0.2.1'), createResponse(), 'read')).allowed, true);
+    assert.equal((await limiter.check(createRequest('192.0.2.2'), createResponse(), 'write')).allowed, true);
+});
+
+test('同じトークンはIPアドレスを変えても合算する', async () => {
+    const limiter = createLimiter();
+
+    await limiter.check(createRequest('192.0.2.1', 'secret'), createResponse(), 'write');
+    await limiter.check(createRequest('192.0.2.2', 'secret'), createResponse(), 'write');
+    const result = await limiter.check(createRequest('192.0.2.3', 'secret'), createResponse(), 'write');
+    assert.equal(result.allowed, false);
+});
+
+test('トークンはハッシュ化してストアに保存する', async () => {
+    const store = new MemoryStore();
+    const limiter = createRateLimiter({ store, limits: LIMITS });
+
+    await limiter.check(createRequest('192.0.2.1', 'secret-token'), createResponse(), 'write');
+    const keys = [...store.entries.keys()];
+    assert.equal(keys.some(key => key.includes('secret-token')), false);
+    assert.equal(keys.some(key => key.startsWith('rl:write:token:')), true);
+});
+
+test('認証失敗が上限に達したIPアドレスの書き込みをロックアウトする', async () => {
+    const limiter = createLimiter();
+    const req = createRequest('192.0.2.1');
+
+    assert.deepEqual(await limiter.recordAuthFailure(req), { locked: false, failures: 1, retryAfter: 0 });
+    await limiter.recordAuthFailure(req);
+    const locked = await limiter.recordAuthFailure(req);
+    assert.equal(locked.locked, true);
+    assert.equal(locked.retryAfter, 600);
+
+    const res = createResponse();
+    const result = await limiter.check(req, res, 'write');
+    assert.equal(result.allowed, false);
+    assert.equal(result.reason, 'locked');
+
+    // 参照と別のIPアドレスには影響しない
+    assert.equal((await limiter.check(req, createResponse(), 'read')).allowed, true);
+    assert.equal((await limiter.check(createRequest('192.0.2.2'), createResponse(), 'write')).allowed, true);
+
+    sendRateLimitError(res, result);
+    assert.equal(res.statusCode, 429);
+    assert.match(res.body.message, /10分後/);
+});
+
+test('認証に成功すると失敗回数をリセットする', async () => {
+    const limiter = createLimiter();
+    const req = createRequest('192.0.2.1');
+
+    await limiter.recordAuthFailure(req);
+    await limiter.recordAuthFailure(req);
+    await limiter.clearAuthFailures(req);
+
+    assert.equal((await limiter.recordAuthFailure(req)).failures, 1);
+});
+
+test('ストアの障害時は通過させる', async () => {
+    const failing = {
+        increment: async () => { throw new Error('down'); },
+        get: async () => { throw new Error('down'); },
+        set: async () => { throw new Error('down'); },
+        delete: async () => { throw new Error('down'); }
+    };
+    const limiter = createRateLimiter({ store: failing, limits: LIMITS });
+    mock.method(console, 'error', () => {});
+
+    assert.equal((await limiter.check(createRequest('192.0.2.1'), createResponse(), 'write')).allowed, true);
+    assert.equal((await limiter.recordAuthFailure(createRequest('192.0.2.1'))).locked, false);
+    mock.restoreAll();
+});
+
+test('クライアントが設定できる X-Forwarded-For の先頭ではなく x-real-ip を使う', () => {
+    const headers = { 'x-real-ip': '203.0.113.5', 'x-forwarded-for': '198.51.100.1, 203.0.113.5' };
+    assert.equal(getClientIp({ headers }), '203.0.113.5');
+
+    // x-real-ip がない場合はプロキシが追加した末尾のアドレス
+    assert.equal(getClientIp({ headers: { 'x-forwarded-for': '198.51.100.1, 203.0.113.9' } }), '203.0.113.9');
+    assert.equal(getClientIp({ headers: {}, socket: { remoteAddress: '127.0.0.1' } }), '127.0.0.1');
+    assert.equal(getClientIp({ headers: {} }), 'unknown');
+});
+
+test('X-Forwarded-For を変えても同じ接続元として数える', async () => {
+    const limiter = createLimiter();
+    const spoofed = (forwarded) => ({ headers: { 'x-real-ip': '203.0.113.5', 'x-forwarded-for': forwarded } });
+
+    await limiter.check(spoofed('198.51.100.1'), createResponse(), 'write');
+    await limiter.check(spoofed('198.51.100.2'), createResponse(), 'write');
+    assert.equal((await limiter.check(spoofed('198.51.100.3'), createResponse(), 'write')).allowed, false);
+});
@@ -0,0 +1,116 @@
+// test/revisions.test.js - 営業状況の変更履歴
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeMicroCMS } from './helpers/microcms.js';
+import {
+    toSnapshot, diffSnapshots, recordRevision, listRevisions, getRevision, getRestoreTarget
+} from '../api/_lib/revisions.js';
+
+const ENV = { serviceDomain: 'test', apiKey: 'key' };
+
+let microcms;
+beforeEach(() => {
+    microcms = installFakeMicroCMS();
+});
+afterEach(() => {
+    microcms.restore();
+});
+
+const CLOSED = { id: 's1', status: ['closed'], reason: '設備点検', priority: 2, startTime: '2025-06-01T00:00:00Z', endTime: null };
+
+test('スナップショットは記録対象の項目のみで、セレクトフィールドは文字列にする', () => {
+    assert.deepEqual(toSnapshot(CLOSED), {
+        status: 'closed',
+        reason: '設備点検',
+        message: null,
+        priority: 2,
+        startTime: '2025-06-01T00:00:00Z',
+        endTime: null,
+        customHours: null,
+        recurrence: null
+    });
+    assert.equal(toSnapshot(null), null);
+});
+
+test('差分は変更された項目のみ', () => {
+    const before = toSnapshot(CLOSED);
+    const after = { ...before, reason: '臨時休業', priority: 3 };
+
+    assert.deepEqual(diffSnapshots(before, after), {
+        reason: { from: '設備点検', to: '臨時休業' },
+        priority: { from: 2, to: 3 }
+    });
+    assert.deepEqual(Object.keys(diffSnapshots(null, after)), ['status', 'reason', 'priority', 'startTime']);
+    assert.deepEqual(diffSnapshots(before, before), {});
+});
+
+test('削除のリビジョンは削除前、それ以外は操作後の内容に戻す', () => {
+    const snapshot = toSnapshot(CLOSED);
+    assert.equal(getRestoreTarget({ action: 'delete', before: snapshot, after: null }), snapshot);
+    assert.equal(getRestoreTarget({ action: 'update', before: null, after: snapshot }), snapshot);
+});
+
+test('リビジョンは営業状況ごとに1から番号を付け、新しい順に一覧にする', async () => {
+    const first = await recordRevision(ENV, { statusId: 's1', action: 'create', after: CLOSED, actor: 'tanaka', ip: '192.0.2.1' });
+    await recordRevision(ENV, { statusId: 's2', action: 'create', after: CLOSED, actor: 'tanaka' });
+    const second = await recordRevision(ENV, {
+        statusId: 's1', action: 'update', before: CLOSED, after: { ...CLOSED, reason: '臨時休業' }, actor: 'suzuki'
+    });
+
+    assert.equal(first.revision, 1);
+    assert.equal(second.revision, 2);
+    assert.deepEqual(second.diff, { reason: { from: '設備点検', to: '臨時休業' } });
+
+    const { revisions, totalCount } = await listRevisions(ENV, 's1');
+    assert.equal(totalCount, 2);
+    assert.deepEqual(revisions.map(({ revision, action, actor }) => [revision, action, actor]), [
+        [2, 'update', 'suzuki'],
+        [1, 'create', 'tanaka']
+    ]);
+    assert.equal(revisions[1].ip, '192.0.2.1');
+    assert.equal(revisions[1].before, null);
+    assert.equal(revisions[1].after.reason, '設備点検');
+});
+
+test('番号を指定してリビジョンを取得する', async () => {
+    await recordRevision(ENV, { statusId: 's1', action: 'create', after: CLOSED });
+    await recordRevision(ENV, { statusId: 's1', action: 'delete', before: CLOSED });
+
+    const revision = await getRevision(ENV, 's1', 2);
+    assert.equal(revision.revision, 2);
+    assert.equal(revision.action, 'delete');
+    assert.deepEqual(getRestoreTarget(revision), toSnapshot(CLOSED));
+    assert.equal(await getRevision(ENV, 's1', 3), null);
+});
+
+test('履歴がない場合は空の一覧', async () => {
+    assert.deepEqual(await listRevisions(ENV, 'missing'), { revisions: [], totalCount: 0 });
+});
+
+test('同時に記録したリビジョンにも別々の番号を付ける', async () => {
+    const results = await Promise.all(['create', 'update', 'update'].map(action =>
+        recordRevision(ENV, { statusId: 's1', action, after: CLOSED })
+    ));
+
+    assert.deepEqual(results.map(({ revision }) => revision).sort(), [1, 2, 3]);
+    const { revisions } = await listRevisions(ENV, 's1');
+    assert.deepEqual(revisions.map(({ revision }) => revision), [3, 2, 1]);
+});
+
+test('記録時は番号を保存せず、事前に履歴を読み出さない', async () => {
+    await recordRevision(ENV, { statusId: 's1', action: 'create', after: CLOSED });
+
+    const [first] = microcms.requests;
+    assert.equal(first.method, 'POST');
+    assert.equal('revision' in first.body, false);
+});
+
+test('IDの形式が不正な場合は MicroCMS に問い合わせずに 400', async () => {
+    const injected = 's1[or]statusId[exists]';
+
+    await assert.rejects(listRevisions(ENV, injected), { status: 400 });
+    await assert.rejects(getRevision(ENV, injected, 1), { status: 400 });
+    await assert.rejects(recordRevision(ENV, { statusId: injected, action: 'create', after: CLOSED }), { status: 400 });
+    assert.equal(microcms.requests.length, 0);
+});
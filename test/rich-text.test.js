@@ -0,0 +1,76 @@
+// test/rich-text.test.js - リッチテキストのサニタイズ（回避パターン）
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeRichText, richTextToPlain } from '../public/js/rich-text.js';
+
+const IMAGE = 'https://images.microcms-assets.io/assets/a.png';
+
+// [入力, 期待する出力]
+const CASES = {
+    'script は中身ごと削除': ['<script>alert(1)</script>ok', 'ok'],
+    '結合したタグ名': ['<scr<script>ipt>alert(1)</script>', '&lt;scr'],
+    'タグ名中の NUL': ['<scr\0ipt>alert(1)</script>ok', 'ok'],
+    'svg 内の script': ['<svg><script>alert(1)</script></svg>ok', 'ok'],
+    'textarea 内のタグ': ['<textarea><img src=x onerror=alert(1)></textarea>ok', 'ok'],
+    'コメント内の script': ['<!--<script>alert(1)</script>-->ok', 'ok'],
+    '許可されないタグは中のテキストのみ残す': ['<x onclick=1>t</x>', 't'],
+    '対応しない閉じタグ': ['<div></script><b>x</div>', '<div><b>x</b></div>'],
+    'イベントハンドラー・style': ['<p style="color:red" onclick="alert(1)">t', '<p>t</p>'],
+    '属性値からの脱出': [`<a title='"><script>alert(1)</script>'>x</a>`, '<a title="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">x</a>'],
+    'javascript: スキーム': ['<a href="javascript:alert(1)">x</a>', '<a>x</a>'],
+    '大文字小文字の混在': ['<a href="JaVaScRiPt:alert(1)">x</a>', '<a>x</a>'],
+    '先頭の空白': ['<a href=" javascript:alert(1)">x</a>', '<a>x</a>'],
+    '文字参照のタブ': ['<a href="java&#x09;script:alert(1)">x</a>', '<a>x</a>'],
+    '文字参照のコロン': ['<a href="javascript&colon;alert(1)">x</a>', '<a>x</a>'],
+    '数値文字参照のスキーム': ['<a href="&#106;avascript:alert(1)">x</a>', '<a>x</a>'],
+    'data: / vbscript: スキーム': ['<a href="data:text/html,x">x</a><a href="vbscript:x">y</a>', '<a>x</a><a>y</a>'],
+    'バックスラッシュによる別ホスト': ['<a href="/\\evil.example">x</a>', '<a>x</a>'],
+    '許可されない画像': ['<img src=x onerror=alert(1)>', ''],
+    '許可ホストを含む別ホスト': ['<img src="https://images.microcms-assets.io.evil.example/a.png">', ''],
+    'ユーザー情報付きURL': ['<img src="https://images.microcms-assets.io@evil.example/a.png">', ''],
+    'プロトコル相対URLの画像': ['<img src="//evil.example/a.png">', ''],
+    '重複した属性は最初のみ': ['<img src="/a.png" src="https://evil.example/x.png">', '<img src="/a.png">'],
+    '許可された画像の不要な属性': [`<img src="${IMAGE}" onerror="alert(1)">`, `<img src="${IMAGE}">`],
+    '新しいタブのリンクに rel を付ける': ['<a href="https://example.com" target="_blank">x</a>', '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>'],
+    '閉じられていないタグ': ['<ul><li>a<li>b</ul><p>c', '<ul><li>a</li><li>b</li></ul><p>c</p>']
+};
+
+for (const [name, [input, expected]] of Object.entries(CASES)) {
+    test(name, () => {
+        const output = sanitizeRichText(input);
+        assert.equal(output, expected);
+        // もう一度通しても変わらない
+        assert.equal(sanitizeRichText(output), output);
+    });
+}
+
+test('文字列以外は空文字', () => {
+    assert.equal(sanitizeRichText(null), '');
+    assert.equal(sanitizeRichText({ toString: () => '<script>' }), '');
+});
+
+test('プレーンテキストではエスケープされたタグを文字として残す', () => {
+    assert.equal(richTextToPlain('<p>a</p><p>&lt;script&gt;</p>'), 'a <script>');
+    assert.equal(richTextToPlain('<p>あいうえお</p>', 3), 'あいう…');
+});
+
+test('baseUrl を指定すると相対URLを絶対URLにする', () => {
+    const options = { baseUrl: 'https://shop.example/news/abc' };
+    const input = [
+        '<a href="/menu">a</a><a href="access">b</a><a href="#map">c</a><a href="//cdn.example/x">d</a>',
+        '<a href="tel:0312345678">e</a><a href="javascript:alert(1)">f</a>',
+        '<img src="/images/a.jpg"><img src="https://evil.example/a.png">'
+    ].join('');
+    const expected = [
+        '<a href="https://shop.example/menu">a</a><a href="https://shop.example/news/access">b</a>',
+        '<a href="https://shop.example/news/abc#map">c</a><a href="https://cdn.example/x">d</a>',
+        '<a href="tel:0312345678">e</a><a>f</a>',
+        '<img src="https://shop.example/images/a.jpg">'
+    ].join('');
+
+    const output = sanitizeRichText(input, options);
+    assert.equal(output, expected);
+    // 同じオリジンの絶対URLになった画像も、もう一度通して残る
+    assert.equal(sanitizeRichText(output, options), output);
+});
@@ -0,0 +1,89 @@
+// test/status-resolver.test.js - 手動設定の優先度・有効期間の判定
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StatusResolver } from '../public/js/status-resolver.js';
+
+const resolver = new StatusResolver();
+
+const NOW = new Date('2025-06-01T04:00:00Z'); // 2025-06-01（日）13:00 JST
+
+function entry(id, fields = {}) {
+    return {
+        id,
+        status: ['closed'],
+        publishedAt: '2025-05-01T00:00:00Z',
+        startTime: '2025-06-01T00:00:00Z',
+        endTime: '2025-06-01T10:00:00Z',
+        ...fields
+    };
+}
+
+test('手動設定がない場合は null', () => {
+    assert.equal(resolver.findActiveOverride(null, NOW), null);
+    assert.equal(resolver.findActiveOverride([], NOW), null);
+});
+
+test('優先度の高い設定を選ぶ（未設定は 1）', () => {
+    const contents = [entry('low'), entry('high', { priority: 3 }), entry('middle', { priority: 2 })];
+    assert.equal(resolver.findActiveOverride(contents, NOW).id, 'high');
+    assert.equal(resolver.findActiveOverride([entry('default'), entry('higher', { priority: 2 })], NOW).id, 'higher');
+});
+
+test('公開されていない設定は優先度に関係なく除く', () => {
+    const contents = [entry('draft', { priority: 10, publishedAt: null }), entry('published')];
+    assert.equal(resolver.findActiveOverride(contents, NOW).id, 'published');
+});
+
+test('開始・終了時刻ちょうどは有効、その前後は無効', () => {
+    const item = entry('a', { startTime: NOW.toISOString(), endTime: '2025-06-01T05:00:00Z' });
+    const end = new Date('2025-06-01T05:00:00Z');
+
+    assert.equal(resolver.findActiveOverride([item], new Date(NOW.getTime() - 1)), null);
+    assert.equal(resolver.findActiveOverride([item], NOW), item);
+    assert.equal(resolver.findActiveOverride([item], end), item);
+    assert.equal(resolver.findActiveOverride([item], new Date(end.getTime() + 1)), null);
+});
+
+test('開始・終了時刻が未設定の場合は期限なし', () => {
+    const item = entry('open-ended', { startTime: null, endTime: null });
+    assert.equal(resolver.findActiveOverride([item], new Date('2000-01-01T00:00:00Z')), item);
+    assert.equal(resolver.findActiveOverride([item], new Date('2099-12-31T00:00:00Z')), item);
+});
+
+test('期間外の高優先度の設定は有効な設定を妨げない', () => {
+    const contents = [
+        entry('expired', { priority: 5, endTime: '2025-06-01T03:59:59Z' }),
+        entry('scheduled', { priority: 5, startTime: '2025-06-01T04:00:01Z' }),
+        entry('active')
+    ];
+    assert.equal(resolver.findActiveOverride(contents, NOW).id, 'active');
+});
+
+test('繰り返し設定は今回の発生期間を startTime / endTime にする', () => {
+    const item = entry('weekly', {
+        startTime: '2025-01-01T00:00:00Z',
+        endTime: '2025-12-31T00:00:00Z',
+        recurrence: JSON.stringify({ type: 'weekly', weekdays: [0], fromTime: '12:00', toTime: '14:00' })
+    });
+
+    const active = resolver.findActiveOverride([item], NOW);
+    assert.equal(active.startTime, '2025-06-01T03:00:00.000Z');
+    assert.equal(active.endTime, '2025-06-01T05:00:00.000Z');
+    assert.equal(active.seriesStartTime, '2025-01-01T00:00:00Z');
+    assert.equal(active.seriesEndTime, '2025-12-31T00:00:00Z');
+
+    // 発生期間の外（同じ日の 14:00 JST 過ぎ、翌日の月曜）
+    assert.equal(resolver.findActiveOverride([item], new Date('2025-06-01T05:00:01Z')), null);
+    assert.equal(resolver.findActiveOverride([item], new Date('2025-06-02T04:00:00Z')), null);
+    // ルールの有効期間の外
+    assert.equal(resolver.findActiveOverride([item], new Date('2026-01-04T04:00:00Z')), null);
+});
+
+test('resolve は有効な手動設定から営業状況を作成する', () => {
+    const status = resolver.resolve([entry('closed-today', { reason: '設備点検' })], NOW);
+    assert.equal(status.isManual, true);
+    assert.equal(status.overrideId, 'closed-today');
+    assert.equal(status.type, 'emergency-closed');
+    assert.equal(status.detail, '設備点検');
+});
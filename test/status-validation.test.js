@@ -0,0 +1,105 @@
+// test/status-validation.test.js - 営業状況の入力検証と期間の重複
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateStatusEntry, findConflicts } from '../public/js/status-validation.js';
+
+const NOW = new Date('2025-06-01T00:00:00Z');
+
+function fields(errors) {
+    return errors.map(({ field }) => field);
+}
+
+test('正しい入力はエラーなし', () => {
+    assert.deepEqual(validateStatusEntry({
+        status: 'closed',
+        reason: '設備点検',
+        priority: 2,
+        startTime: '2025-06-02T09:00:00+09:00',
+        endTime: '2025-06-02T18:00:00+09:00'
+    }, { now: NOW }), []);
+});
+
+test('オブジェクト以外のリクエストボディ', () => {
+    for (const body of [null, 'closed', ['closed']]) {
+        assert.deepEqual(fields(validateStatusEntry(body)), [null]);
+    }
+});
+
+test('項目ごとのエラー', () => {
+    const errors = validateStatusEntry({
+        status: 'open',
+        reason: 123,
+        message: 'x'.repeat(1001),
+        priority: 0,
+        startTime: '2025-06-02 09:00',
+        customHours: 'invalid',
+        recurrence: '{"type":"daily"}'
+    }, { now: NOW });
+
+    assert.deepEqual(fields(errors), ['status', 'reason', 'message', 'priority', 'startTime', 'customHours', 'recurrence']);
+    assert.deepEqual(fields(validateStatusEntry({}, { now: NOW })), ['status']);
+});
+
+test('タイムゾーンのない日時・存在しない日付は受け付けない', () => {
+    assert.deepEqual(fields(validateStatusEntry({ status: 'closed', endTime: '2025-06-02T09:00:00' }, { now: NOW })), ['endTime']);
+    assert.deepEqual(fields(validateStatusEntry({ status: 'closed', endTime: '2025-02-30T09:00:00Z' }, { now: NOW })), ['endTime']);
+});
+
+test('終了日時は開始日時（省略時は現在）より後', () => {
+    assert.deepEqual(fields(validateStatusEntry({
+        status: 'closed', startTime: '2025-06-02T09:00:00Z', endTime: '2025-06-02T09:00:00Z'
+    }, { now: NOW })), ['endTime']);
+    assert.deepEqual(fields(validateStatusEntry({ status: 'closed', endTime: '2025-05-31T00:00:00Z' }, { now: NOW })), ['endTime']);
+});
+
+test('部分更新は指定された項目のみ検証し、前後関係は更新前の値と比べる', () => {
+    const current = { status: 'closed', startTime: '2025-06-02T09:00:00Z', endTime: '2025-06-02T18:00:00Z' };
+
+    assert.deepEqual(validateStatusEntry({ reason: '変更' }, { partial: true, current, now: NOW }), []);
+    const [error] = validateStatusEntry({ endTime: '2025-06-02T08:00:00Z' }, { partial: true, current, now: NOW });
+    assert.equal(error.field, 'endTime');
+    assert.match(error.message, /開始日時/);
+});
+
+test('時短営業以外に営業時間は指定できない', () => {
+    const customHours = { openTime: '11:00', closeTime: '15:00', lastOrderTime: '14:30' };
+    assert.deepEqual(validateStatusEntry({ status: 'short', customHours }, { now: NOW }), []);
+    assert.deepEqual(fields(validateStatusEntry({ status: 'closed', customHours }, { now: NOW })), ['customHours']);
+});
+
+test('同じ優先度の重複はエラー、異なる優先度は警告', () => {
+    const entry = { id: 'new', status: 'closed', priority: 2, startTime: '2025-06-02T00:00:00Z', endTime: '2025-06-03T00:00:00Z' };
+    const others = [
+        { id: 'same', status: 'short', reason: '時短', priority: 2, startTime: '2025-06-02T12:00:00Z', endTime: '2025-06-04T00:00:00Z' },
+        { id: 'higher', status: 'special', priority: 5, startTime: '2025-06-01T00:00:00Z', endTime: '2025-06-02T06:00:00Z' },
+        { id: 'apart', status: 'closed', priority: 2, startTime: '2025-06-05T00:00:00Z', endTime: '2025-06-06T00:00:00Z' },
+        { id: 'new', status: 'closed', priority: 2 }
+    ];
+
+    const conflicts = findConflicts(entry, others, { now: NOW, timeZone: 'Asia/Tokyo' });
+    assert.deepEqual(conflicts.map(({ id, severity }) => [id, severity]), [['same', 'error'], ['higher', 'warning']]);
+    assert.equal(conflicts[0].start, '2025-06-02T12:00:00.000Z');
+    assert.equal(conflicts[0].end, '2025-06-03T00:00:00.000Z');
+    assert.match(conflicts[1].message, /優先度の高い/);
+});
+
+test('繰り返し設定どうしは発生期間で重複を判定する', () => {
+    const weekly = (id, weekday) => ({
+        id,
+        status: 'closed',
+        recurrence: JSON.stringify({ type: 'weekly', weekdays: [weekday] }),
+        startTime: '2025-06-01T00:00:00+09:00'
+    });
+
+    const options = { now: NOW, timeZone: 'Asia/Tokyo' };
+    assert.deepEqual(findConflicts(weekly('tue', 2), [weekly('wed', 3)], options), []);
+    const [conflict] = findConflicts(weekly('tue', 2), [weekly('tue-2', 2)], options);
+    assert.equal(conflict.recurring, true);
+    assert.equal(conflict.start, '2025-06-02T15:00:00.000Z');
+});
+
+test('終了済みの期間は重複としない', () => {
+    const entry = { id: 'a', status: 'closed', startTime: '2025-05-01T00:00:00Z', endTime: '2025-05-31T00:00:00Z' };
+    assert.deepEqual(findConflicts(entry, [{ ...entry, id: 'b' }], { now: NOW }), []);
+});
@@ -0,0 +1,58 @@
+// test/text-search.test.js - 表記ゆれを吸収した検索
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeSearchText, parseSearchQuery, matchesSearch,
+    findSearchMatches, createSearchExcerpt, highlightSearchMatches
+} from '../public/js/text-search.js';
+
+test('全角・半角、大文字・小文字、カタカナ・ひらがなを同一視する', () => {
+    assert.equal(normalizeSearchText('ＡＢＣ'), 'abc');
+    assert.equal(normalizeSearchText('ﾗﾝﾁ'), 'らんち');
+    assert.equal(normalizeSearchText('ランチ'), 'らんち');
+    assert.equal(normalizeSearchText('ｶﾞ'), 'が');
+    assert.equal(normalizeSearchText('が'), 'が');
+});
+
+test('空白をまとめ、前後の空白を除く', () => {
+    assert.equal(normalizeSearchText('  ランチ　\n 限定  '), 'らんち 限定');
+    assert.equal(normalizeSearchText(null), '');
+});
+
+test('検索語は重複を除き、最大10語', () => {
+    assert.deepEqual(parseSearchQuery('ランチ　らんち  限定'), ['らんち', '限定']);
+    assert.equal(parseSearchQuery('a b c d e f g h i j k l').length, 10);
+    assert.deepEqual(parseSearchQuery(undefined), []);
+});
+
+test('すべての語をいずれかの項目に含むものが一致する', () => {
+    const texts = ['ﾗﾝﾁのお知らせ', '期間限定'];
+    assert.equal(matchesSearch(texts, parseSearchQuery('らんち 限定')), true);
+    assert.equal(matchesSearch(texts, parseSearchQuery('ランチ ディナー')), false);
+    assert.equal(matchesSearch(texts, []), true);
+});
+
+test('一致範囲は元の文字列の位置で返す', () => {
+    // 半角カタカナは正規化後も1文字ずつ対応する
+    assert.deepEqual(findSearchMatches('ﾗﾝﾁとランチ', parseSearchQuery('らんち')), [[0, 3], [4, 7]]);
+    // 「ｶﾞ」は2文字で1文字に正規化される
+    assert.deepEqual(findSearchMatches('ｶﾞｯｺｳ', parseSearchQuery('がっこう')), [[0, 5]]);
+    // 重なる範囲はまとめる
+    assert.deepEqual(findSearchMatches('らんちたいむ', parseSearchQuery('らんち ちた')), [[0, 4]]);
+});
+
+test('ハイライトはテキストをエスケープする', () => {
+    assert.equal(
+        highlightSearchMatches('<b>ﾗﾝﾁ</b>', parseSearchQuery('らんち')),
+        '&lt;b&gt;<mark>ﾗﾝﾁ</mark>&lt;/b&gt;'
+    );
+    assert.equal(highlightSearchMatches('"x"', []), '&quot;x&quot;');
+});
+
+test('抜粋は一致箇所の前後を切り出す', () => {
+    const text = 'あいうえおかきくけこさしすせそランチたちつてと';
+    assert.equal(createSearchExcerpt(text, parseSearchQuery('らんち'), 8), '…せそランチたちつ…');
+    assert.equal(createSearchExcerpt(text, parseSearchQuery('でぃなー'), 5), 'あいうえお…');
+    assert.equal(createSearchExcerpt('短い', parseSearchQuery('らんち'), 8), '短い');
+});
@@ -0,0 +1,214 @@
+// test/webhook.test.js - MicroCMS の Webhook
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { installFakeMicroCMS, jsonResponse } from './helpers/microcms.js';
+import { createSharedStore } from './helpers/store.js';
+import { createRequest, createResponse, invoke } from './helpers/http.js';
+import { MemoryStore, setStore } from '../api/_lib/rate-limit.js';
+import handler from '../api/webhooks/microcms.js';
+
+const SECRET = 'test-webhook-secret';
+const DEPLOY_HOOK_URL = 'https://deploy.example/hooks/abc';
+
+process.env.MICROCMS_SERVICE_DOMAIN = 'test';
+process.env.MICROCMS_API_KEY = 'test-api-key';
+process.env.MICROCMS_BUSINESS_STATUS_API_KEY = 'test-status-api-key';
+
+let fake;
+let store;
+
+beforeEach(() => {
+    // 受信ログは出力しない
+    mock.method(console, 'log', () => {});
+    process.env.MICROCMS_WEBHOOK_SECRET = SECRET;
+    delete process.env.DEPLOY_HOOK_URL;
+    store = createSharedStore();
+    setStore(store);
+    fake = installFakeMicroCMS();
+    fake.add('business-status', { id: 'status-1', type: 'closed' });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    fake.restore();
+});
+
+function deployRequests() {
+    return fake.requests.filter(({ url }) => url.href === DEPLOY_HOOK_URL);
+}
+
+function sign(body, secret = SECRET) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function post(payload, { signature, headers = {} } = {}) {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    return invoke(handler, {
+        method: 'POST',
+        url: '/api/webhooks/microcms',
+        headers: {
+            'content-type': 'application/json',
+            'x-microcms-signature': signature ?? sign(body),
+            ...headers
+        },
+        body
+    });
+}
+
+test('署名が正しい通知でコンテンツのバージョンを更新する', async () => {
+    const before = Date.now();
+    const res = await post({ service: 'test', api: 'business-status', id: 'status-1', type: 'edit' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.received, true);
+    assert.equal(res.body.topic, 'status');
+    assert.equal(res.body.id, 'status-1');
+    assert.equal(res.body.type, 'edit');
+    assert.deepEqual(res.body.deploy, { triggered: false, reason: 'not_configured' });
+
+    // バージョンは「件数:最終更新日時#受信時刻」
+    const stamp = Number(await store.get('content-version:status'));
+    assert.ok(stamp >= before);
+    assert.equal(res.body.version, `1:${fake.items('business-status')[0].updatedAt}#${stamp}`);
+});
+
+test('カテゴリーの変更はニュースの更新として通知する', async () => {
+    const res = await post({ api: 'categories', id: 'event', type: 'edit' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.topic, 'news');
+    assert.ok(await store.get('content-version:news'));
+});
+
+test('署名が一致しない・ない通知は 401 を返し、何も更新しない', async () => {
+    process.env.DEPLOY_HOOK_URL = DEPLOY_HOOK_URL;
+    const payload = { api: 'business-status', id: 'status-1', type: 'edit' };
+    const body = JSON.stringify(payload);
+
+    const cases = [
+        { signature: '' },
+        { signature: sign(body, 'other-secret') },
+        { signature: sign(body).slice(0, -1) },
+        { signature: sign(body).toUpperCase() }
+    ];
+    for (const options of cases) {
+        const res = await post(payload, options);
+        assert.equal(res.statusCode, 401, options.signature);
+        assert.equal(res.body.error, 'Invalid signature');
+    }
+
+    // 署名後にボディを書き換えた場合
+    const tampered = await post(JSON.stringify({ ...payload, id: 'status-2' }), { signature: sign(body) });
+    assert.equal(tampered.statusCode, 401);
+
+    assert.equal(await store.get('content-version:status'), null);
+    assert.equal(fake.requests.length, 0);
+});
+
+test('解析済みのボディしか残っていなければ署名を検証できないため 400 を返す', async () => {
+    const payload = { api: 'news', id: 'news-1', type: 'edit' };
+    const body = JSON.stringify(payload);
+
+    // Vercel が req.body を解析した後と同じ状態（ストリームは読み終わっている）
+    const req = createRequest({
+        method: 'POST',
+        url: '/api/webhooks/microcms',
+        headers: { 'content-type': 'application/json', 'x-microcms-signature': sign(body) },
+        body
+    });
+    for await (const chunk of req) void chunk;
+    req.body = payload;
+
+    const res = createResponse();
+    await handler(req, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Raw body unavailable');
+
+    // 文字列のまま残っていれば検証できる
+    req.body = body;
+    const retried = createResponse();
+    await handler(req, retried);
+    assert.equal(retried.statusCode, 200);
+});
+
+test('DEPLOY_HOOK_URL が設定されていればデプロイフックを呼び出す', async () => {
+    process.env.DEPLOY_HOOK_URL = DEPLOY_HOOK_URL;
+    fake.route(DEPLOY_HOOK_URL, () => jsonResponse(201, { job: { state: 'PENDING' } }));
+
+    const res = await post({ api: 'news', id: 'news-1', type: 'new' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.deploy, { triggered: true, reason: null });
+    assert.equal(deployRequests().length, 1);
+    assert.equal(deployRequests()[0].method, 'POST');
+});
+
+test('デプロイフックが失敗したら 502 を返して再送させる', async () => {
+    process.env.DEPLOY_HOOK_URL = DEPLOY_HOOK_URL;
+    fake.route(DEPLOY_HOOK_URL, () => jsonResponse(500, { error: 'failed' }));
+    mock.method(console, 'error', () => {});
+
+    const res = await post({ api: 'news', id: 'news-1', type: 'edit' });
+
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.error, 'Deploy hook failed');
+    // 更新通知は送信済み
+    assert.ok(res.body.version);
+    assert.ok(await store.get('content-version:news'));
+});
+
+test('共有ストアがなければ更新通知を送らずにデプロイフックだけを呼び出す', async () => {
+    const memory = new MemoryStore();
+    setStore(memory);
+    process.env.DEPLOY_HOOK_URL = DEPLOY_HOOK_URL;
+    fake.route(DEPLOY_HOOK_URL, () => jsonResponse(201, {}));
+
+    const res = await post({ api: 'business-status', id: 'status-1', type: 'edit' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.version, null);
+    assert.deepEqual(res.body.deploy, { triggered: true, reason: null });
+    assert.equal(await memory.get('content-version:status'), null);
+});
+
+test('共有ストアもデプロイフックも設定されていなければ 503 を返す', async () => {
+    setStore(new MemoryStore());
+    mock.method(console, 'error', () => {});
+
+    const res = await post({ api: 'news', id: 'news-1', type: 'edit' });
+
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.error, 'Webhook not configured');
+    assert.equal(fake.requests.length, 0);
+});
+
+test('対象外のAPIの通知は何もせずに 200 を返す', async () => {
+    const res = await post({ api: 'business-status-revisions', id: 'revision-1', type: 'new' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.ignored, true);
+    assert.equal(fake.requests.length, 0);
+});
+
+test('JSONではないボディは署名が正しくても 400 を返す', async () => {
+    const res = await post('not json');
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Invalid payload');
+});
+
+test('MICROCMS_WEBHOOK_SECRET が未設定なら署名を検証せずに 500 を返す', async () => {
+    delete process.env.MICROCMS_WEBHOOK_SECRET;
+
+    const res = await post({ api: 'news', id: 'news-1', type: 'edit' }, { signature: sign('{}', '') });
+    assert.equal(res.statusCode, 500);
+    assert.equal(fake.requests.length, 0);
+});
+
+test('POST 以外は受け付けない', async () => {
+    const res = await invoke(handler, { method: 'GET', url: '/api/webhooks/microcms' });
+    assert.equal(res.statusCode, 405);
+});